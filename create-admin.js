@@ -0,0 +1,55 @@
+// create-admin.js
+// Creates a back-office admin, or resets the password/role of an existing one.
+// Use it to bootstrap the first superadmin; further admins can be managed
+// through /api/admin/admins.
+//
+// Usage: ADMIN_PASSWORD=... node create-admin.js --email ops@novachain.pro --role superadmin [--name "Ops"]
+require('dotenv').config();
+const pool = require('./db');
+const { hashPassword } = require('./utils/password');
+const { ROLES } = require('./middleware/auth');
+
+function argValue(name) {
+  const i = process.argv.indexOf(name);
+  return i !== -1 ? process.argv[i + 1] : undefined;
+}
+
+const email = argValue('--email');
+const role = argValue('--role') || 'superadmin';
+const name = argValue('--name') || null;
+const password = process.env.ADMIN_PASSWORD;
+
+async function main() {
+  if (!email || !password) {
+    throw new Error('--email and the ADMIN_PASSWORD environment variable are required');
+  }
+  if (!ROLES.includes(role)) {
+    throw new Error(`--role must be one of: ${ROLES.join(', ')}`);
+  }
+  const hash = await hashPassword(password);
+  const { rows: existing } = await pool.query(
+    'SELECT id FROM admin_users WHERE LOWER(email) = LOWER($1)',
+    [email]
+  );
+  if (existing[0]) {
+    await pool.query(
+      `UPDATE admin_users SET password_hash = $2, role = $3, name = COALESCE($4, name), active = TRUE
+       WHERE id = $1`,
+      [existing[0].id, hash, role, name]
+    );
+    console.log(`✅ Updated admin ${email} (${role})`);
+  } else {
+    await pool.query(
+      'INSERT INTO admin_users (email, name, password_hash, role) VALUES ($1, $2, $3, $4)',
+      [email, name, hash, role]
+    );
+    console.log(`✅ Created admin ${email} (${role})`);
+  }
+}
+
+main()
+  .catch(err => {
+    console.error('❌ Could not create admin:', err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
@@ -4,7 +4,8 @@ require('dotenv').config();
 
 const pool = new Pool({
   connectionString: process.env.DATABASE_URL, // <--- change this line!
-  ssl: { rejectUnauthorized: false }, // Required for Supabase
+  // Required for Supabase; set DATABASE_SSL=false for a local Postgres
+  ssl: process.env.DATABASE_SSL === 'false' ? false : { rejectUnauthorized: false },
 });
 
 module.exports = pool;
@@ -0,0 +1,63 @@
+-- fixtures/reconcile.sql
+-- Seed data for running reconcile.js against a local Postgres (after
+-- `npm run migrate`). User 1001 reconciles cleanly; user 1002 has a deposit
+-- credited straight into user_balances without a ledger journal, so the
+-- report should flag one missing_journal and one ledger mismatch for USDT.
+
+BEGIN;
+
+CREATE FUNCTION pg_temp.fixture_journal(
+  p_reason TEXT, p_ref_type TEXT, p_ref_id TEXT, p_user BIGINT, p_coin TEXT, p_amount NUMERIC,
+  p_counter_user BIGINT, p_counter_account TEXT
+) RETURNS void AS $$
+DECLARE
+  jid BIGINT;
+BEGIN
+  INSERT INTO ledger_journals (reason, ref_type, ref_id, user_id)
+  VALUES (p_reason, p_ref_type, p_ref_id, p_user)
+  RETURNING id INTO jid;
+  INSERT INTO ledger_postings (journal_id, user_id, account, coin, amount)
+  VALUES (jid, p_user, 'available', p_coin, p_amount),
+         (jid, p_counter_user, p_counter_account, p_coin, -p_amount);
+END;
+$$ LANGUAGE plpgsql;
+
+INSERT INTO users (id, username, email, password, verified, kyc_status) VALUES
+  (1001, 'alice', 'alice@example.test', 'fixture', TRUE, 'approved'),
+  (1002, 'bob', 'bob@example.test', 'fixture', TRUE, 'unverified');
+
+INSERT INTO deposits (id, user_id, coin, amount, address, status) VALUES
+  (9001, 1001, 'USDT', 1000, 'fixture', 'approved'),
+  (9002, 1002, 'USDT', 500, 'fixture', 'approved'),
+  (9003, 1002, 'USDT', 50, 'fixture', 'approved');
+
+INSERT INTO trades (id, user_id, symbol, direction, amount, duration, start_price, result, profit, result_price) VALUES
+  (9001, 1001, 'BTC', 'BUY', 100, 30, 65000, 'WIN', 30, 65010),
+  (9002, 1001, 'ETH', 'SELL', 50, 60, 3400, 'LOSE', -50, 3401);
+
+INSERT INTO conversions (id, user_id, from_coin, to_coin, amount, received, rate) VALUES
+  (9001, 1001, 'USDT', 'BTC', 200, 0.003, 66666.67);
+
+INSERT INTO stakes (id, user_id, coin, amount, daily_rate, duration_days, start_date, end_date, status) VALUES
+  (9001, 1001, 'BTC', 0.001, 0.1, 30, NOW(), NOW() + INTERVAL '30 days', 'ACTIVE');
+
+INSERT INTO withdrawals (id, user_id, coin, amount, address, status) VALUES
+  (9001, 1002, 'USDT', 100, 'fixture', 'approved');
+
+SELECT pg_temp.fixture_journal('DEPOSIT', 'deposit', '9001', 1001, 'USDT', 1000, NULL, 'system:deposits');
+SELECT pg_temp.fixture_journal('TRADE_STAKE', 'trade', '9001', 1001, 'USDT', -100, NULL, 'system:trading');
+SELECT pg_temp.fixture_journal('TRADE_PAYOUT', 'trade', '9001', 1001, 'USDT', 130, NULL, 'system:trading');
+SELECT pg_temp.fixture_journal('TRADE_STAKE', 'trade', '9002', 1001, 'USDT', -50, NULL, 'system:trading');
+SELECT pg_temp.fixture_journal('CONVERSION', 'conversion', '9001', 1001, 'USDT', -200, NULL, 'system:conversion');
+SELECT pg_temp.fixture_journal('CONVERSION', 'conversion', '9001', 1001, 'BTC', 0.003, NULL, 'system:conversion');
+SELECT pg_temp.fixture_journal('STAKE_LOCK', 'stake', '9001', 1001, 'BTC', -0.001, 1001, 'staked');
+SELECT pg_temp.fixture_journal('DEPOSIT', 'deposit', '9002', 1002, 'USDT', 500, NULL, 'system:deposits');
+SELECT pg_temp.fixture_journal('WITHDRAWAL', 'withdrawal', '9001', 1002, 'USDT', -100, NULL, 'system:withdrawals');
+-- deposit 9003 deliberately has no journal
+
+INSERT INTO user_balances (user_id, coin, balance) VALUES
+  (1001, 'USDT', 780),
+  (1001, 'BTC', 0.002),
+  (1002, 'USDT', 450);
+
+COMMIT;
@@ -0,0 +1,46 @@
+// jobs/notificationOutbox.js
+// Delivers queued notifications (see utils/notifications.js). Rows are claimed
+// with FOR UPDATE SKIP LOCKED, so several server instances can run this loop
+// side by side; a row whose send fails is retried later with backoff.
+const { withTransaction } = require("../utils/transaction");
+const notifications = require("../utils/notifications");
+
+const POLL_MS = Number(process.env.NOTIFICATION_POLL_MS) || 2000;
+const BATCH_SIZE = 50;
+
+let running = false;
+
+// Sends up to BATCH_SIZE due notifications; ticks never overlap within a process.
+async function runOnce() {
+  if (running) return 0;
+  running = true;
+  let sent = 0;
+  try {
+    const ids = await notifications.dueIds(BATCH_SIZE);
+    for (const id of ids) {
+      try {
+        const done = await withTransaction(async (client) => {
+          const row = await notifications.lockDue(client, id);
+          if (!row) return false;
+          return notifications.deliver(client, row);
+        });
+        if (done) sent++;
+      } catch (err) {
+        console.error(`Notification outbox error (notification ${id}):`, err);
+      }
+    }
+  } catch (err) {
+    console.error("Notification outbox error:", err);
+  } finally {
+    running = false;
+  }
+  return sent;
+}
+
+function start() {
+  console.log(`✅ Notification outbox using ${notifications.getTransport().name} transport`);
+  runOnce();
+  return setInterval(runOnce, POLL_MS);
+}
+
+module.exports = { start, runOnce };
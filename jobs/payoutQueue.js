@@ -0,0 +1,59 @@
+// jobs/payoutQueue.js
+// Signs, broadcasts and tracks approved withdrawals on networks with a payout
+// adapter (see utils/payouts.js). Each step commits on its own, so a signed
+// transaction is saved before it is broadcast. Rows are claimed with
+// FOR UPDATE SKIP LOCKED, so several server instances can run this loop side
+// by side.
+const { withTransaction } = require("../utils/transaction");
+const payouts = require("../utils/payouts");
+const payoutAdapters = require("../utils/payoutAdapters");
+
+const POLL_MS = Number(process.env.PAYOUT_POLL_MS) || 15000;
+const BATCH_SIZE = 20;
+// queued -> signed -> broadcast can happen within one tick
+const STEPS_PER_TICK = 3;
+
+let running = false;
+
+// Advances up to BATCH_SIZE due payouts; ticks never overlap within a process.
+async function runOnce() {
+  if (running) return 0;
+  running = true;
+  let advanced = 0;
+  try {
+    const ids = await payouts.dueIds(BATCH_SIZE);
+    for (const id of ids) {
+      try {
+        for (let i = 0; i < STEPS_PER_TICK; i++) {
+          const state = await withTransaction(async (client) => {
+            const row = await payouts.lockDue(client, id);
+            if (!row) return null;
+            return payouts.advance(client, row);
+          });
+          if (!state) break;
+          advanced++;
+          if (state !== payouts.STATES.SIGNED) break;
+        }
+      } catch (err) {
+        console.error(`Payout queue error (withdrawal ${id}):`, err);
+      }
+    }
+  } catch (err) {
+    console.error("Payout queue error:", err);
+  } finally {
+    running = false;
+  }
+  return advanced;
+}
+
+function start() {
+  const adapters = Object.entries(payoutAdapters.getAdapters());
+  const summary = adapters.length
+    ? adapters.map(([network, adapter]) => `${network}: ${adapter.name}`).join(", ")
+    : "none, approved withdrawals are paid by hand";
+  console.log(`✅ Payout queue adapters: ${summary}`);
+  runOnce();
+  return setInterval(runOnce, POLL_MS);
+}
+
+module.exports = { start, runOnce };
@@ -0,0 +1,54 @@
+// jobs/savingsAccrual.js
+// Pays flexible savings interest for every finished UTC day (see
+// utils/savings.js). Accounts are claimed with FOR UPDATE SKIP LOCKED and each
+// day is recorded at most once per account, so several server instances can
+// run this loop side by side and days missed while the process was down are
+// caught up on the next ticks.
+const { withTransaction } = require("../utils/transaction");
+const savings = require("../utils/savings");
+
+const POLL_MS = Number(process.env.SAVINGS_ACCRUAL_POLL_MS) || 10 * 60 * 1000;
+const BATCH_SIZE = 100;
+// Days worked out per account and transaction; longer gaps continue next tick
+const MAX_DAYS_PER_ACCOUNT = 31;
+
+let running = false;
+
+// Works out interest for up to BATCH_SIZE due accounts; ticks never overlap within a process.
+async function runOnce() {
+  if (running) return 0;
+  running = true;
+  let credited = 0;
+  try {
+    const due = await savings.dueAccounts(BATCH_SIZE);
+    for (const { user_id, coin } of due) {
+      try {
+        credited += await withTransaction(async (client) => {
+          const claim = await savings.lockDue(client, user_id, coin, MAX_DAYS_PER_ACCOUNT);
+          if (!claim) return 0;
+          let n = 0;
+          for (const day of claim.days) {
+            if (await savings.accrueDay(client, claim.account, day)) n++;
+          }
+          return n;
+        });
+      } catch (err) {
+        console.error(`Savings accrual error (user ${user_id}, ${coin}):`, err);
+      }
+    }
+  } catch (err) {
+    console.error("Savings accrual error:", err);
+  } finally {
+    running = false;
+  }
+  return credited;
+}
+
+function start() {
+  runOnce().then(n => {
+    if (n > 0) console.log(`✅ Credited ${n} day(s) of savings interest on boot`);
+  });
+  return setInterval(runOnce, POLL_MS);
+}
+
+module.exports = { start, runOnce };
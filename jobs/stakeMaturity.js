@@ -0,0 +1,71 @@
+// jobs/stakeMaturity.js
+// Settles matured stakes (see utils/stakes.js): auto-renew stakes are rolled
+// into a new term, all others are paid out (principal + interest) and the
+// user is notified. Stakes are claimed with FOR UPDATE SKIP LOCKED and only
+// handled while still ACTIVE, so several server instances can run this loop
+// side by side and a restart picks up whatever matured while the process was
+// down. Users can still redeem themselves in the meantime; whoever locks the
+// stake first settles it.
+const pool = require("../db");
+const { withTransaction } = require("../utils/transaction");
+const stakes = require("../utils/stakes");
+
+const POLL_MS = Number(process.env.STAKE_MATURITY_POLL_MS) || 60 * 1000;
+const BATCH_SIZE = 100;
+
+// Locks a due stake if no other worker holds it and it is still ACTIVE.
+async function lockDueStake(client, id) {
+  const { rows } = await client.query(
+    `SELECT * FROM stakes
+     WHERE id = $1 AND status = 'ACTIVE' AND end_date <= NOW()
+     FOR UPDATE SKIP LOCKED`,
+    [id]
+  );
+  return rows[0] || null;
+}
+
+let running = false;
+
+// Settles up to BATCH_SIZE matured stakes; ticks never overlap within a process.
+async function runOnce() {
+  if (running) return 0;
+  running = true;
+  let handled = 0;
+  try {
+    const { rows: due } = await pool.query(
+      `SELECT id FROM stakes
+       WHERE status = 'ACTIVE' AND end_date <= NOW()
+       ORDER BY end_date
+       LIMIT $1`,
+      [BATCH_SIZE]
+    );
+    for (const { id } of due) {
+      try {
+        const done = await withTransaction(async (client) => {
+          const stake = await lockDueStake(client, id);
+          if (!stake) return false;
+          if (stake.auto_renew) await stakes.renew(client, stake);
+          else await stakes.redeem(client, stake, stakes.TRIGGERS.AUTO);
+          return true;
+        });
+        if (done) handled++;
+      } catch (err) {
+        console.error(`Stake maturity error (stake ${id}):`, err);
+      }
+    }
+  } catch (err) {
+    console.error("Stake maturity error:", err);
+  } finally {
+    running = false;
+  }
+  return handled;
+}
+
+function start() {
+  runOnce().then(n => {
+    if (n > 0) console.log(`✅ Settled ${n} matured stake(s) on boot`);
+  });
+  return setInterval(runOnce, POLL_MS);
+}
+
+module.exports = { start, runOnce };
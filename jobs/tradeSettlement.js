@@ -0,0 +1,215 @@
+// jobs/tradeSettlement.js
+// Settles PENDING trades once timestamp + duration has passed.
+// Trades are claimed with FOR UPDATE SKIP LOCKED and only settled while still
+// PENDING, so several server instances can run this loop side by side and a
+// restart simply picks up whatever expired while the process was down.
+//
+// The outcome comes only from the market price at expiry; the price, its
+// source, fetch time and raw value are stored on the trade row. A live quote
+// fetched within LIVE_QUOTE_TOLERANCE_SECONDS of expiry stands in for the price
+// at expiry; otherwise (on boot, after an outage, a slow fetch) the trade is
+// priced from market history at its expiry, never at today's price.
+const pool = require("../db");
+const { withTransaction } = require("../utils/transaction");
+const ledger = require("../utils/ledger");
+const { getSpotQuote, getHistoricalQuote } = require("../utils/spotPrice");
+
+const POLL_MS = Number(process.env.TRADE_SETTLEMENT_POLL_MS) || 1000;
+const BATCH_SIZE = 100;
+// A live quote fetched at most this long after expiry stands in for the price at expiry
+const LIVE_QUOTE_TOLERANCE_SECONDS = Number(process.env.TRADE_LIVE_QUOTE_TOLERANCE_SECONDS) || 5;
+// If no price at expiry can be found this long after it, the trade is voided and the stake refunded
+const VOID_AFTER_SECONDS = Number(process.env.TRADE_VOID_AFTER_SECONDS) || 600;
+
+// Fixed Payout Map from Frontend UI (in decimal)
+const FIXED_PROFIT_MAP = {
+  30: 0.30,  // 30%
+  60: 0.50,  // 50%
+  90: 0.70,  // 70%
+  120: 1.00, // 100%
+};
+
+// BUY wins if the price did not fall, SELL wins if it fell
+function decideResult(direction, start_price, end_price) {
+  const wentUp = end_price >= start_price;
+  const buyWins = direction === "BUY" && wentUp;
+  const sellWins = direction === "SELL" && !wentUp;
+  return (buyWins || sellWins) ? "WIN" : "LOSE";
+}
+
+async function snapshotBalance(client, user_id) {
+  const { rows: balRows } = await client.query(
+    "SELECT balance FROM user_balances WHERE user_id = $1 AND coin = 'USDT'",
+    [user_id]
+  );
+  const newBalance = balRows[0] ? parseFloat(balRows[0].balance) : 0;
+  await client.query(
+    `INSERT INTO balance_history (user_id, coin, balance, price_usd, timestamp)
+     VALUES ($1, $2, $3, $4, NOW())`,
+    [user_id, "USDT", newBalance, 1]
+  );
+}
+
+/**
+ * Settles one locked trade against an observed market quote.
+ * Returns false if it was no longer PENDING.
+ * @param client pg client inside a transaction holding the trade row lock
+ * @param trade trades row
+ * @param quote result of getSpotQuote() for trade.symbol
+ */
+async function settleTrade(client, trade, quote) {
+  const user_id = trade.user_id;
+  const amount = Number(trade.amount);
+  const start_price = Number(trade.start_price);
+
+  const result = decideResult(trade.direction, start_price, quote.price);
+
+  // Default to 30% if duration is not 30, 60, 90, or 120
+  const percent = (FIXED_PROFIT_MAP[trade.duration] || 0.30) * 100;
+
+  // compute profit (binary: win = +amount * percent, loss = -amount)
+  let profit = Number((amount * percent / 100).toFixed(2));
+  if (result === "LOSE") profit = -amount;
+
+  const { rowCount } = await client.query(
+    `UPDATE trades
+     SET result = $1, profit = $2, result_price = $3,
+         result_price_source = $4, result_price_fetched_at = $5, result_price_raw = $6,
+         settled_at = NOW()
+     WHERE id = $7 AND result = 'PENDING'`,
+    [result, profit, quote.price, quote.source, quote.fetched_at, quote.raw, trade.id]
+  );
+  if (rowCount === 0) return false;
+
+  // credit if win: return stake + profit (stake was already deducted at entry)
+  if (result === "WIN") {
+    await ledger.postJournal(client, {
+      reason: ledger.REASONS.TRADE_PAYOUT,
+      refType: ledger.REF_TYPES.TRADE,
+      refId: trade.id,
+      userId: user_id,
+      transfers: [{
+        from: ledger.systemAccount("trading"),
+        to: ledger.userAccount(user_id),
+        coin: "USDT",
+        amount: amount + profit,
+      }],
+    });
+  }
+
+  await snapshotBalance(client, user_id);
+  return true;
+}
+
+// No market price at expiry could be found: cancel the trade and give the stake back.
+async function voidTrade(client, trade) {
+  const { rowCount } = await client.query(
+    `UPDATE trades SET result = 'VOID', profit = 0, settled_at = NOW()
+     WHERE id = $1 AND result = 'PENDING'`,
+    [trade.id]
+  );
+  if (rowCount === 0) return false;
+
+  await ledger.postJournal(client, {
+    reason: ledger.REASONS.TRADE_REFUND,
+    refType: ledger.REF_TYPES.TRADE,
+    refId: trade.id,
+    userId: trade.user_id,
+    memo: "No market price available at expiry",
+    transfers: [{
+      from: ledger.systemAccount("trading"),
+      to: ledger.userAccount(trade.user_id),
+      coin: "USDT",
+      amount: trade.amount,
+    }],
+  });
+
+  await snapshotBalance(client, trade.user_id);
+  return true;
+}
+
+// Locks a due trade if no other worker holds it and it is still PENDING.
+async function lockPendingTrade(client, id) {
+  const { rows } = await client.query(
+    `SELECT * FROM trades WHERE id = $1 AND result = 'PENDING' FOR UPDATE SKIP LOCKED`,
+    [id]
+  );
+  return rows[0] || null;
+}
+
+let running = false;
+
+// Settles up to BATCH_SIZE due trades; ticks never overlap within a process.
+// One live quote per symbol is fetched per tick, after every trade in it
+// expired; overdue trades look up the price at their own expiry instead.
+async function runOnce() {
+  if (running) return 0;
+  running = true;
+  let settled = 0;
+  try {
+    const { rows: due } = await pool.query(
+      `SELECT id, symbol,
+              "timestamp" + make_interval(secs => duration) AS expires_at,
+              EXTRACT(EPOCH FROM NOW() - ("timestamp" + make_interval(secs => duration))) AS overdue_seconds
+       FROM trades
+       WHERE result = 'PENDING'
+         AND "timestamp" + make_interval(secs => duration) <= NOW()
+       ORDER BY "timestamp"
+       LIMIT $1`,
+      [BATCH_SIZE]
+    );
+
+    const quotes = new Map();
+    const quoteFor = async (key, fetch, what) => {
+      if (!quotes.has(key)) {
+        try {
+          quotes.set(key, await fetch());
+        } catch (err) {
+          console.error(`Trade settlement: no price for ${what}: ${err.message}`);
+          quotes.set(key, null);
+        }
+      }
+      return quotes.get(key);
+    };
+
+    for (const { id, symbol, expires_at, overdue_seconds } of due) {
+      let quote = null;
+      if (Number(overdue_seconds) <= LIVE_QUOTE_TOLERANCE_SECONDS) {
+        // What counts is when the quote was observed, not when the batch was read
+        const live = await quoteFor(symbol, () => getSpotQuote(symbol), symbol);
+        if (live && (new Date(live.fetched_at) - expires_at) / 1000 <= LIVE_QUOTE_TOLERANCE_SECONDS) quote = live;
+      }
+      if (!quote) {
+        quote = await quoteFor(`${symbol}@${expires_at.getTime()}`, () => getHistoricalQuote(symbol, expires_at),
+          `${symbol} at ${expires_at.toISOString()}`);
+      }
+      if (!quote && (Date.now() - expires_at) / 1000 < VOID_AFTER_SECONDS) continue; // retry next tick
+      try {
+        const done = await withTransaction(async (client) => {
+          const trade = await lockPendingTrade(client, id);
+          if (!trade) return false;
+          return quote ? settleTrade(client, trade, quote) : voidTrade(client, trade);
+        });
+        if (done) settled++;
+      } catch (err) {
+        console.error(`Trade settlement error (trade ${id}):`, err);
+      }
+    }
+  } catch (err) {
+    console.error("Trade settlement error:", err);
+  } finally {
+    running = false;
+  }
+  return settled;
+}
+
+// Starts the polling loop. The first tick runs immediately so trades orphaned
+// by a restart are settled on boot.
+function start() {
+  runOnce().then(n => {
+    if (n > 0) console.log(`✅ Settled ${n} overdue trade(s) on boot`);
+  });
+  return setInterval(runOnce, POLL_MS);
+}
+
+module.exports = { start, runOnce, settleTrade, decideResult };
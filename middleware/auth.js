@@ -1,17 +1,231 @@
 const jwt = require('jsonwebtoken');
+const pool = require('../db');
+const { touchSession } = require('../utils/sessions');
+const twoFactor = require('../utils/twoFactor');
+const otp = require('../utils/otp');
 
-// Middleware to authenticate JWT tokens
-function authenticateToken(req, res, next) {
+// --- Admin permissions ---
+// Every admin route declares one of these with requirePermission().
+const PERMISSIONS = {
+  USERS_READ: 'users:read',
+  USERS_DELETE: 'users:delete',
+  KYC_REVIEW: 'kyc:review',
+  DEPOSITS_READ: 'deposits:read',
+  DEPOSITS_APPROVE: 'deposits:approve',
+  WITHDRAWALS_READ: 'withdrawals:read',
+  WITHDRAWALS_APPROVE: 'withdrawals:approve',
+  TRADES_READ: 'trades:read',
+  DEPOSIT_ADDRESSES_MANAGE: 'deposit_addresses:manage',
+  EARN_PRODUCTS_MANAGE: 'earn_products:manage',
+  WITHDRAWAL_SETTINGS_MANAGE: 'withdrawal_settings:manage',
+  RECONCILIATION_READ: 'reconciliation:read',
+  AUDIT_READ: 'audit:read',
+  ADMINS_MANAGE: 'admins:manage',
+};
+
+const P = PERMISSIONS;
+const ROLE_PERMISSIONS = {
+  support: [P.USERS_READ, P.DEPOSITS_READ, P.WITHDRAWALS_READ, P.TRADES_READ],
+  compliance: [
+    P.USERS_READ, P.KYC_REVIEW, P.DEPOSITS_READ, P.WITHDRAWALS_READ, P.TRADES_READ,
+    P.RECONCILIATION_READ, P.AUDIT_READ,
+  ],
+  finance: [
+    P.USERS_READ, P.DEPOSITS_READ, P.DEPOSITS_APPROVE, P.WITHDRAWALS_READ, P.WITHDRAWALS_APPROVE,
+    P.TRADES_READ, P.DEPOSIT_ADDRESSES_MANAGE, P.EARN_PRODUCTS_MANAGE, P.WITHDRAWAL_SETTINGS_MANAGE,
+    P.RECONCILIATION_READ,
+  ],
+  superadmin: Object.values(PERMISSIONS),
+};
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+function hasPermission(role, permission) {
+  return (ROLE_PERMISSIONS[role] || []).includes(permission);
+}
+
+function bearerToken(req) {
   const authHeader = req.headers['authorization'];
-  const token = authHeader && authHeader.split(' ')[1];
+  return authHeader && authHeader.split(' ')[1];
+}
+
+// Middleware to authenticate JWT tokens. Access tokens are tied to a login
+// session (utils/sessions.js) and stop working as soon as it is revoked.
+async function authenticateToken(req, res, next) {
+  const token = bearerToken(req);
   if (!token) return res.status(401).json({ error: "No token provided" });
 
-  jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
-    if (err) return res.status(403).json({ error: "Token invalid" });
-    req.user = user;
+  let user;
+  try {
+    user = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (err) {
+    if (err.name === 'TokenExpiredError') return res.status(401).json({ error: "Token expired" });
+    return res.status(403).json({ error: "Token invalid" });
+  }
+  // Admin tokens carry an admin_users id, never a customer id; tokens
+  // without a session predate revocable sessions and must log in again
+  if (user.typ === 'admin' || !user.sid) return res.status(403).json({ error: "Token invalid" });
+
+  try {
+    if (!(await touchSession(user.sid, user.id))) {
+      return res.status(401).json({ error: "Session expired or revoked" });
+    }
+  } catch (err) {
+    return res.status(500).json({ error: "Database error" });
+  }
+  req.user = user;
+  next();
+}
+
+// Signs a back-office token (see POST /api/admin/login). Until the admin has
+// passed two-factor authentication the token has mfa=false and is only good
+// for setting up 2FA.
+function signAdminToken(admin, { mfa = true } = {}) {
+  return jwt.sign(
+    { id: admin.id, email: admin.email, role: admin.role, typ: 'admin', mfa },
+    process.env.JWT_SECRET,
+    { expiresIn: mfa ? process.env.ADMIN_TOKEN_TTL || '8h' : '15m' }
+  );
+}
+
+// Short-lived proof that the password step of a login succeeded; exchanged
+// for real tokens together with a 2FA code. kind is 'user' or 'admin'.
+function signMfaChallenge(kind, id) {
+  return jwt.sign({ id, typ: 'mfa_challenge', kind }, process.env.JWT_SECRET, { expiresIn: '5m' });
+}
+
+// Returns the id from a valid challenge of the given kind, or null
+function verifyMfaChallenge(token, kind) {
+  try {
+    const payload = jwt.verify(String(token || ''), process.env.JWT_SECRET);
+    return payload.typ === 'mfa_challenge' && payload.kind === kind ? payload.id : null;
+  } catch {
+    return null;
+  }
+}
+
+// True when the request carries an admin token. Only used to pick a route;
+// the token is verified by authenticateAdmin.
+function hasAdminToken(req) {
+  const token = bearerToken(req);
+  const payload = token && jwt.decode(token);
+  return !!payload && payload.typ === 'admin';
+}
+
+async function verifyAdmin(req, res, next, { requireMfa }) {
+  const token = bearerToken(req);
+  if (!token) return res.status(401).json({ error: "No token provided" });
+
+  let payload;
+  try {
+    payload = jwt.verify(token, process.env.JWT_SECRET);
+  } catch {
+    return res.status(403).json({ error: "Token invalid" });
+  }
+  if (payload.typ !== 'admin') return res.status(403).json({ error: "Admin token required" });
+  if (requireMfa && payload.mfa !== true) {
+    return res.status(403).json({ error: "Two-factor authentication setup required", code: "MFA_SETUP_REQUIRED" });
+  }
+
+  try {
+    const { rows } = await pool.query(
+      'SELECT id, email, name, role FROM admin_users WHERE id = $1 AND active = TRUE',
+      [payload.id]
+    );
+    if (!rows[0]) return res.status(403).json({ error: "Admin account disabled" });
+    req.admin = rows[0];
+    next();
+  } catch (err) {
+    res.status(500).json({ error: "Database error" });
+  }
+}
+
+// Middleware for back-office routes. The admin is re-read on every request so
+// deactivations and role changes apply immediately.
+function authenticateAdmin(req, res, next) {
+  return verifyAdmin(req, res, next, { requireMfa: true });
+}
+
+// Only for the 2FA enrolment routes an admin must pass before anything else
+function authenticateAdminForMfaSetup(req, res, next) {
+  return verifyAdmin(req, res, next, { requireMfa: false });
+}
+
+// Step-up check for sensitive actions (withdrawals, address book, password
+// changes). Use after authenticateToken or authenticateAdmin. Accounts with
+// 2FA enabled must send a fresh code in the X-2FA-Code header (or body
+// field two_factor_code); a backup code works too.
+//
+// With emailOtpPurpose set, customers without 2FA must instead send an email
+// code for that purpose (utils/otp.js) in X-OTP-Code (or body field otp_code).
+function stepUp({ emailOtpPurpose = null } = {}) {
+  return async (req, res, next) => {
+    const owner = req.admin ? twoFactor.adminOwner(req.admin.id) : twoFactor.userOwner(req.user.id);
+    try {
+      if (await twoFactor.isEnabled(owner)) {
+        const code = req.get('X-2FA-Code') || (req.body && req.body.two_factor_code);
+        if (!code) {
+          return res.status(403).json({ error: "Two-factor code required", code: "STEP_UP_REQUIRED" });
+        }
+        const method = await twoFactor.verifyCode(owner, code);
+        if (!method) return res.status(403).json({ error: "Invalid two-factor code", code: "STEP_UP_FAILED" });
+        req.stepUp = { method };
+        return next();
+      }
+
+      if (!emailOtpPurpose || req.admin) return next();
+      const code = req.get('X-OTP-Code') || (req.body && req.body.otp_code);
+      if (!code) {
+        return res.status(403).json({ error: "Email verification code required", code: "EMAIL_OTP_REQUIRED" });
+      }
+      const result = await otp.verify(req.user.id, emailOtpPurpose, code);
+      if (!result.ok) {
+        const { body } = otp.failureResponse(result);
+        return res.status(403).json({ ...body, code: "EMAIL_OTP_FAILED" });
+      }
+      req.stepUp = { method: 'email_otp' };
+      next();
+    } catch (err) {
+      res.status(500).json({ error: "Database error" });
+    }
+  };
+}
+
+const requireStepUp = stepUp();
+
+// Like requireStepUp, but customers without 2FA confirm with an email code
+function requireStepUpOrEmailOtp(purpose) {
+  return stepUp({ emailOtpPurpose: purpose });
+}
+
+// requirePermission('deposits:approve') authenticates the admin (if not done
+// already) and checks their role grants the permission.
+function requirePermission(permission) {
+  if (!Object.values(PERMISSIONS).includes(permission)) {
+    throw new Error(`Unknown admin permission: ${permission}`);
+  }
+  const check = (req, res, next) => {
+    if (!hasPermission(req.admin.role, permission)) {
+      return res.status(403).json({ error: `Missing permission: ${permission}` });
+    }
     next();
-  });
+  };
+  return (req, res, next) => (req.admin ? check(req, res, next) : authenticateAdmin(req, res, () => check(req, res, next)));
 }
 
 // Export as object for easy extension later
-module.exports = { authenticateToken };
+module.exports = {
+  PERMISSIONS,
+  ROLES,
+  ROLE_PERMISSIONS,
+  hasPermission,
+  authenticateToken,
+  authenticateAdmin,
+  authenticateAdminForMfaSetup,
+  requirePermission,
+  requireStepUp,
+  requireStepUpOrEmailOtp,
+  signAdminToken,
+  signMfaChallenge,
+  verifyMfaChallenge,
+  hasAdminToken,
+};
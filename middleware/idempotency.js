@@ -0,0 +1,106 @@
+const crypto = require('crypto');
+const pool = require('../db');
+
+// Keys can be reused once they are older than this
+const KEY_TTL_HOURS = 24;
+
+function hashRequest(req) {
+  return crypto
+    .createHash('sha256')
+    .update(req.method + ' ' + req.baseUrl + req.path + ' ' + JSON.stringify(req.body || {}))
+    .digest('hex');
+}
+
+/**
+ * Makes a money-moving POST safe to retry. When the client sends an
+ * `Idempotency-Key` header, the first request is processed normally and its
+ * response stored; any retry with the same key gets that stored response
+ * back instead of running the handler again. Requests without the header are
+ * untouched.
+ *
+ * Use after authenticateToken: keys are scoped per user and per `scope`
+ * (e.g. 'trade', 'convert', 'stake', 'withdrawal').
+ */
+function idempotent(scope) {
+  return async (req, res, next) => {
+    const key = req.get('Idempotency-Key');
+    if (!key) return next();
+    if (key.length > 255) {
+      return res.status(400).json({ error: 'Idempotency-Key must be at most 255 characters' });
+    }
+    const userId = req.user.id;
+
+    const requestHash = hashRequest(req);
+    try {
+      await pool.query(
+        `DELETE FROM idempotency_keys
+         WHERE user_id = $1 AND scope = $2 AND key = $3
+           AND created_at < NOW() - make_interval(hours => $4)`,
+        [userId, scope, key, KEY_TTL_HOURS]
+      );
+      const { rows: claimed } = await pool.query(
+        `INSERT INTO idempotency_keys (user_id, scope, key, request_hash)
+         VALUES ($1, $2, $3, $4)
+         ON CONFLICT (user_id, scope, key) DO NOTHING
+         RETURNING key`,
+        [userId, scope, key, requestHash]
+      );
+
+      if (claimed.length === 0) {
+        const { rows } = await pool.query(
+          `SELECT request_hash, response_status, response_body FROM idempotency_keys
+           WHERE user_id = $1 AND scope = $2 AND key = $3`,
+          [userId, scope, key]
+        );
+        const existing = rows[0];
+        if (!existing) {
+          return res.status(409).json({ error: 'Idempotency-Key conflict, please retry' });
+        }
+        if (existing.request_hash !== requestHash) {
+          return res.status(422).json({ error: 'Idempotency-Key was already used for a different request' });
+        }
+        if (existing.response_status == null) {
+          return res.status(409).json({ error: 'A request with this Idempotency-Key is still being processed' });
+        }
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(existing.response_status).json(existing.response_body);
+      }
+    } catch (err) {
+      console.error('Idempotency error:', err);
+      return res.status(500).json({ error: 'Database error' });
+    }
+
+    // Store the final response before sending it. Server errors and auth
+    // failures (e.g. a wrong 2FA code) release the key so the client can
+    // retry for real.
+    const release = () => pool.query(
+      'DELETE FROM idempotency_keys WHERE user_id = $1 AND scope = $2 AND key = $3',
+      [userId, scope, key]
+    );
+    let answered = false;
+    res.on('close', () => {
+      if (!answered) release().catch(err => console.error('Idempotency release error:', err));
+    });
+
+    const sendJson = res.json.bind(res);
+    res.json = (body) => {
+      answered = true;
+      const status = res.statusCode;
+      const save = status >= 500 || status === 401 || status === 403
+        ? release()
+        : pool.query(
+            `UPDATE idempotency_keys
+             SET response_status = $4, response_body = $5, completed_at = NOW()
+             WHERE user_id = $1 AND scope = $2 AND key = $3`,
+            [userId, scope, key, status, JSON.stringify(body)]
+          );
+      save
+        .catch(err => console.error('Idempotency save error:', err))
+        .finally(() => sendJson(body));
+      return res;
+    };
+    next();
+  };
+}
+
+module.exports = { idempotent };
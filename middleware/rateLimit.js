@@ -0,0 +1,293 @@
+// middleware/rateLimit.js
+// Request throttling and login lockout.
+//
+//   rateLimit(group, by) - fixed-window limit per route group and client key
+//                          (IP, user, or a request field such as the email)
+//   loginLockout         - progressive lockout after consecutive failed logins
+//
+// Counters live in memory by default (one process). With
+// RATE_LIMIT_STORE=postgres they are kept in the database (migration 012) so
+// every instance shares them. Limited requests get 429 with Retry-After.
+const pool = require('../db');
+
+// Route groups: max requests per windowSeconds for each client key.
+// Override one with RATE_LIMIT_<GROUP>="max/windowSeconds", e.g. RATE_LIMIT_LOGIN="10/300".
+const RATE_LIMITS = {
+  login: { max: 20, windowSeconds: 15 * 60 },
+  login_2fa: { max: 20, windowSeconds: 15 * 60 },
+  admin_login: { max: 10, windowSeconds: 15 * 60 },
+  register: { max: 10, windowSeconds: 60 * 60 },
+  otp_verify: { max: 20, windowSeconds: 15 * 60 },
+  otp_send: { max: 10, windowSeconds: 60 * 60 },
+  otp_send_account: { max: 5, windowSeconds: 60 * 60 },
+  token_refresh: { max: 60, windowSeconds: 15 * 60 },
+  trade: { max: 60, windowSeconds: 60 },
+  convert: { max: 30, windowSeconds: 60 },
+  withdrawal: { max: 10, windowSeconds: 60 * 60 },
+  withdrawal_otp: { max: 5, windowSeconds: 15 * 60 },
+};
+
+// Failures before the first lock; each further failure doubles the lock,
+// up to maxSeconds. The count starts over after resetSeconds without failures.
+const LOGIN_LOCKOUT = {
+  freeAttempts: 5,
+  baseSeconds: 30,
+  maxSeconds: 60 * 60,
+  resetSeconds: 24 * 60 * 60,
+};
+
+function limitFor(group) {
+  const limit = RATE_LIMITS[group];
+  if (!limit) throw new Error(`Unknown rate limit group: ${group}`);
+  const override = process.env[`RATE_LIMIT_${group.toUpperCase()}`];
+  if (override) {
+    const [max, windowSeconds] = override.split('/').map(Number);
+    if (max > 0 && windowSeconds > 0) return { max, windowSeconds };
+    console.error(`Ignoring invalid RATE_LIMIT_${group.toUpperCase()}: ${override}`);
+  }
+  return limit;
+}
+
+// --- Stores ---
+
+// `clock` returns the current time in ms; tests pass a fake one
+function memoryStore({ clock = Date.now } = {}) {
+  const counters = new Map(); // key -> { count, resetAt }
+  const failures = new Map(); // key -> { failures, lastFailureAt, lockedUntil }
+
+  // Drop expired entries now and then so the maps do not grow forever
+  const sweep = setInterval(() => {
+    const now = clock();
+    for (const [k, c] of counters) if (c.resetAt <= now) counters.delete(k);
+    for (const [k, f] of failures) {
+      if (f.lastFailureAt + LOGIN_LOCKOUT.resetSeconds * 1000 <= now && (f.lockedUntil || 0) <= now) failures.delete(k);
+    }
+  }, 60 * 1000);
+  sweep.unref();
+
+  return {
+    name: 'memory',
+    async hit(key, windowSeconds) {
+      const now = clock();
+      let c = counters.get(key);
+      if (!c || c.resetAt <= now) {
+        c = { count: 0, resetAt: now + windowSeconds * 1000 };
+        counters.set(key, c);
+      }
+      c.count++;
+      return { count: c.count, resetAt: c.resetAt };
+    },
+    async lockedFor(key) {
+      const f = failures.get(key);
+      const ms = f && f.lockedUntil ? f.lockedUntil - clock() : 0;
+      return ms > 0 ? Math.ceil(ms / 1000) : 0;
+    },
+    async recordFailure(key, resetSeconds) {
+      const now = clock();
+      let f = failures.get(key);
+      if (!f || f.lastFailureAt + resetSeconds * 1000 < now) {
+        f = { failures: 0, lockedUntil: null };
+        failures.set(key, f);
+      }
+      f.failures++;
+      f.lastFailureAt = now;
+      return f.failures;
+    },
+    async lock(key, seconds) {
+      const f = failures.get(key);
+      if (f) f.lockedUntil = clock() + seconds * 1000;
+    },
+    async clearFailures(key) {
+      failures.delete(key);
+    },
+  };
+}
+
+function postgresStore(db = pool) {
+  let lastPrune = 0;
+  const prune = () => {
+    if (Date.now() - lastPrune < 60 * 1000) return;
+    lastPrune = Date.now();
+    db.query('DELETE FROM rate_limit_counters WHERE reset_at < NOW()')
+      .catch(err => console.error('Rate limit prune error:', err));
+  };
+
+  return {
+    name: 'postgres',
+    async hit(key, windowSeconds) {
+      prune();
+      const { rows } = await db.query(
+        `INSERT INTO rate_limit_counters (key, count, reset_at)
+         VALUES ($1, 1, NOW() + make_interval(secs => $2))
+         ON CONFLICT (key) DO UPDATE SET
+           count = CASE WHEN rate_limit_counters.reset_at <= NOW() THEN 1
+                        ELSE rate_limit_counters.count + 1 END,
+           reset_at = CASE WHEN rate_limit_counters.reset_at <= NOW() THEN EXCLUDED.reset_at
+                           ELSE rate_limit_counters.reset_at END
+         RETURNING count, reset_at`,
+        [key, windowSeconds]
+      );
+      return { count: rows[0].count, resetAt: new Date(rows[0].reset_at).getTime() };
+    },
+    async lockedFor(key) {
+      const { rows } = await db.query(
+        `SELECT CEIL(EXTRACT(EPOCH FROM locked_until - NOW()))::int AS seconds
+         FROM login_failures WHERE key = $1 AND locked_until > NOW()`,
+        [key]
+      );
+      return rows[0] ? rows[0].seconds : 0;
+    },
+    async recordFailure(key, resetSeconds) {
+      const { rows } = await db.query(
+        `INSERT INTO login_failures (key, failures) VALUES ($1, 1)
+         ON CONFLICT (key) DO UPDATE SET
+           failures = CASE WHEN login_failures.last_failure_at < NOW() - make_interval(secs => $2) THEN 1
+                           ELSE login_failures.failures + 1 END,
+           last_failure_at = NOW()
+         RETURNING failures`,
+        [key, resetSeconds]
+      );
+      return rows[0].failures;
+    },
+    async lock(key, seconds) {
+      await db.query(
+        'UPDATE login_failures SET locked_until = NOW() + make_interval(secs => $2) WHERE key = $1',
+        [key, seconds]
+      );
+    },
+    async clearFailures(key) {
+      await db.query('DELETE FROM login_failures WHERE key = $1', [key]);
+    },
+  };
+}
+
+let store = null;
+
+function getStore() {
+  if (!store) {
+    const name = process.env.RATE_LIMIT_STORE || 'memory';
+    if (name === 'postgres') store = postgresStore();
+    else if (name === 'memory') store = memoryStore();
+    else throw new Error(`Unknown RATE_LIMIT_STORE: ${name}`);
+  }
+  return store;
+}
+
+// Swaps the store (e.g. a fresh memoryStore() in tests)
+function setStore(s) {
+  store = s;
+}
+
+// --- Request limits ---
+
+// Client keys for rateLimit(). Returning null skips the limit for that request.
+const byIp = (req) => req.ip;
+const byUser = (req) => (req.user ? `user:${req.user.id}` : req.ip);
+const byBodyField = (field) => (req) => {
+  const value = req.body && req.body[field];
+  return value ? `${field}:${String(value).trim().toLowerCase()}` : null;
+};
+
+function tooManyRequests(res, retryAfter, body) {
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json(body);
+}
+
+/**
+ * Limits how often one client can call a route group.
+ * Use after authenticateToken when keyed by user.
+ * @param {string} group key of RATE_LIMITS
+ * @param {function} [by] request -> client key (byIp, byUser, byBodyField(...))
+ */
+function rateLimit(group, by = byIp) {
+  limitFor(group); // fail at startup on a typo
+  return async (req, res, next) => {
+    const client = by(req);
+    if (!client) return next();
+    const { max, windowSeconds } = limitFor(group);
+    let counter;
+    try {
+      counter = await getStore().hit(`${group}:${client}`, windowSeconds);
+    } catch (err) {
+      // Fail open: an unavailable store must not take the API down with it
+      console.error('Rate limit store error:', err);
+      return next();
+    }
+    const resetIn = Math.max(Math.ceil((counter.resetAt - Date.now()) / 1000), 1);
+    res.set('RateLimit-Limit', String(max));
+    res.set('RateLimit-Remaining', String(Math.max(max - counter.count, 0)));
+    res.set('RateLimit-Reset', String(resetIn));
+    if (counter.count > max) {
+      return tooManyRequests(res, resetIn, {
+        error: `Too many requests, please try again in ${resetIn} seconds.`,
+        code: 'RATE_LIMITED',
+      });
+    }
+    next();
+  };
+}
+
+// --- Login lockout ---
+
+function lockSeconds(failures) {
+  const { freeAttempts, baseSeconds, maxSeconds } = LOGIN_LOCKOUT;
+  if (failures < freeAttempts) return 0;
+  return Math.min(baseSeconds * 2 ** (failures - freeAttempts), maxSeconds);
+}
+
+// Lockout key for an account; unknown accounts are tracked too, so the
+// response does not reveal whether one exists.
+function loginKey(kind, identifier) {
+  return `${kind}:${String(identifier || '').trim().toLowerCase()}`;
+}
+
+const loginLockout = {
+  // Seconds the account is still locked for, 0 when it may try again
+  async check(key) {
+    try {
+      return await getStore().lockedFor(key);
+    } catch (err) {
+      console.error('Login lockout store error:', err);
+      return 0;
+    }
+  },
+  // Counts a failed attempt; returns the lock it triggered in seconds (0 for none)
+  async failed(key) {
+    try {
+      const s = getStore();
+      const seconds = lockSeconds(await s.recordFailure(key, LOGIN_LOCKOUT.resetSeconds));
+      if (seconds > 0) await s.lock(key, seconds);
+      return seconds;
+    } catch (err) {
+      console.error('Login lockout store error:', err);
+      return 0;
+    }
+  },
+  async succeeded(key) {
+    try {
+      await getStore().clearFailures(key);
+    } catch (err) {
+      console.error('Login lockout store error:', err);
+    }
+  },
+  respond(res, retryAfter) {
+    return tooManyRequests(res, retryAfter, {
+      error: `Too many failed login attempts. Try again in ${retryAfter} seconds.`,
+      code: 'LOGIN_LOCKED',
+    });
+  },
+};
+
+module.exports = {
+  RATE_LIMITS,
+  LOGIN_LOCKOUT,
+  rateLimit,
+  byIp,
+  byUser,
+  byBodyField,
+  loginKey,
+  loginLockout,
+  memoryStore,
+  postgresStore,
+  setStore,
+};
@@ -0,0 +1,196 @@
+// middleware/validate.js
+// Declarative request validation. Each route declares the shape of its input
+// next to the handler:
+//
+//   router.post('/', authenticateToken, validate({
+//     body: { coin: v.coin(), amount: v.amount(), address: v.string({ max: 200 }) },
+//   }), handler);
+//
+// Values are checked and normalised (numeric strings become numbers, coins
+// are upper-cased, ...). The cleaned body and params are merged back into
+// req.body / req.params; everything cleaned is also on req.validated.
+// Any failure answers 400 with one message per field:
+//   { error: 'Validation failed', details: [{ field, message }] }
+const { WALLET_COINS, coinDecimals, fitsDecimals, isWalletCoin } = require('../utils/coins');
+
+const DECIMAL_RE = /^\d+(\.\d+)?$/;
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const ok = (value) => ({ value });
+const fail = (message) => ({ error: message });
+
+function toNumber(value) {
+  if (typeof value === 'number') return value;
+  if (typeof value === 'string' && value.trim() !== '') return Number(value.trim());
+  return NaN;
+}
+
+// Rule builders. Every rule accepts { optional, default }; a missing value
+// (undefined, null or '') fails unless the rule is optional or has a default.
+const v = {
+  string({ min = 1, max = 255, pattern = null, patternMessage = 'has an invalid format', trim = true, ...opts } = {}) {
+    return {
+      ...opts,
+      parse(value) {
+        if (typeof value !== 'string') return fail('must be a string');
+        const s = trim ? value.trim() : value;
+        if (s.length < min) return fail(`must be at least ${min} characters`);
+        if (s.length > max) return fail(`must be at most ${max} characters`);
+        if (pattern && !pattern.test(s)) return fail(patternMessage);
+        return ok(s);
+      },
+    };
+  },
+
+  email(opts = {}) {
+    return v.string({ max: 254, pattern: EMAIL_RE, patternMessage: 'must be a valid email address', ...opts });
+  },
+
+  // New passwords; existing ones are only checked against the stored hash
+  password(opts = {}) {
+    return v.string({ min: 8, max: 200, trim: false, ...opts });
+  },
+
+  number({ min = null, max = null, gt = null, integer = false, ...opts } = {}) {
+    return {
+      ...opts,
+      parse(value) {
+        const n = toNumber(value);
+        if (!Number.isFinite(n)) return fail('must be a number');
+        if (integer && !Number.isInteger(n)) return fail('must be a whole number');
+        if (gt != null && !(n > gt)) return fail(`must be greater than ${gt}`);
+        if (min != null && n < min) return fail(`must be at least ${min}`);
+        if (max != null && n > max) return fail(`must be at most ${max}`);
+        return ok(n);
+      },
+    };
+  },
+
+  integer(opts = {}) {
+    return v.number({ ...opts, integer: true });
+  },
+
+  // Row ids (params and bodies)
+  id(opts = {}) {
+    return v.integer({ min: 1, ...opts });
+  },
+
+  boolean(opts = {}) {
+    return {
+      ...opts,
+      parse(value) {
+        if (typeof value === 'boolean') return ok(value);
+        if (value === 'true' || value === '1' || value === 1) return ok(true);
+        if (value === 'false' || value === '0' || value === 0) return ok(false);
+        return fail('must be true or false');
+      },
+    };
+  },
+
+  // ISO date or date-time string -> Date
+  date(opts = {}) {
+    return {
+      ...opts,
+      parse(value) {
+        const d = typeof value === 'string' ? new Date(value) : null;
+        if (!d || isNaN(d.getTime())) return fail('must be a valid date');
+        return ok(d);
+      },
+    };
+  },
+
+  // One of a fixed set; normalize(value) runs first (e.g. upper-casing)
+  oneOf(values, { normalize = (x) => x, ...opts } = {}) {
+    return {
+      ...opts,
+      parse(value) {
+        const n = typeof value === 'string' || typeof value === 'number' ? normalize(value) : value;
+        if (!values.includes(n)) return fail(`must be one of: ${values.join(', ')}`);
+        return ok(n);
+      },
+    };
+  },
+
+  coin(opts = {}) {
+    return v.oneOf(WALLET_COINS, { normalize: (c) => String(c).trim().toUpperCase(), ...opts });
+  },
+
+  /**
+   * Positive decimal amount with at most as many decimal places as the coin
+   * allows. The coin is fixed (`coin: 'USDT'`) or read from another field
+   * of the same input (`coinField`, default 'coin').
+   */
+  amount({ coin = null, coinField = 'coin', min = null, max = null, ...opts } = {}) {
+    return {
+      ...opts,
+      parse(value, input) {
+        const s = typeof value === 'number' ? String(value) : typeof value === 'string' ? value.trim() : '';
+        if (!DECIMAL_RE.test(s)) return fail('must be a positive decimal number');
+        const n = Number(s);
+        if (!(n > 0)) return fail('must be greater than 0');
+        if (min != null && n < min) return fail(`must be at least ${min}`);
+        if (max != null && n > max) return fail(`must be at most ${max}`);
+        const c = coin || String((input && input[coinField]) || '').trim().toUpperCase();
+        if (isWalletCoin(c) && !fitsDecimals(s, c)) {
+          return fail(`must have at most ${coinDecimals(c)} decimal places for ${c}`);
+        }
+        return ok(n);
+      },
+    };
+  },
+};
+
+function isMissing(value) {
+  return value === undefined || value === null || value === '';
+}
+
+// Checks one section (body, params or query) against its schema
+function check(schema, input, details) {
+  const out = {};
+  for (const [field, rule] of Object.entries(schema)) {
+    const value = input[field];
+    if (isMissing(value)) {
+      if (rule.default !== undefined) out[field] = rule.default;
+      else if (!rule.optional) details.push({ field, message: 'is required' });
+      continue;
+    }
+    // Rules see fields declared before them already cleaned (e.g. amount sees the coin)
+    const result = rule.parse(value, { ...input, ...out });
+    if (result.error) details.push({ field, message: result.error });
+    else out[field] = result.value;
+  }
+  return out;
+}
+
+const SECTIONS = ['params', 'query', 'body'];
+
+/**
+ * Builds the validation middleware for a route.
+ * @param {{body?: object, params?: object, query?: object}} schema field -> rule
+ */
+function validate(schema) {
+  for (const section of Object.keys(schema)) {
+    if (!SECTIONS.includes(section)) throw new Error(`Unknown validation section: ${section}`);
+    for (const [field, rule] of Object.entries(schema[section])) {
+      if (!rule || typeof rule.parse !== 'function') throw new Error(`Invalid validation rule for ${section}.${field}`);
+    }
+  }
+  return (req, res, next) => {
+    const details = [];
+    const validated = {};
+    for (const section of SECTIONS) {
+      if (!schema[section]) continue;
+      validated[section] = check(schema[section], req[section] || {}, details);
+    }
+    if (details.length > 0) {
+      return res.status(400).json({ error: 'Validation failed', details });
+    }
+    if (validated.body) req.body = { ...(req.body || {}), ...validated.body };
+    if (validated.params) Object.assign(req.params, validated.params);
+    // req.query is re-parsed on every access, so cleaned query values live only here
+    req.validated = validated;
+    next();
+  };
+}
+
+module.exports = { validate, v };
@@ -0,0 +1,54 @@
+// migrate-passwords.js
+// One-off: hashes every plaintext password left in users.password.
+// Safe to re-run; rows that already hold a bcrypt hash are skipped, and a row
+// is only updated if its password did not change while we were hashing it.
+//
+// Usage: node migrate-passwords.js [--dry-run]
+require('dotenv').config();
+const pool = require('./db');
+const { hashPassword } = require('./utils/password');
+
+const BATCH_SIZE = 200;
+const dryRun = process.argv.includes('--dry-run');
+
+async function main() {
+  let lastId = null;
+  let migrated = 0;
+  let skipped = 0;
+  for (;;) {
+    const { rows } = await pool.query(
+      `SELECT id, password FROM users
+       WHERE password IS NOT NULL AND password !~ '^\\$2[aby]\\$[0-9]{2}\\$'
+         AND ($1::bigint IS NULL OR id > $1)
+       ORDER BY id
+       LIMIT $2`,
+      [lastId, BATCH_SIZE]
+    );
+    if (rows.length === 0) break;
+    for (const user of rows) {
+      lastId = user.id;
+      if (dryRun) {
+        migrated++;
+        continue;
+      }
+      const { rowCount } = await pool.query(
+        'UPDATE users SET password = $1 WHERE id = $2 AND password = $3',
+        [await hashPassword(user.password), user.id, user.password]
+      );
+      if (rowCount === 1) migrated++;
+      else skipped++;
+    }
+  }
+  console.log(
+    dryRun
+      ? `🔎 ${migrated} plaintext password(s) would be hashed`
+      : `✅ Hashed ${migrated} plaintext password(s)${skipped ? `, ${skipped} changed meanwhile and were skipped` : ''}`
+  );
+}
+
+main()
+  .catch(err => {
+    console.error('❌ Password migration failed:', err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
@@ -0,0 +1,49 @@
+// migrate.js
+// Applies migrations/*.sql in filename order, once each.
+// Usage: node migrate.js
+const fs = require('fs');
+const path = require('path');
+const pool = require('./db');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+async function migrate() {
+  await pool.query(
+    `CREATE TABLE IF NOT EXISTS schema_migrations (
+       name TEXT PRIMARY KEY,
+       applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+     )`
+  );
+  const { rows } = await pool.query('SELECT name FROM schema_migrations');
+  const applied = new Set(rows.map(r => r.name));
+
+  const files = fs.readdirSync(MIGRATIONS_DIR)
+    .filter(f => f.endsWith('.sql'))
+    .sort();
+
+  for (const file of files) {
+    if (applied.has(file)) continue;
+    const sql = fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf8');
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      await client.query(sql);
+      await client.query('INSERT INTO schema_migrations (name) VALUES ($1)', [file]);
+      await client.query('COMMIT');
+      console.log(`✅ Applied ${file}`);
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw new Error(`${file}: ${err.message}`);
+    } finally {
+      client.release();
+    }
+  }
+}
+
+migrate()
+  .then(() => console.log('✅ Migrations up to date'))
+  .catch(err => {
+    console.error('❌ Migration failed:', err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
@@ -0,0 +1,125 @@
+-- migrations/000_baseline.sql
+-- Tables the app already relies on (originally created by hand in Supabase).
+-- Everything is IF NOT EXISTS so this is a no-op against the live database
+-- and gives a fresh local Postgres the same shape.
+
+CREATE TABLE IF NOT EXISTS users (
+  id            BIGINT PRIMARY KEY,
+  username      TEXT,
+  email         TEXT UNIQUE,
+  password      TEXT,
+  password_hash TEXT,
+  balance       NUMERIC DEFAULT 0,
+  otp           TEXT,
+  verified      BOOLEAN DEFAULT FALSE,
+  is_admin      BOOLEAN DEFAULT FALSE,
+  kyc_status    TEXT DEFAULT 'unverified',
+  kyc_selfie    TEXT,
+  kyc_id_card   TEXT,
+  avatar        TEXT,
+  referral      TEXT,
+  created_at    TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS user_balances (
+  user_id BIGINT NOT NULL REFERENCES users(id),
+  coin    TEXT NOT NULL,
+  balance NUMERIC NOT NULL DEFAULT 0,
+  frozen  NUMERIC NOT NULL DEFAULT 0,
+  PRIMARY KEY (user_id, coin)
+);
+
+CREATE TABLE IF NOT EXISTS trades (
+  id           SERIAL PRIMARY KEY,
+  user_id      BIGINT NOT NULL REFERENCES users(id),
+  symbol       TEXT,
+  coin         TEXT,
+  direction    TEXT,
+  amount       NUMERIC NOT NULL,
+  duration     INTEGER NOT NULL,
+  start_price  NUMERIC,
+  result       TEXT,
+  profit       NUMERIC DEFAULT 0,
+  result_price NUMERIC,
+  approved     BOOLEAN,
+  "timestamp"  TIMESTAMPTZ DEFAULT NOW(),
+  created_at   TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS deposits (
+  id         SERIAL PRIMARY KEY,
+  user_id    BIGINT NOT NULL REFERENCES users(id),
+  coin       TEXT NOT NULL,
+  amount     NUMERIC NOT NULL,
+  address    TEXT,
+  screenshot TEXT,
+  status     TEXT DEFAULT 'pending',
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS withdrawals (
+  id         SERIAL PRIMARY KEY,
+  user_id    BIGINT NOT NULL REFERENCES users(id),
+  coin       TEXT NOT NULL,
+  amount     NUMERIC NOT NULL,
+  address    TEXT,
+  network    TEXT,
+  status     TEXT DEFAULT 'pending',
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS conversions (
+  id         SERIAL PRIMARY KEY,
+  user_id    BIGINT NOT NULL REFERENCES users(id),
+  from_coin  TEXT NOT NULL,
+  to_coin    TEXT NOT NULL,
+  amount     NUMERIC NOT NULL,
+  received   NUMERIC NOT NULL,
+  rate       NUMERIC,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS stakes (
+  id            SERIAL PRIMARY KEY,
+  user_id       BIGINT NOT NULL REFERENCES users(id),
+  coin          TEXT NOT NULL,
+  amount        NUMERIC NOT NULL,
+  daily_rate    NUMERIC,
+  duration_days INTEGER,
+  start_date    TIMESTAMPTZ,
+  end_date      TIMESTAMPTZ,
+  status        TEXT DEFAULT 'ACTIVE',
+  created_at    TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS balance_history (
+  id          SERIAL PRIMARY KEY,
+  user_id     BIGINT NOT NULL,
+  coin        TEXT NOT NULL,
+  balance     NUMERIC,
+  price_usd   NUMERIC,
+  "timestamp" TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS settings (
+  key   TEXT PRIMARY KEY,
+  value TEXT
+);
+
+CREATE TABLE IF NOT EXISTS user_trade_modes (
+  user_id BIGINT PRIMARY KEY,
+  mode    TEXT
+);
+
+CREATE TABLE IF NOT EXISTS deposit_addresses (
+  coin       TEXT PRIMARY KEY,
+  address    TEXT,
+  qr_url     TEXT,
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS prices (
+  symbol     TEXT,
+  price_usd  NUMERIC,
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
@@ -0,0 +1,92 @@
+-- migrations/001_ledger.sql
+-- Double-entry ledger. Every balance movement is one journal with two or more
+-- postings; postings of a journal must sum to zero per coin.
+-- user_balances.balance is the projection of each user's 'available' account.
+
+CREATE TABLE IF NOT EXISTS ledger_journals (
+  id         BIGSERIAL PRIMARY KEY,
+  reason     TEXT NOT NULL,
+  ref_type   TEXT,
+  ref_id     TEXT,
+  user_id    BIGINT,
+  memo       TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS ledger_journals_ref_idx ON ledger_journals (ref_type, ref_id);
+CREATE INDEX IF NOT EXISTS ledger_journals_user_idx ON ledger_journals (user_id, created_at);
+
+CREATE TABLE IF NOT EXISTS ledger_postings (
+  id         BIGSERIAL PRIMARY KEY,
+  journal_id BIGINT NOT NULL REFERENCES ledger_journals(id),
+  user_id    BIGINT,
+  account    TEXT NOT NULL,
+  coin       TEXT NOT NULL,
+  amount     NUMERIC NOT NULL CHECK (amount <> 0)
+);
+
+CREATE INDEX IF NOT EXISTS ledger_postings_journal_idx ON ledger_postings (journal_id);
+CREATE INDEX IF NOT EXISTS ledger_postings_account_idx ON ledger_postings (user_id, account, coin);
+
+-- Reject any transaction that leaves a journal unbalanced. Deferred so all
+-- postings of a journal can be inserted before the check runs.
+CREATE OR REPLACE FUNCTION ledger_check_journal_balanced() RETURNS trigger AS $$
+BEGIN
+  IF EXISTS (
+    SELECT 1 FROM ledger_postings
+    WHERE journal_id = NEW.journal_id
+    GROUP BY coin
+    HAVING SUM(amount) <> 0
+  ) THEN
+    RAISE EXCEPTION 'ledger journal % is not balanced', NEW.journal_id;
+  END IF;
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS ledger_postings_balanced ON ledger_postings;
+CREATE CONSTRAINT TRIGGER ledger_postings_balanced
+  AFTER INSERT ON ledger_postings
+  DEFERRABLE INITIALLY DEFERRED
+  FOR EACH ROW EXECUTE FUNCTION ledger_check_journal_balanced();
+
+-- Ledger is append-only: corrections are new journals, never edits.
+CREATE OR REPLACE FUNCTION ledger_reject_mutation() RETURNS trigger AS $$
+BEGIN
+  RAISE EXCEPTION '% is append-only', TG_TABLE_NAME;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS ledger_journals_append_only ON ledger_journals;
+CREATE TRIGGER ledger_journals_append_only
+  BEFORE UPDATE OR DELETE ON ledger_journals
+  FOR EACH ROW EXECUTE FUNCTION ledger_reject_mutation();
+
+DROP TRIGGER IF EXISTS ledger_postings_append_only ON ledger_postings;
+CREATE TRIGGER ledger_postings_append_only
+  BEFORE UPDATE OR DELETE ON ledger_postings
+  FOR EACH ROW EXECUTE FUNCTION ledger_reject_mutation();
+
+CREATE OR REPLACE VIEW ledger_account_balances AS
+  SELECT user_id, account, coin, SUM(amount) AS balance
+  FROM ledger_postings
+  GROUP BY user_id, account, coin;
+
+-- Opening balances: whatever user_balances holds today becomes the first
+-- journal for that user/coin, funded from the system:opening account.
+DO $$
+DECLARE
+  r RECORD;
+  jid BIGINT;
+BEGIN
+  FOR r IN SELECT user_id, coin, balance FROM user_balances WHERE balance <> 0 LOOP
+    INSERT INTO ledger_journals (reason, ref_type, ref_id, user_id, memo)
+    VALUES ('OPENING_BALANCE', 'user_balances', r.user_id || ':' || r.coin, r.user_id,
+            'Balance carried over from user_balances')
+    RETURNING id INTO jid;
+
+    INSERT INTO ledger_postings (journal_id, user_id, account, coin, amount)
+    VALUES (jid, r.user_id, 'available', r.coin, r.balance),
+           (jid, NULL, 'system:opening', r.coin, -r.balance);
+  END LOOP;
+END $$;
@@ -0,0 +1,13 @@
+-- migrations/002_ledger_cutover.sql
+-- Records when the ledger went live. Source rows older than this with no
+-- journal of their own are already accounted for by the OPENING_BALANCE
+-- journals, which the reconciliation job needs to know.
+
+INSERT INTO settings (key, value)
+SELECT 'LEDGER_CUTOVER_AT',
+       COALESCE(
+         (SELECT MIN(created_at) FROM ledger_journals WHERE reason = 'OPENING_BALANCE'),
+         (SELECT applied_at FROM schema_migrations WHERE name = '001_ledger.sql'),
+         NOW()
+       )::text
+ON CONFLICT (key) DO NOTHING;
@@ -0,0 +1,6 @@
+-- migrations/003_trade_settlement.sql
+-- Supports the settlement worker in jobs/tradeSettlement.js.
+
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS settled_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS trades_pending_idx ON trades ("timestamp") WHERE result = 'PENDING';
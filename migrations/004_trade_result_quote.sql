@@ -0,0 +1,6 @@
+-- migrations/004_trade_result_quote.sql
+-- The market quote each trade was settled against, for auditing.
+
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS result_price_source TEXT;
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS result_price_fetched_at TIMESTAMPTZ;
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS result_price_raw TEXT;
@@ -0,0 +1,28 @@
+-- migrations/005_balance_guards_idempotency.sql
+-- Balances can never go negative, whatever code path writes them.
+-- NOT VALID keeps the migration from failing on legacy rows while still
+-- enforcing the rule on every insert/update from now on.
+
+ALTER TABLE user_balances DROP CONSTRAINT IF EXISTS user_balances_balance_non_negative;
+ALTER TABLE user_balances
+  ADD CONSTRAINT user_balances_balance_non_negative CHECK (balance >= 0) NOT VALID;
+
+ALTER TABLE user_balances DROP CONSTRAINT IF EXISTS user_balances_frozen_non_negative;
+ALTER TABLE user_balances
+  ADD CONSTRAINT user_balances_frozen_non_negative CHECK (frozen >= 0) NOT VALID;
+
+-- Idempotency-Key support (middleware/idempotency.js). One row per
+-- user + endpoint scope + client key; the stored response is replayed on retry.
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+  user_id         BIGINT NOT NULL,
+  scope           TEXT NOT NULL,
+  key             TEXT NOT NULL,
+  request_hash    TEXT NOT NULL,
+  response_status INTEGER,
+  response_body   JSONB,
+  created_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  completed_at    TIMESTAMPTZ,
+  PRIMARY KEY (user_id, scope, key)
+);
+
+CREATE INDEX IF NOT EXISTS idempotency_keys_created_idx ON idempotency_keys (created_at);
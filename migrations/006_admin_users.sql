@@ -0,0 +1,23 @@
+-- migrations/006_admin_users.sql
+-- Back-office accounts, separate from customer users. Each admin has one role;
+-- what a role may do is defined in middleware/auth.js (ROLE_PERMISSIONS).
+
+CREATE TABLE IF NOT EXISTS admin_users (
+  id            BIGSERIAL PRIMARY KEY,
+  email         TEXT NOT NULL,
+  name          TEXT,
+  password_hash TEXT NOT NULL,
+  role          TEXT NOT NULL CHECK (role IN ('support', 'compliance', 'finance', 'superadmin')),
+  active        BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at    TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  last_login_at TIMESTAMPTZ
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS admin_users_email_idx ON admin_users (LOWER(email));
+
+-- Existing users flagged is_admin with a bcrypt hash keep access as superadmins
+INSERT INTO admin_users (email, name, password_hash, role)
+SELECT u.email, u.username, u.password_hash, 'superadmin'
+FROM users u
+WHERE u.is_admin = TRUE AND u.email IS NOT NULL AND u.password_hash IS NOT NULL
+ON CONFLICT DO NOTHING;
@@ -0,0 +1,35 @@
+-- migrations/007_admin_audit_log.sql
+-- Append-only record of back-office actions (utils/auditLog.js).
+-- Each row stores the hash of the previous row, and its own hash covers all
+-- of its fields plus prev_hash, so editing or removing an entry breaks the
+-- chain from that point on (GET /api/admin/audit/verify).
+
+CREATE TABLE IF NOT EXISTS admin_audit_log (
+  id          BIGSERIAL PRIMARY KEY,
+  admin_id    BIGINT,
+  admin_email TEXT,
+  action      TEXT NOT NULL,
+  target_type TEXT,
+  target_id   TEXT,
+  before      JSONB,
+  after       JSONB,
+  ip          TEXT,
+  user_agent  TEXT,
+  created_at  TIMESTAMPTZ NOT NULL,
+  prev_hash   TEXT,
+  hash        TEXT NOT NULL UNIQUE
+);
+
+CREATE INDEX IF NOT EXISTS admin_audit_log_admin_idx ON admin_audit_log (admin_id, created_at);
+CREATE INDEX IF NOT EXISTS admin_audit_log_target_idx ON admin_audit_log (target_type, target_id);
+CREATE INDEX IF NOT EXISTS admin_audit_log_action_idx ON admin_audit_log (action, created_at);
+
+DROP TRIGGER IF EXISTS admin_audit_log_append_only ON admin_audit_log;
+CREATE TRIGGER admin_audit_log_append_only
+  BEFORE UPDATE OR DELETE ON admin_audit_log
+  FOR EACH ROW EXECUTE FUNCTION ledger_reject_mutation();
+
+DROP TRIGGER IF EXISTS admin_audit_log_no_truncate ON admin_audit_log;
+CREATE TRIGGER admin_audit_log_no_truncate
+  BEFORE TRUNCATE ON admin_audit_log
+  FOR EACH STATEMENT EXECUTE FUNCTION ledger_reject_mutation();
@@ -0,0 +1,19 @@
+-- migrations/008_user_sessions.sql
+-- One row per logged-in device. Access tokens carry the session id (sid) and
+-- are only honoured while the session is not revoked or expired; the refresh
+-- token is stored as a SHA-256 hash and replaced on every use.
+
+CREATE TABLE IF NOT EXISTS user_sessions (
+  id                 TEXT PRIMARY KEY,
+  user_id            BIGINT NOT NULL,
+  refresh_token_hash TEXT NOT NULL,
+  ip                 TEXT,
+  user_agent         TEXT,
+  created_at         TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  last_seen_at       TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  expires_at         TIMESTAMPTZ NOT NULL,
+  revoked_at         TIMESTAMPTZ,
+  revoked_reason     TEXT
+);
+
+CREATE INDEX IF NOT EXISTS user_sessions_user_idx ON user_sessions (user_id) WHERE revoked_at IS NULL;
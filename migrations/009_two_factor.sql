@@ -0,0 +1,27 @@
+-- migrations/009_two_factor.sql
+-- TOTP second factor for customers ('user') and back-office admins ('admin').
+-- The secret is stored encrypted (utils/twoFactor.js); confirmed_at is NULL
+-- until the owner proves their authenticator app works. last_used_step stops
+-- the same code from being accepted twice.
+
+CREATE TABLE IF NOT EXISTS totp_factors (
+  owner_type     TEXT NOT NULL CHECK (owner_type IN ('user', 'admin')),
+  owner_id       BIGINT NOT NULL,
+  secret_enc     TEXT NOT NULL,
+  confirmed_at   TIMESTAMPTZ,
+  last_used_step BIGINT,
+  created_at     TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (owner_type, owner_id)
+);
+
+-- Single-use recovery codes, stored as SHA-256 hashes
+CREATE TABLE IF NOT EXISTS totp_backup_codes (
+  id         BIGSERIAL PRIMARY KEY,
+  owner_type TEXT NOT NULL,
+  owner_id   BIGINT NOT NULL,
+  code_hash  TEXT NOT NULL,
+  used_at    TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS totp_backup_codes_owner_idx ON totp_backup_codes (owner_type, owner_id);
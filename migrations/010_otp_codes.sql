@@ -0,0 +1,19 @@
+-- migrations/010_otp_codes.sql
+-- One-time codes sent by email (utils/otp.js). At most one live code per user
+-- and purpose; issuing a new one replaces it. Codes are stored as an HMAC,
+-- expire, allow a limited number of wrong guesses and work only once.
+
+CREATE TABLE IF NOT EXISTS otp_codes (
+  user_id      BIGINT NOT NULL,
+  purpose      TEXT NOT NULL CHECK (purpose IN ('verify_email', 'reset_password', 'withdrawal')),
+  code_hash    TEXT NOT NULL,
+  attempts     INTEGER NOT NULL DEFAULT 0,
+  max_attempts INTEGER NOT NULL,
+  created_at   TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  expires_at   TIMESTAMPTZ NOT NULL,
+  consumed_at  TIMESTAMPTZ,
+  PRIMARY KEY (user_id, purpose)
+);
+
+-- The old plaintext users.otp column is no longer read or written
+UPDATE users SET otp = NULL WHERE otp IS NOT NULL;
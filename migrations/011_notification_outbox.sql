@@ -0,0 +1,27 @@
+-- migrations/011_notification_outbox.sql
+-- Transactional outbox for user notifications (utils/notifications.js).
+-- Rows are inserted in the same transaction as the state change they describe
+-- and delivered afterwards by jobs/notificationOutbox.js, with retries.
+
+CREATE TABLE IF NOT EXISTS notification_outbox (
+  id              BIGSERIAL PRIMARY KEY,
+  user_id         BIGINT,
+  channel         TEXT NOT NULL DEFAULT 'email' CHECK (channel IN ('email')),
+  recipient       TEXT NOT NULL,
+  template        TEXT NOT NULL,
+  payload         JSONB NOT NULL DEFAULT '{}'::jsonb,
+  -- Same key twice (e.g. a deposit approved again) only notifies once
+  dedupe_key      TEXT UNIQUE,
+  status          TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'sent', 'failed')),
+  attempts        INTEGER NOT NULL DEFAULT 0,
+  max_attempts    INTEGER NOT NULL DEFAULT 8,
+  next_attempt_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  last_error      TEXT,
+  created_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  sent_at         TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS notification_outbox_due_idx
+  ON notification_outbox (next_attempt_at) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS notification_outbox_user_idx
+  ON notification_outbox (user_id, created_at DESC);
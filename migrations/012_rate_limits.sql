@@ -0,0 +1,19 @@
+-- migrations/012_rate_limits.sql
+-- Shared state for middleware/rateLimit.js when RATE_LIMIT_STORE=postgres, so
+-- limits hold across every server instance instead of per process.
+
+-- Fixed-window request counters, one row per limit group + client key
+CREATE TABLE IF NOT EXISTS rate_limit_counters (
+  key      TEXT PRIMARY KEY,
+  count    INTEGER NOT NULL,
+  reset_at TIMESTAMPTZ NOT NULL
+);
+CREATE INDEX IF NOT EXISTS rate_limit_counters_reset_idx ON rate_limit_counters (reset_at);
+
+-- Consecutive failed logins per account, for the progressive lockout
+CREATE TABLE IF NOT EXISTS login_failures (
+  key             TEXT PRIMARY KEY,
+  failures        INTEGER NOT NULL,
+  last_failure_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  locked_until    TIMESTAMPTZ
+);
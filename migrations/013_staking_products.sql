@@ -0,0 +1,31 @@
+-- migrations/013_staking_products.sql
+-- Server-defined staking products. A stake is opened against a product and
+-- keeps the product's rate from that moment on, whatever the product is
+-- changed to later.
+
+CREATE TABLE IF NOT EXISTS staking_products (
+  id           BIGSERIAL PRIMARY KEY,
+  name         TEXT,
+  coin         TEXT NOT NULL,
+  term_days    INTEGER NOT NULL CHECK (term_days > 0),
+  -- Annual rate in percent, e.g. 12.5 = 12.5% a year
+  apr          NUMERIC NOT NULL CHECK (apr > 0),
+  min_amount   NUMERIC NOT NULL CHECK (min_amount > 0),
+  max_amount   NUMERIC CHECK (max_amount IS NULL OR max_amount >= min_amount),
+  -- Most principal that may be staked in the product at once (NULL = no limit)
+  capacity     NUMERIC CHECK (capacity IS NULL OR capacity > 0),
+  staked_total NUMERIC NOT NULL DEFAULT 0 CHECK (staked_total >= 0),
+  starts_at    TIMESTAMPTZ,
+  ends_at      TIMESTAMPTZ CHECK (ends_at IS NULL OR starts_at IS NULL OR ends_at > starts_at),
+  active       BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at   TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at   TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CONSTRAINT staking_products_within_capacity CHECK (capacity IS NULL OR staked_total <= capacity)
+);
+
+CREATE INDEX IF NOT EXISTS staking_products_coin_idx ON staking_products (coin) WHERE active;
+
+-- The product a stake was opened from and the APR it locked in.
+-- stakes.daily_rate stays the rate payouts are computed from (apr / 365).
+ALTER TABLE stakes ADD COLUMN IF NOT EXISTS product_id BIGINT REFERENCES staking_products(id);
+ALTER TABLE stakes ADD COLUMN IF NOT EXISTS apr NUMERIC;
@@ -0,0 +1,54 @@
+-- migrations/014_flexible_savings.sql
+-- Flexible savings: funds move between a user's 'available' and 'savings'
+-- ledger accounts at any time and earn interest for every full UTC day they
+-- stay in savings. The savings balance itself lives only in the ledger.
+
+-- Rate per coin, set by admins. Coins without an active rate take no deposits.
+CREATE TABLE IF NOT EXISTS savings_rates (
+  coin       TEXT PRIMARY KEY,
+  -- Annual rate in percent, e.g. 4 = 4% a year
+  apr        NUMERIC NOT NULL CHECK (apr >= 0),
+  active     BOOLEAN NOT NULL DEFAULT TRUE,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- One per user and coin, created on the first deposit. accrued_through is the
+-- last UTC day interest has been worked out for.
+CREATE TABLE IF NOT EXISTS savings_accounts (
+  user_id         BIGINT NOT NULL,
+  coin            TEXT NOT NULL,
+  -- Credit interest back into savings (true) or to the available balance
+  compound        BOOLEAN NOT NULL DEFAULT TRUE,
+  accrued_through DATE NOT NULL DEFAULT (NOW() AT TIME ZONE 'UTC')::date,
+  created_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (user_id, coin)
+);
+
+-- Deposits into and withdrawals out of savings (ledger ref 'savings_movement')
+CREATE TABLE IF NOT EXISTS savings_movements (
+  id         BIGSERIAL PRIMARY KEY,
+  user_id    BIGINT NOT NULL,
+  coin       TEXT NOT NULL,
+  direction  TEXT NOT NULL CHECK (direction IN ('deposit', 'withdraw')),
+  amount     NUMERIC NOT NULL CHECK (amount > 0),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS savings_movements_user_idx ON savings_movements (user_id, created_at DESC);
+
+-- One interest credit per account and day (ledger ref 'savings_accrual')
+CREATE TABLE IF NOT EXISTS savings_accruals (
+  id           BIGSERIAL PRIMARY KEY,
+  user_id      BIGINT NOT NULL,
+  coin         TEXT NOT NULL,
+  accrual_date DATE NOT NULL,
+  -- Balance held for the whole day that interest was paid on
+  principal    NUMERIC NOT NULL CHECK (principal > 0),
+  apr          NUMERIC NOT NULL,
+  amount       NUMERIC NOT NULL CHECK (amount > 0),
+  compounded   BOOLEAN NOT NULL,
+  created_at   TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (user_id, coin, accrual_date)
+);
+
+CREATE INDEX IF NOT EXISTS savings_accruals_user_idx ON savings_accruals (user_id, accrual_date DESC);
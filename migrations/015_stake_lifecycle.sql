@@ -0,0 +1,36 @@
+-- migrations/015_stake_lifecycle.sql
+-- Early redemption and auto-renew for fixed-term stakes.
+--
+-- stakes.status: ACTIVE -> REDEEMED (at maturity), EARLY_REDEEMED (before
+-- end_date, interest forfeited and the penalty kept) or RENEWED (matured and
+-- rolled into the stake in renewed_to).
+
+-- Percent of principal kept when a stake is redeemed early. Locked in on the
+-- stake when it is opened, like the rate.
+ALTER TABLE staking_products ADD COLUMN IF NOT EXISTS early_redeem_penalty_pct NUMERIC NOT NULL DEFAULT 0
+  CHECK (early_redeem_penalty_pct >= 0 AND early_redeem_penalty_pct < 100);
+
+ALTER TABLE stakes ADD COLUMN IF NOT EXISTS early_redeem_penalty_pct NUMERIC NOT NULL DEFAULT 0;
+ALTER TABLE stakes ADD COLUMN IF NOT EXISTS auto_renew BOOLEAN NOT NULL DEFAULT FALSE;
+ALTER TABLE stakes ADD COLUMN IF NOT EXISTS renewed_from INTEGER REFERENCES stakes(id);
+ALTER TABLE stakes ADD COLUMN IF NOT EXISTS renewed_to INTEGER REFERENCES stakes(id);
+-- What the user got back when the stake was closed, and what was kept
+ALTER TABLE stakes ADD COLUMN IF NOT EXISTS closed_at TIMESTAMPTZ;
+ALTER TABLE stakes ADD COLUMN IF NOT EXISTS payout NUMERIC;
+ALTER TABLE stakes ADD COLUMN IF NOT EXISTS penalty NUMERIC;
+
+CREATE INDEX IF NOT EXISTS stakes_auto_renew_due_idx ON stakes (end_date) WHERE status = 'ACTIVE' AND auto_renew;
+
+-- Everything that happened to a stake, oldest first
+CREATE TABLE IF NOT EXISTS stake_events (
+  id         BIGSERIAL PRIMARY KEY,
+  stake_id   INTEGER NOT NULL REFERENCES stakes(id),
+  user_id    BIGINT NOT NULL,
+  event      TEXT NOT NULL,
+  amount     NUMERIC,
+  detail     JSONB,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS stake_events_stake_idx ON stake_events (stake_id, id);
+CREATE INDEX IF NOT EXISTS stake_events_user_idx ON stake_events (user_id, created_at DESC);
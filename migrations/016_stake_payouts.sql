@@ -0,0 +1,50 @@
+-- migrations/016_stake_payouts.sql
+-- One row per closed stake recording what was paid and how it was triggered.
+-- The UNIQUE stake_id makes settlement exactly-once whether the maturity job
+-- or the user gets there first.
+
+CREATE TABLE IF NOT EXISTS stake_payouts (
+  id         BIGSERIAL PRIMARY KEY,
+  stake_id   INTEGER NOT NULL UNIQUE REFERENCES stakes(id),
+  user_id    BIGINT NOT NULL,
+  coin       TEXT NOT NULL,
+  -- auto (maturity job), manual (POST /redeem), renewal (auto-renew), early (POST /redeem-early)
+  trigger    TEXT NOT NULL CHECK (trigger IN ('auto', 'manual', 'renewal', 'early')),
+  principal  NUMERIC NOT NULL,
+  interest   NUMERIC NOT NULL DEFAULT 0,
+  penalty    NUMERIC NOT NULL DEFAULT 0,
+  -- Credited to the available balance (for renewals only the interest is;
+  -- the principal moves to the next stake)
+  total      NUMERIC NOT NULL,
+  journal_id BIGINT REFERENCES ledger_journals(id),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS stake_payouts_user_idx ON stake_payouts (user_id, created_at DESC);
+
+-- The maturity job now settles every matured stake, not only auto-renew ones
+DROP INDEX IF EXISTS stakes_auto_renew_due_idx;
+CREATE INDEX IF NOT EXISTS stakes_active_due_idx ON stakes (end_date) WHERE status = 'ACTIVE';
+
+-- Stakes closed before this table existed
+INSERT INTO stake_payouts (stake_id, user_id, coin, trigger, principal, interest, penalty, total, journal_id, created_at)
+SELECT s.id, s.user_id, s.coin,
+       CASE s.status WHEN 'RENEWED' THEN 'renewal' WHEN 'EARLY_REDEEMED' THEN 'early' ELSE 'manual' END,
+       s.amount,
+       CASE WHEN s.status = 'EARLY_REDEEMED' THEN 0 ELSE s.amount * (s.daily_rate / 100) * s.duration_days END,
+       COALESCE(s.penalty, 0),
+       CASE s.status
+         WHEN 'RENEWED' THEN s.amount * (s.daily_rate / 100) * s.duration_days
+         WHEN 'EARLY_REDEEMED' THEN s.payout
+         ELSE s.amount + s.amount * (s.daily_rate / 100) * s.duration_days
+       END,
+       j.id,
+       COALESCE(s.closed_at, j.created_at, NOW())
+FROM stakes s
+LEFT JOIN LATERAL (
+  SELECT id, created_at FROM ledger_journals
+  WHERE ref_type = 'stake' AND ref_id = s.id::text AND reason IN ('STAKE_REDEEM', 'STAKE_EARLY_REDEEM')
+  ORDER BY id LIMIT 1
+) j ON TRUE
+WHERE s.status IN ('REDEEMED', 'RENEWED', 'EARLY_REDEEMED')
+ON CONFLICT (stake_id) DO NOTHING;
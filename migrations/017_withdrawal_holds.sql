@@ -0,0 +1,36 @@
+-- migrations/017_withdrawal_holds.sql
+-- Withdrawal requests reserve their amount: it moves from the user's
+-- 'available' ledger account to 'frozen' when requested, leaves the system
+-- when approved and goes back to 'available' when rejected or cancelled.
+-- user_balances.frozen is now the projection of the 'frozen' account.
+
+-- Where the reserved funds of a withdrawal are. NULL for requests made before
+-- holds existed; those are still debited from the available balance on approval.
+ALTER TABLE withdrawals ADD COLUMN IF NOT EXISTS funds_state TEXT
+  CHECK (funds_state IN ('held', 'settled', 'released', 'reversed'));
+
+-- Anything already sitting in user_balances.frozen becomes an opening
+-- journal for the 'frozen' account, like 001 did for 'available'.
+DO $$
+DECLARE
+  r RECORD;
+  jid BIGINT;
+BEGIN
+  FOR r IN
+    SELECT b.user_id, b.coin, b.frozen FROM user_balances b
+    WHERE b.frozen <> 0
+      AND NOT EXISTS (
+        SELECT 1 FROM ledger_postings p
+        WHERE p.user_id = b.user_id AND p.coin = b.coin AND p.account = 'frozen'
+      )
+  LOOP
+    INSERT INTO ledger_journals (reason, ref_type, ref_id, user_id, memo)
+    VALUES ('OPENING_BALANCE', 'user_balances', r.user_id || ':' || r.coin || ':frozen', r.user_id,
+            'Frozen balance carried over from user_balances')
+    RETURNING id INTO jid;
+
+    INSERT INTO ledger_postings (journal_id, user_id, account, coin, amount)
+    VALUES (jid, r.user_id, 'frozen', r.coin, r.frozen),
+           (jid, NULL, 'system:opening', r.coin, -r.frozen);
+  END LOOP;
+END $$;
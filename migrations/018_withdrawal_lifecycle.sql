@@ -0,0 +1,27 @@
+-- migrations/018_withdrawal_lifecycle.sql
+-- Withdrawals follow a fixed lifecycle (see utils/withdrawals.js):
+--   requested -> under_review -> approved -> broadcast -> completed
+-- with rejected / cancelled before approval and failed after it. Each status
+-- records when it was reached; reason is the explanation shown to the user.
+
+ALTER TABLE withdrawals
+  ADD COLUMN IF NOT EXISTS reason          TEXT,
+  ADD COLUMN IF NOT EXISTS under_review_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS approved_at     TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS broadcast_at    TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS completed_at    TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS rejected_at     TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS cancelled_at    TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS failed_at       TIMESTAMPTZ;
+
+-- 'pending' is now 'requested'
+UPDATE withdrawals SET status = 'requested' WHERE status = 'pending' OR status IS NULL;
+
+ALTER TABLE withdrawals ALTER COLUMN status SET DEFAULT 'requested';
+ALTER TABLE withdrawals ALTER COLUMN status SET NOT NULL;
+ALTER TABLE withdrawals DROP CONSTRAINT IF EXISTS withdrawals_status_check;
+ALTER TABLE withdrawals ADD CONSTRAINT withdrawals_status_check CHECK (status IN (
+  'requested', 'under_review', 'approved', 'broadcast', 'completed', 'rejected', 'cancelled', 'failed'
+));
+
+CREATE INDEX IF NOT EXISTS withdrawals_user_idx ON withdrawals (user_id, created_at DESC);
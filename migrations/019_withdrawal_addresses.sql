@@ -0,0 +1,33 @@
+-- migrations/019_withdrawal_addresses.sql
+-- Per-user withdrawal address book (utils/addressBook.js). In whitelist-only
+-- mode a user can only withdraw to saved addresses, and only once an entry's
+-- cool-down has passed (usable_at).
+
+CREATE TABLE IF NOT EXISTS withdrawal_addresses (
+  id         SERIAL PRIMARY KEY,
+  user_id    BIGINT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  label      TEXT NOT NULL,
+  coin       TEXT NOT NULL,
+  network    TEXT NOT NULL,
+  address    TEXT NOT NULL,
+  -- XRP destination tag or TON comment
+  memo       TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  usable_at  TIMESTAMPTZ NOT NULL
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS withdrawal_addresses_unique_idx
+  ON withdrawal_addresses (user_id, coin, network, address, COALESCE(memo, ''));
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS withdrawal_whitelist BOOLEAN NOT NULL DEFAULT FALSE;
+
+-- Withdrawals keep their own copy of the destination; address_id records
+-- which saved entry it came from
+ALTER TABLE withdrawals
+  ADD COLUMN IF NOT EXISTS memo       TEXT,
+  ADD COLUMN IF NOT EXISTS address_id INTEGER REFERENCES withdrawal_addresses(id) ON DELETE SET NULL;
+
+-- Email codes confirming address book changes for accounts without 2FA
+ALTER TABLE otp_codes DROP CONSTRAINT IF EXISTS otp_codes_purpose_check;
+ALTER TABLE otp_codes ADD CONSTRAINT otp_codes_purpose_check
+  CHECK (purpose IN ('verify_email', 'reset_password', 'withdrawal', 'withdrawal_address'));
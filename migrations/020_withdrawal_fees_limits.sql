@@ -0,0 +1,60 @@
+-- migrations/020_withdrawal_fees_limits.sql
+-- Withdrawal fees, minimums and rolling limits (utils/withdrawalPolicy.js).
+-- The fee is taken out of the requested amount when the withdrawal is
+-- approved: amount - fee is sent, the fee goes to system:withdrawal_fees.
+
+CREATE TABLE IF NOT EXISTS withdrawal_fees (
+  coin       TEXT NOT NULL,
+  network    TEXT NOT NULL,
+  fee        NUMERIC NOT NULL CHECK (fee >= 0),
+  min_amount NUMERIC NOT NULL CHECK (min_amount >= 0),
+  -- Off while a network is suspended
+  enabled    BOOLEAN NOT NULL DEFAULT TRUE,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (coin, network)
+);
+
+INSERT INTO withdrawal_fees (coin, network, fee, min_amount) VALUES
+  ('BTC',  'BTC',   0.0002, 0.001),
+  ('ETH',  'ERC20', 0.002,  0.01),
+  ('USDT', 'ERC20', 5,      20),
+  ('USDT', 'TRC20', 1,      10),
+  ('SOL',  'SOL',   0.01,   0.1),
+  ('XRP',  'XRP',   0.25,   10),
+  ('TON',  'TON',   0.05,   1)
+ON CONFLICT DO NOTHING;
+
+-- Per KYC tier and coin; NULL means no limit. 'verified' is kyc_status
+-- 'approved', every other status is 'unverified'.
+CREATE TABLE IF NOT EXISTS withdrawal_limits (
+  tier          TEXT NOT NULL CHECK (tier IN ('unverified', 'verified')),
+  coin          TEXT NOT NULL,
+  daily_limit   NUMERIC CHECK (daily_limit >= 0),
+  monthly_limit NUMERIC CHECK (monthly_limit >= 0),
+  updated_at    TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (tier, coin)
+);
+
+INSERT INTO withdrawal_limits (tier, coin, daily_limit, monthly_limit) VALUES
+  ('unverified', 'USDT', 1000,   5000),
+  ('unverified', 'BTC',  0.02,   0.1),
+  ('unverified', 'ETH',  0.5,    2.5),
+  ('unverified', 'SOL',  5,      25),
+  ('unverified', 'XRP',  2000,   10000),
+  ('unverified', 'TON',  200,    1000),
+  ('verified',   'USDT', 50000,  500000),
+  ('verified',   'BTC',  2,      20),
+  ('verified',   'ETH',  20,     200),
+  ('verified',   'SOL',  500,    5000),
+  ('verified',   'XRP',  100000, 1000000),
+  ('verified',   'TON',  10000,  100000)
+ON CONFLICT DO NOTHING;
+
+-- Fee charged and amount actually sent; 0 / amount for older withdrawals
+ALTER TABLE withdrawals
+  ADD COLUMN IF NOT EXISTS fee        NUMERIC NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS net_amount NUMERIC;
+UPDATE withdrawals SET net_amount = amount WHERE net_amount IS NULL;
+
+-- Usage sums over the last 24h / 30 days
+CREATE INDEX IF NOT EXISTS withdrawals_user_coin_idx ON withdrawals (user_id, coin, created_at);
@@ -0,0 +1,29 @@
+-- migrations/021_withdrawal_payouts.sql
+-- On-chain payouts of approved withdrawals (utils/payouts.js). A withdrawal
+-- approved while its network has a payout adapter gets a row here and is
+-- signed, broadcast and tracked to completion by jobs/payoutQueue.js. Others
+-- (and everything approved before this) are still paid by hand.
+
+ALTER TABLE withdrawals
+  ADD COLUMN IF NOT EXISTS tx_hash                TEXT,
+  ADD COLUMN IF NOT EXISTS confirmations          INTEGER NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS required_confirmations INTEGER;
+
+CREATE TABLE IF NOT EXISTS withdrawal_payouts (
+  withdrawal_id   INTEGER PRIMARY KEY REFERENCES withdrawals(id) ON DELETE CASCADE,
+  adapter         TEXT NOT NULL,
+  -- queued -> signed -> broadcast -> confirmed, or failed (withdrawal failed
+  -- and refunded) or held (broadcast kept failing; needs someone to look)
+  state           TEXT NOT NULL DEFAULT 'queued'
+                  CHECK (state IN ('queued', 'signed', 'broadcast', 'confirmed', 'failed', 'held')),
+  signed_tx       JSONB,
+  tx_hash         TEXT,
+  attempts        INTEGER NOT NULL DEFAULT 0,
+  last_error      TEXT,
+  next_attempt_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  created_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at      TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS withdrawal_payouts_due_idx ON withdrawal_payouts (next_attempt_at)
+  WHERE state IN ('queued', 'signed', 'broadcast');
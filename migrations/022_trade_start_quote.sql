@@ -0,0 +1,7 @@
+-- migrations/022_trade_start_quote.sql
+-- The market quote each trade was opened at, for auditing (see 004 for the
+-- settlement side).
+
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS start_price_source TEXT;
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS start_price_fetched_at TIMESTAMPTZ;
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS start_price_raw TEXT;
@@ -0,0 +1,6 @@
+-- migrations/023_drop_trade_modes.sql
+-- Trade outcomes come only from market prices (jobs/tradeSettlement.js), so
+-- the forced-outcome settings are gone. Past changes stay in admin_audit_log.
+
+DROP TABLE IF EXISTS user_trade_modes;
+DELETE FROM settings WHERE key = 'TRADE_MODE';
@@ -0,0 +1,7 @@
+-- migrations/024_whitelist_disable_cooldown.sql
+-- Turning whitelist-only mode off takes effect after the address cool-down
+-- (utils/addressBook.js), so someone who takes over a session cannot switch
+-- it off and withdraw to a new address straight away. Until then the mode is
+-- still enforced; NULL means no switch-off is pending.
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS whitelist_disabled_at TIMESTAMPTZ;
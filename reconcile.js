@@ -0,0 +1,47 @@
+// reconcile.js
+// Checks user_balances against the ledger and the source tables and prints a
+// JSON report. Exits with code 1 when anything does not reconcile.
+//
+// Usage: node reconcile.js [--user <id>] [--all] [--out report.json]
+//
+// Local run:
+//   DATABASE_SSL=false DATABASE_URL=postgres://localhost/novachain npm run migrate
+//   psql postgres://localhost/novachain -f fixtures/reconcile.sql
+//   DATABASE_SSL=false DATABASE_URL=postgres://localhost/novachain node reconcile.js
+const fs = require('fs');
+const pool = require('./db');
+const { runReconciliation } = require('./utils/reconcile');
+
+function argValue(name) {
+  const i = process.argv.indexOf(name);
+  return i !== -1 ? process.argv[i + 1] : undefined;
+}
+
+const user = argValue('--user');
+const out = argValue('--out');
+
+runReconciliation({
+  userId: user ? Number(user) : null,
+  includeOk: process.argv.includes('--all'),
+})
+  .then(report => {
+    const json = JSON.stringify(report, null, 2);
+    if (out) {
+      fs.writeFileSync(out, json + '\n');
+      console.error(`Report written to ${out}`);
+    } else {
+      console.log(json);
+    }
+    const { summary } = report;
+    console.error(
+      summary.ok
+        ? `✅ Reconciled ${summary.balances_checked} balances, ${summary.records_checked} records`
+        : `❌ ${summary.balances_mismatched} balance mismatches, ${summary.record_issues} record issues, ${summary.frozen_mismatched} frozen mismatches`
+    );
+    if (!summary.ok) process.exitCode = 1;
+  })
+  .catch(err => {
+    console.error('❌ Reconciliation failed:', err.message);
+    process.exitCode = 2;
+  })
+  .finally(() => pool.end());
@@ -1,32 +1,274 @@
 // routes/admin.js
 
-const { authenticateToken } = require('../middleware/auth');
+const {
+  PERMISSIONS,
+  ROLES,
+  ROLE_PERMISSIONS,
+  authenticateAdmin,
+  authenticateAdminForMfaSetup,
+  requirePermission,
+  requireStepUp,
+  signAdminToken,
+  signMfaChallenge,
+  verifyMfaChallenge,
+} = require('../middleware/auth');
 const express = require('express');
 const router = express.Router();
 const pool = require('../db');
+const ledger = require('../utils/ledger');
+const audit = require('../utils/auditLog');
+const notifications = require('../utils/notifications');
+const { rateLimit, loginKey, loginLockout } = require('../middleware/rateLimit');
+const { validate, v } = require('../middleware/validate');
+const twoFactor = require('../utils/twoFactor');
+const { withTransaction } = require('../utils/transaction');
+const { runReconciliation } = require('../utils/reconcile');
+const stakingProducts = require('../utils/stakingProducts');
+const savings = require('../utils/savings');
+const withdrawals = require('../utils/withdrawals');
+const withdrawalPolicy = require('../utils/withdrawalPolicy');
+const { NETWORKS } = require('../utils/addressValidation');
 const multer = require('multer');
 const fs = require('fs');
 const path = require('path');
-const ADMIN_API_TOKEN = process.env.ADMIN_API_TOKEN;
-
-// --- Admin API key middleware ---
-function requireAdminApiKey(req, res, next) {
-  if (req.headers['x-admin-token'] === ADMIN_API_TOKEN) {
-    return next();
+const { hashPassword, verifyPassword } = require('../utils/password');
+
+// --- Admin login (returns admin JWT) ---
+// Admins must use two-factor authentication: with 2FA set up the password step
+// returns an mfa_token for /login/2fa; without it, a token that only allows
+// /2fa/setup and /2fa/enable.
+router.post('/login', rateLimit('admin_login'), validate({
+  body: { email: v.string({ max: 254 }), password: v.string({ max: 200, trim: false }) },
+}), async (req, res) => {
+  const { email, password } = req.body;
+  try {
+    const { rows } = await pool.query(
+      `SELECT * FROM admin_users WHERE LOWER(email) = LOWER($1)`,
+      [email]
+    );
+    const admin = rows[0];
+    const lockKey = loginKey('admin-login', email);
+    const locked = await loginLockout.check(lockKey);
+    if (locked) return loginLockout.respond(res, locked);
+    // Same answer for unknown, wrong password and disabled accounts
+    const { match } = admin && admin.active
+      ? await verifyPassword(password, admin.password_hash)
+      : { match: false };
+    if (!match) {
+      const lock = await loginLockout.failed(lockKey);
+      if (lock) return loginLockout.respond(res, lock);
+      return res.status(401).json({ error: "Invalid email or password" });
+    }
+    await loginLockout.succeeded(lockKey);
+    if (await twoFactor.isEnabled(twoFactor.adminOwner(admin.id))) {
+      return res.json({ mfa_required: true, mfa_token: signMfaChallenge('admin', admin.id) });
+    }
+    res.json({
+      mfa_setup_required: true,
+      token: signAdminToken(admin, { mfa: false }),
+      admin: { id: admin.id, email: admin.email, name: admin.name, role: admin.role },
+    });
+  } catch (err) {
+    res.status(500).json({ error: "Database error" });
   }
-  return res.status(403).json({ error: "Admin token missing or invalid" });
+});
+
+// Records the login and returns the full admin token
+async function completeLogin(client, req) {
+  await client.query('UPDATE admin_users SET last_login_at = NOW() WHERE id = $1', [req.admin.id]);
+  await audit.record(client, req, { action: audit.ACTIONS.ADMIN_LOGIN, targetType: 'admin', targetId: req.admin.id });
+  return {
+    token: signAdminToken(req.admin),
+    admin: req.admin,
+    permissions: ROLE_PERMISSIONS[req.admin.role],
+  };
 }
 
+// Second login step: mfa_token from /login + TOTP or backup code
+router.post('/login/2fa', rateLimit('admin_login'), validate({
+  body: { mfa_token: v.string({ max: 2000 }), code: v.string({ max: 32 }) },
+}), async (req, res) => {
+  const { mfa_token, code } = req.body;
+  const adminId = verifyMfaChallenge(mfa_token, 'admin');
+  if (!adminId) return res.status(401).json({ error: "Login expired, please sign in again" });
+  try {
+    const { rows } = await pool.query(
+      'SELECT id, email, name, role FROM admin_users WHERE id = $1 AND active = TRUE',
+      [adminId]
+    );
+    if (!rows[0]) return res.status(401).json({ error: "Login expired, please sign in again" });
+    const lockKey = loginKey('admin-2fa', adminId);
+    const locked = await loginLockout.check(lockKey);
+    if (locked) return loginLockout.respond(res, locked);
+    if (!(await twoFactor.verifyCode(twoFactor.adminOwner(adminId), code))) {
+      const lock = await loginLockout.failed(lockKey);
+      if (lock) return loginLockout.respond(res, lock);
+      return res.status(400).json({ error: "Invalid two-factor code" });
+    }
+    await loginLockout.succeeded(lockKey);
+    req.admin = rows[0];
+    res.json(await withTransaction(client => completeLogin(client, req)));
+  } catch (err) {
+    res.status(500).json({ error: "Database error" });
+  }
+});
+
+// --- Admin 2FA enrolment (required before any other admin route) ---
+router.post('/2fa/setup', authenticateAdminForMfaSetup, async (req, res) => {
+  try {
+    const enrolment = await twoFactor.startEnrolment(twoFactor.adminOwner(req.admin.id), req.admin.email);
+    if (!enrolment) return res.status(409).json({ error: "Two-factor authentication is already enabled" });
+    res.json(enrolment);
+  } catch (err) {
+    res.status(500).json({ error: "Database error" });
+  }
+});
+
+// Confirms with a code from the app; returns backup codes (shown once) and a full token
+router.post('/2fa/enable', authenticateAdminForMfaSetup, validate({ body: { code: v.string({ max: 32 }) } }), async (req, res) => {
+  const { code } = req.body;
+  try {
+    const result = await withTransaction(async (client) => {
+      const backupCodes = await twoFactor.confirmEnrolment(twoFactor.adminOwner(req.admin.id), code, client);
+      if (!backupCodes) return null;
+      await audit.record(client, req, {
+        action: audit.ACTIONS.ADMIN_2FA_ENABLE,
+        targetType: 'admin',
+        targetId: req.admin.id,
+      });
+      return { ...(await completeLogin(client, req)), backup_codes: backupCodes };
+    });
+    if (!result) return res.status(400).json({ error: "Invalid code or no pending setup" });
+    res.json(result);
+  } catch (err) {
+    res.status(500).json({ error: "Database error" });
+  }
+});
+
+// --- Current admin and what they may do ---
+router.get('/me', authenticateAdmin, (req, res) => {
+  res.json({ admin: req.admin, permissions: ROLE_PERMISSIONS[req.admin.role] });
+});
+
+// --- Admin accounts (superadmin) ---
+router.get('/admins', requirePermission(PERMISSIONS.ADMINS_MANAGE), async (req, res) => {
+  try {
+    const { rows } = await pool.query(
+      `SELECT id, email, name, role, active, created_at, last_login_at
+       FROM admin_users ORDER BY id`
+    );
+    res.json(rows);
+  } catch (err) {
+    res.status(500).json({ error: "DB error" });
+  }
+});
+
+router.post('/admins', requirePermission(PERMISSIONS.ADMINS_MANAGE), validate({
+  body: {
+    email: v.email(),
+    name: v.string({ max: 100, optional: true }),
+    password: v.password(),
+    role: v.oneOf(ROLES),
+  },
+}), async (req, res) => {
+  const { email, name, password, role } = req.body;
+  try {
+    const hash = await hashPassword(password);
+    const created = await withTransaction(async (client) => {
+      const { rows } = await client.query(
+        `INSERT INTO admin_users (email, name, password_hash, role)
+         VALUES ($1, $2, $3, $4)
+         RETURNING id, email, name, role, active, created_at`,
+        [email, name || null, hash, role]
+      );
+      await audit.record(client, req, {
+        action: audit.ACTIONS.ADMIN_CREATE,
+        targetType: 'admin',
+        targetId: rows[0].id,
+        after: rows[0],
+      });
+      return rows[0];
+    });
+    res.status(201).json(created);
+  } catch (err) {
+    if (err.code === '23505') return res.status(409).json({ error: "Admin email already exists" });
+    res.status(500).json({ error: "DB error" });
+  }
+});
+
+// Change role and/or enable/disable an admin
+router.patch('/admins/:id', requirePermission(PERMISSIONS.ADMINS_MANAGE), validate({
+  params: { id: v.id() },
+  body: { role: v.oneOf(ROLES, { optional: true }), active: v.boolean({ optional: true }) },
+}), async (req, res) => {
+  const { role, active } = req.body;
+  if (String(req.params.id) === String(req.admin.id)) {
+    return res.status(400).json({ error: "You cannot change your own role or status" });
+  }
+  try {
+    const updated = await withTransaction(async (client) => {
+      const { rows: before } = await client.query(
+        'SELECT id, email, name, role, active FROM admin_users WHERE id = $1 FOR UPDATE',
+        [req.params.id]
+      );
+      if (!before[0]) return null;
+      const { rows } = await client.query(
+        `UPDATE admin_users
+         SET role = COALESCE($2, role), active = COALESCE($3, active)
+         WHERE id = $1
+         RETURNING id, email, name, role, active`,
+        [req.params.id, role ?? null, active ?? null]
+      );
+      await audit.record(client, req, {
+        action: audit.ACTIONS.ADMIN_UPDATE,
+        targetType: 'admin',
+        targetId: req.params.id,
+        before: before[0],
+        after: rows[0],
+      });
+      return rows[0];
+    });
+    if (!updated) return res.status(404).json({ error: "Admin not found" });
+    res.json(updated);
+  } catch (err) {
+    res.status(500).json({ error: "DB error" });
+  }
+});
+
+// Removes another admin's 2FA (lost device); they must enrol again at next login
+router.post('/admins/:id/reset-2fa', requirePermission(PERMISSIONS.ADMINS_MANAGE), validate({
+  params: { id: v.id() },
+}), async (req, res) => {
+  if (String(req.params.id) === String(req.admin.id)) {
+    return res.status(400).json({ error: "You cannot reset your own two-factor authentication" });
+  }
+  try {
+    const removed = await withTransaction(async (client) => {
+      const removed = await twoFactor.disable(twoFactor.adminOwner(req.params.id), client);
+      if (removed) {
+        await audit.record(client, req, {
+          action: audit.ACTIONS.ADMIN_2FA_RESET,
+          targetType: 'admin',
+          targetId: req.params.id,
+        });
+      }
+      return removed;
+    });
+    if (!removed) return res.status(404).json({ error: "Admin has no two-factor authentication" });
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: "DB error" });
+  }
+});
+
 // --- GET all users (admin panel) ---
-router.get('/users', requireAdminApiKey, async (req, res) => {
+router.get('/users', requirePermission(PERMISSIONS.USERS_READ), async (req, res) => {
   try {
     const result = await pool.query(
   `SELECT 
-    u.id, u.username, u.email, u.password, u.verified, u.kyc_status, u.kyc_selfie, u.kyc_id_card,
-    u.created_at,
-    tm.mode AS trade_mode
+    u.id, u.username, u.email, u.verified, u.kyc_status, u.kyc_selfie, u.kyc_id_card,
+    u.created_at
    FROM users u
-   LEFT JOIN user_trade_modes tm ON u.id = tm.user_id
    ORDER BY u.id DESC`
 );
     res.json(result.rows);
@@ -37,16 +279,35 @@ router.get('/users', requireAdminApiKey, async (req, res) => {
 
 
 // --- Approve/Reject KYC (admin) ---
-router.post('/kyc-status', requireAdminApiKey, async (req, res) => {
+router.post('/kyc-status', requirePermission(PERMISSIONS.KYC_REVIEW), validate({
+  body: { user_id: v.id(), status: v.oneOf(['approved', 'rejected', 'pending']) },
+}), async (req, res) => {
   const { user_id, status } = req.body;
-  if (!user_id || !['approved', 'rejected', 'pending'].includes(status)) {
-    return res.status(400).json({ error: "Invalid input" });
-  }
   try {
-    await pool.query(
-      `UPDATE users SET kyc_status = $1 WHERE id = $2`,
-      [status, user_id]
-    );
+    await withTransaction(async (client) => {
+      const { rows } = await client.query(
+        'SELECT kyc_status FROM users WHERE id = $1 FOR UPDATE',
+        [user_id]
+      );
+      await client.query(
+        `UPDATE users SET kyc_status = $1 WHERE id = $2`,
+        [status, user_id]
+      );
+      await audit.record(client, req, {
+        action: audit.ACTIONS.KYC_STATUS,
+        targetType: 'user',
+        targetId: user_id,
+        before: rows[0] ? { kyc_status: rows[0].kyc_status } : null,
+        after: { kyc_status: status },
+      });
+      if (status !== 'pending' && rows[0] && rows[0].kyc_status !== status) {
+        await notifications.enqueue(client, {
+          userId: user_id,
+          template: notifications.TEMPLATES.KYC_DECISION,
+          data: { status },
+        });
+      }
+    });
     res.json({ success: true });
   } catch (err) {
     res.status(500).json({ error: "DB error" });
@@ -54,88 +315,176 @@ router.post('/kyc-status', requireAdminApiKey, async (req, res) => {
 });
 
 // --- Approve/Reject Deposit (admin) ---
-router.post('/deposits/:id/status', requireAdminApiKey, async (req, res) => {
+router.post('/deposits/:id/status', requirePermission(PERMISSIONS.DEPOSITS_APPROVE), validate({
+  params: { id: v.id() },
+  body: { status: v.oneOf(["approved", "rejected", "pending"]) },
+}), async (req, res) => {
   const { status } = req.body;
   const { id } = req.params;
-  if (!["approved", "rejected", "pending"].includes(status)) {
-    return res.status(400).json({ error: "Invalid status" });
-  }
+  const client = await pool.connect();
   try {
-    const { rows } = await pool.query('SELECT * FROM deposits WHERE id = $1', [id]);
+    await client.query('BEGIN');
+    const { rows } = await client.query('SELECT * FROM deposits WHERE id = $1 FOR UPDATE', [id]);
     const deposit = rows[0];
-    if (!deposit) return res.status(404).json({ error: "Deposit not found" });
+    if (!deposit) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: "Deposit not found" });
+    }
+    // An approved deposit has been credited; moving it back out would let a
+    // second approval credit it again
+    if (deposit.status === "approved" && status !== "approved") {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: "Deposit is already approved and credited" });
+    }
 
-    await pool.query('UPDATE deposits SET status = $1 WHERE id = $2', [status, id]);
+    await client.query('UPDATE deposits SET status = $1 WHERE id = $2', [status, id]);
 
-    if (status === "approved") {
-      await pool.query(
-        `INSERT INTO user_balances (user_id, coin, balance)
-         VALUES ($1, $2, $3)
-         ON CONFLICT (user_id, coin) DO UPDATE SET balance = user_balances.balance + EXCLUDED.balance`,
-        [deposit.user_id, deposit.coin, deposit.amount]
-      );
+    await audit.record(client, req, {
+      action: audit.ACTIONS.DEPOSIT_STATUS,
+      targetType: 'deposit',
+      targetId: deposit.id,
+      before: { status: deposit.status },
+      after: { status },
+    });
+
+    if (status === "approved" && deposit.status !== "approved") {
+      await ledger.postJournal(client, {
+        reason: ledger.REASONS.DEPOSIT,
+        refType: ledger.REF_TYPES.DEPOSIT,
+        refId: deposit.id,
+        userId: deposit.user_id,
+        transfers: [{
+          from: ledger.systemAccount('deposits'),
+          to: ledger.userAccount(deposit.user_id),
+          coin: deposit.coin,
+          amount: deposit.amount,
+        }],
+      });
+      await notifications.enqueue(client, {
+        userId: deposit.user_id,
+        template: notifications.TEMPLATES.DEPOSIT_CREDITED,
+        data: { deposit_id: deposit.id, coin: deposit.coin, amount: deposit.amount },
+        dedupeKey: `deposit:${deposit.id}:credited`,
+      });
+      await client.query('COMMIT');
       return res.json({ success: true, balanceAdded: true });
     } else {
+      await client.query('COMMIT');
       return res.json({ success: true, balanceAdded: false });
     }
   } catch (err) {
+    await client.query('ROLLBACK');
     res.status(500).json({ error: "Database error" });
+  } finally {
+    client.release();
   }
 });
 
-// --- Approve/Reject Withdrawal (admin) ---
-router.post('/withdrawals/:id/status', requireAdminApiKey, async (req, res) => {
-  const { status } = req.body;
+// --- Move Withdrawal through its lifecycle (admin) ---
+// Only the moves in withdrawals.TRANSITIONS are allowed; reason is shown to the user
+router.post('/withdrawals/:id/status', requirePermission(PERMISSIONS.WITHDRAWALS_APPROVE), validate({
+  params: { id: v.id() },
+  body: {
+    status: v.oneOf(withdrawals.ADMIN_STATUSES),
+    reason: v.string({ max: 500, optional: true }),
+  },
+}), async (req, res) => {
+  const { status, reason } = req.body;
   const { id } = req.params;
-  if (!["approved", "rejected", "pending"].includes(status)) {
-    return res.status(400).json({ error: "Invalid status" });
-  }
+  const client = await pool.connect();
   try {
-    const { rows } = await pool.query('SELECT * FROM withdrawals WHERE id = $1', [id]);
+    await client.query('BEGIN');
+    const { rows } = await client.query('SELECT * FROM withdrawals WHERE id = $1 FOR UPDATE', [id]);
     const withdrawal = rows[0];
-    if (!withdrawal) return res.status(404).json({ error: "Withdrawal not found" });
+    if (!withdrawal) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: "Withdrawal not found" });
+    }
+    if (!withdrawals.canTransition(withdrawal.status, status)) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: `Cannot move withdrawal from ${withdrawal.status} to ${status}` });
+    }
 
-    const { rows: statusRows } = await pool.query('SELECT status FROM withdrawals WHERE id = $1', [id]);
-    const row = statusRows[0];
-    if (!row) return res.status(500).json({ error: "Database error" });
+    await audit.record(client, req, {
+      action: audit.ACTIONS.WITHDRAWAL_STATUS,
+      targetType: 'withdrawal',
+      targetId: withdrawal.id,
+      before: { status: withdrawal.status, reason: withdrawal.reason },
+      after: { status, reason: reason || withdrawal.reason },
+    });
 
-    if (row.status !== 'approved' && status === "approved") {
-      const { rows: balRows } = await pool.query(
-        'SELECT balance FROM user_balances WHERE user_id = $1 AND coin = $2',
-        [withdrawal.user_id, withdrawal.coin]
-      );
-      const userBal = balRows[0];
-      if (!userBal) return res.status(500).json({ error: "User balance not found" });
-      if (parseFloat(userBal.balance) < parseFloat(withdrawal.amount)) {
-        return res.status(400).json({ error: "Insufficient balance" });
-      }
-      await pool.query('UPDATE withdrawals SET status = $1 WHERE id = $2', [status, id]);
-      await pool.query(
-        'UPDATE user_balances SET balance = balance - $1 WHERE user_id = $2 AND coin = $3',
-        [withdrawal.amount, withdrawal.user_id, withdrawal.coin]
-      );
-      return res.json({ success: true, balanceReduced: true });
-    } else {
-      await pool.query('UPDATE withdrawals SET status = $1 WHERE id = $2', [status, id]);
-      res.json({ success: true, balanceReduced: false });
+    // Approval sends the reserved amount out, rejection gives it back
+    let moved;
+    try {
+      moved = await withdrawals.transition(client, withdrawal, status, { reason });
+    } catch (err) {
+      if (!ledger.isInsufficientFunds(err)) throw err;
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: "Insufficient balance" });
     }
+
+    await client.query('COMMIT');
+    res.json({ success: true, status, balanceReduced: moved.balanceReduced, payoutQueued: moved.payoutQueued });
   } catch (err) {
+    await client.query('ROLLBACK');
     res.status(500).json({ error: "Database error" });
+  } finally {
+    client.release();
   }
 });
 
 // --- Delete User (Admin) ---
-// Deletes user, balances, trades, deposits, withdrawals, user_trade_modes, and KYC info
-router.delete('/users/:id', requireAdminApiKey, async (req, res) => {
+// Deletes a user with no ledger history: balances, trades, deposits,
+// withdrawals, conversions, stakes and KYC info
+router.delete('/users/:id', requirePermission(PERMISSIONS.USERS_DELETE), validate({
+  params: { id: v.id() },
+}), async (req, res) => {
   const userId = req.params.id;
-  if (!userId) return res.status(400).json({ error: "Missing user ID" });
 
   const client = await pool.connect();
   try {
     await client.query('BEGIN');
     // Delete user KYC file references, if needed (optional: remove files from disk)
-    const kycRes = await client.query('SELECT kyc_selfie, kyc_id_card FROM users WHERE id = $1', [userId]);
-    const { kyc_selfie, kyc_id_card } = kycRes.rows[0] || {};
+    const kycRes = await client.query(
+      'SELECT id, username, email, kyc_status, kyc_selfie, kyc_id_card, created_at FROM users WHERE id = $1 FOR UPDATE',
+      [userId]
+    );
+    if (!kycRes.rows[0]) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    // Journals are append-only and point at the user's trades, deposits,
+    // withdrawals, conversions and stakes by ref_id; deleting those rows would
+    // leave reconciliation with journals it can never match. So only users
+    // who never touched the ledger (and have nothing in flight) can go.
+    const { rows: [history] } = await client.query(
+      `SELECT
+         EXISTS (SELECT 1 FROM ledger_journals WHERE user_id = $1)
+           OR EXISTS (SELECT 1 FROM ledger_postings WHERE user_id = $1) AS has_ledger_history,
+         (SELECT COUNT(*)::int FROM trades WHERE user_id = $1 AND result = 'PENDING') AS open_trades,
+         (SELECT COUNT(*)::int FROM withdrawals WHERE user_id = $1 AND status = ANY($2)) AS open_withdrawals`,
+      [userId, Object.keys(withdrawals.TRANSITIONS)]
+    );
+    if (history.has_ledger_history || history.open_trades || history.open_withdrawals) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        error: "User has ledger history or open trades/withdrawals and cannot be deleted",
+        ...history,
+      });
+    }
+
+    const { kyc_selfie, kyc_id_card } = kycRes.rows[0];
+    const { rows: balances } = await client.query(
+      'SELECT coin, balance, frozen FROM user_balances WHERE user_id = $1 ORDER BY coin',
+      [userId]
+    );
+    await audit.record(client, req, {
+      action: audit.ACTIONS.USER_DELETE,
+      targetType: 'user',
+      targetId: userId,
+      before: kycRes.rows[0] ? { ...kycRes.rows[0], balances } : null,
+    });
     // Optionally, delete files from disk
     [kyc_selfie, kyc_id_card].forEach(filePath => {
       if (filePath && fs.existsSync(path.join(__dirname, '..', filePath))) {
@@ -148,7 +497,12 @@ router.delete('/users/:id', requireAdminApiKey, async (req, res) => {
     await client.query(`DELETE FROM trades WHERE user_id = $1`, [userId]);
     await client.query(`DELETE FROM deposits WHERE user_id = $1`, [userId]);
     await client.query(`DELETE FROM withdrawals WHERE user_id = $1`, [userId]);
-    await client.query(`DELETE FROM user_trade_modes WHERE user_id = $1`, [userId]);
+    await client.query(`DELETE FROM conversions WHERE user_id = $1`, [userId]);
+    await client.query(
+      `DELETE FROM stake_events WHERE stake_id IN (SELECT id FROM stakes WHERE user_id = $1)`,
+      [userId]
+    );
+    await client.query(`DELETE FROM stakes WHERE user_id = $1`, [userId]);
     // If you have a separate kyc table, delete here
     // await client.query(`DELETE FROM kyc WHERE user_id = $1`, [userId]);
     await client.query(`DELETE FROM users WHERE id = $1`, [userId]);
@@ -156,77 +510,39 @@ router.delete('/users/:id', requireAdminApiKey, async (req, res) => {
     res.json({ success: true, message: "User and all related data deleted" });
   } catch (err) {
     await client.query('ROLLBACK');
-    res.status(500).json({ error: "Failed to delete user: " + err.message });
+    console.error("Delete user error:", err);
+    res.status(500).json({ error: "Failed to delete user" });
   } finally {
     client.release();
   }
 });
 
 
-// --- Set/remove user trade-mode override (admin) ---
-router.post('/users/:id/trade-mode', requireAdminApiKey, async (req, res) => {
-  const { id } = req.params;
-  const { mode } = req.body;
-  if (mode !== "WIN" && mode !== "LOSE" && mode !== null && mode !== "") {
-    return res.status(400).json({ error: "Invalid mode" });
-  }
-  try {
-    if (mode) {
-      await pool.query(
-        `INSERT INTO user_trade_modes (user_id, mode) VALUES ($1, $2)
-         ON CONFLICT (user_id) DO UPDATE SET mode = EXCLUDED.mode`,
-        [id, mode]
-      );
-      res.json({ success: true, mode });
-    } else {
-      await pool.query(
-        `DELETE FROM user_trade_modes WHERE user_id = $1`,
-        [id]
-      );
-      res.json({ success: true, removed: true });
-    }
-  } catch (err) {
-    res.status(500).json({ error: "Failed to set/remove mode" });
-  }
-});
-
-// --- Get current user trade mode (admin) ---
-router.get('/users/:id/trade-mode', requireAdminApiKey, async (req, res) => {
-  const { id } = req.params;
-  try {
-    const { rows } = await pool.query(
-      `SELECT mode FROM user_trade_modes WHERE user_id = $1`,
-      [id]
-    );
-    res.json({ mode: rows.length > 0 ? rows[0].mode : null });
-  } catch (err) {
-    res.status(500).json({ error: "DB error" });
-  }
-});
-
-// --- CHANGE ADMIN PASSWORD (secure) ---
-const bcrypt = require('bcrypt');
-
-// Change password route (POST /api/admin/change-password)
-router.post('/change-password', requireAdminApiKey, async (req, res) => {
-  const { email, currentPassword, newPassword } = req.body;
-
-  if (!email || !currentPassword || !newPassword)
-    return res.status(400).json({ error: "Missing required fields" });
+// --- CHANGE ADMIN PASSWORD (own account) ---
+// POST /api/admin/change-password
+router.post('/change-password', authenticateAdmin, validate({
+  body: { currentPassword: v.string({ max: 200, trim: false }), newPassword: v.password() },
+}), requireStepUp, async (req, res) => {
+  const { currentPassword, newPassword } = req.body;
 
   try {
-    // 1. Get the admin user by email
-    const { rows } = await pool.query(`SELECT id, password_hash FROM users WHERE email = $1 AND is_admin = TRUE`, [email]);
-    const user = rows[0];
-    if (!user) return res.status(404).json({ error: "Admin not found" });
+    const { rows } = await pool.query(`SELECT id, password_hash FROM admin_users WHERE id = $1`, [req.admin.id]);
+    const admin = rows[0];
+    if (!admin) return res.status(404).json({ error: "Admin not found" });
 
-    // 2. Check current password
-    const valid = await bcrypt.compare(currentPassword, user.password_hash);
+    const { match: valid } = await verifyPassword(currentPassword, admin.password_hash);
     if (!valid) return res.status(401).json({ error: "Current password is incorrect" });
 
-    // 3. Hash new password & update in DB
-    const newHash = await bcrypt.hash(newPassword, 10);
-    await pool.query(`UPDATE users SET password_hash = $1 WHERE id = $2`, [newHash, user.id]);
+    const newHash = await hashPassword(newPassword);
+    await withTransaction(async (client) => {
+      await client.query(`UPDATE admin_users SET password_hash = $1 WHERE id = $2`, [newHash, admin.id]);
+      // Never store password material in the log
+      await audit.record(client, req, {
+        action: audit.ACTIONS.ADMIN_PASSWORD_CHANGE,
+        targetType: 'admin',
+        targetId: admin.id,
+      });
+    });
 
     res.json({ success: true, message: "Password changed successfully!" });
   } catch (err) {
@@ -236,7 +552,7 @@ router.post('/change-password', requireAdminApiKey, async (req, res) => {
 
 
 // --- GET all trades (admin panel) ---
-router.get('/trades', requireAdminApiKey, async (req, res) => {
+router.get('/trades', requirePermission(PERMISSIONS.TRADES_READ), async (req, res) => {
   try {
     const result = await pool.query(
       `SELECT 
@@ -264,7 +580,7 @@ router.get('/trades', requireAdminApiKey, async (req, res) => {
 });
 
 // --- GET all withdrawals (admin panel) ---
-router.get('/withdrawals', requireAdminApiKey, async (req, res) => {
+router.get('/withdrawals', requirePermission(PERMISSIONS.WITHDRAWALS_READ), async (req, res) => {
   try {
     const result = await pool.query(
       `SELECT 
@@ -274,8 +590,17 @@ router.get('/withdrawals', requireAdminApiKey, async (req, res) => {
         amount,
         address,
         network,
+        memo,
+        address_id,
+        fee,
+        net_amount,
         created_at,
-        status
+        status,
+        reason,
+        funds_state,
+        tx_hash,
+        confirmations,
+        required_confirmations
       FROM withdrawals
       ORDER BY id DESC`
     );
@@ -285,8 +610,84 @@ router.get('/withdrawals', requireAdminApiKey, async (req, res) => {
   }
 });
 
+// --- Withdrawal fees and minimums, per coin and network ---
+router.get('/withdrawal-fees', requirePermission(PERMISSIONS.WITHDRAWAL_SETTINGS_MANAGE), async (req, res) => {
+  try {
+    res.json(await withdrawalPolicy.listFees());
+  } catch (err) {
+    res.status(500).json({ error: "DB error" });
+  }
+});
+
+router.put('/withdrawal-fees/:coin/:network', requirePermission(PERMISSIONS.WITHDRAWAL_SETTINGS_MANAGE), validate({
+  params: { coin: v.coin(), network: v.string({ max: 20 }) },
+  body: {
+    fee: v.number({ min: 0 }),
+    min_amount: v.number({ min: 0 }),
+    enabled: v.boolean({ optional: true }),
+  },
+}), async (req, res) => {
+  const { coin } = req.params;
+  const network = req.params.network.toUpperCase();
+  if (!NETWORKS[coin].includes(network)) {
+    return res.status(400).json({ error: `network must be one of: ${NETWORKS[coin].join(', ')}` });
+  }
+  try {
+    const fee = await withTransaction(async (client) => {
+      const { before, after } = await withdrawalPolicy.setFee(client, coin, network, req.body);
+      await audit.record(client, req, {
+        action: audit.ACTIONS.WITHDRAWAL_FEE_UPDATE,
+        targetType: 'withdrawal_fee',
+        targetId: `${coin}:${network}`,
+        before,
+        after,
+      });
+      return after;
+    });
+    res.json(fee);
+  } catch (err) {
+    res.status(500).json({ error: "DB error" });
+  }
+});
+
+// --- Rolling withdrawal limits, per KYC tier and coin (null = no limit) ---
+router.get('/withdrawal-limits', requirePermission(PERMISSIONS.WITHDRAWAL_SETTINGS_MANAGE), async (req, res) => {
+  try {
+    res.json(await withdrawalPolicy.listLimits());
+  } catch (err) {
+    res.status(500).json({ error: "DB error" });
+  }
+});
+
+router.put('/withdrawal-limits/:tier/:coin', requirePermission(PERMISSIONS.WITHDRAWAL_SETTINGS_MANAGE), validate({
+  params: { tier: v.oneOf(Object.values(withdrawalPolicy.TIERS)), coin: v.coin() },
+  body: {
+    daily_limit: v.number({ min: 0, optional: true }),
+    monthly_limit: v.number({ min: 0, optional: true }),
+  },
+}), async (req, res) => {
+  const { tier, coin } = req.params;
+  const limits = { daily_limit: req.body.daily_limit ?? null, monthly_limit: req.body.monthly_limit ?? null };
+  try {
+    const limit = await withTransaction(async (client) => {
+      const { before, after } = await withdrawalPolicy.setLimit(client, tier, coin, limits);
+      await audit.record(client, req, {
+        action: audit.ACTIONS.WITHDRAWAL_LIMIT_UPDATE,
+        targetType: 'withdrawal_limit',
+        targetId: `${tier}:${coin}`,
+        before,
+        after,
+      });
+      return after;
+    });
+    res.json(limit);
+  } catch (err) {
+    res.status(500).json({ error: "DB error" });
+  }
+});
+
 // --- GET all deposit addresses (for WalletPage.js) ---
-router.get('/deposit-addresses', requireAdminApiKey, async (req, res) => {
+router.get('/deposit-addresses', requirePermission(PERMISSIONS.DEPOSITS_READ), async (req, res) => {
   try {
     const result = await pool.query(
       `SELECT coin, address, qr_url FROM deposit_addresses ORDER BY coin`
@@ -312,10 +713,11 @@ const depositQrStorage = multer.diskStorage({
 const depositQrUpload = multer({ storage: depositQrStorage });
 
 // POST /api/admin/deposit-addresses
-router.post('/deposit-addresses', requireAdminApiKey, depositQrUpload.single('qr'), async (req, res) => {
+router.post('/deposit-addresses', requirePermission(PERMISSIONS.DEPOSIT_ADDRESSES_MANAGE), depositQrUpload.single('qr'), validate({
+  body: { coin: v.coin(), address: v.string({ max: 200 }) },
+}), async (req, res) => {
   const { coin, address } = req.body;
   let qr_url = null;
-  if (!coin || !address) return res.status(400).json({ error: 'Missing coin or address' });
 
   if (req.file) {
     qr_url = `/uploads/${req.file.filename}`;
@@ -336,27 +738,214 @@ router.post('/deposit-addresses', requireAdminApiKey, depositQrUpload.single('qr
            DO UPDATE SET address = $1, qr_url = $3, updated_at = NOW()`
       : `UPDATE deposit_addresses SET address = $1, updated_at = NOW() WHERE coin = $2`;
 
-    await pool.query(sql, params);
+    await withTransaction(async (client) => {
+      const { rows: before } = await client.query(
+        'SELECT coin, address, qr_url FROM deposit_addresses WHERE coin = $1 FOR UPDATE',
+        [coin]
+      );
+      await client.query(sql, params);
+      const { rows: after } = await client.query(
+        'SELECT coin, address, qr_url FROM deposit_addresses WHERE coin = $1',
+        [coin]
+      );
+      await audit.record(client, req, {
+        action: audit.ACTIONS.DEPOSIT_ADDRESS_UPDATE,
+        targetType: 'deposit_address',
+        targetId: coin,
+        before: before[0] || null,
+        after: after[0] || null,
+      });
+    });
     res.json({ success: true, coin, address, qr_url });
   } catch (err) {
     res.status(500).json({ error: 'DB error: ' + err.message });
   }
 });
 
-// --- Get ALL user win/lose trade modes (admin) ---
-router.get('/user-win-modes', requireAdminApiKey, async (req, res) => {
+// --- Staking products (admin) ---
+// Existing stakes keep the rate and penalty they were opened with; changes apply to new stakes and renewals.
+const stakingProductFields = (optional) => ({
+  name: v.string({ max: 100, optional: true }),
+  term_days: v.integer({ min: 1, max: 3650, optional }),
+  apr: v.number({ gt: 0, max: 1000, optional }),
+  min_amount: v.number({ gt: 0, optional }),
+  max_amount: v.number({ gt: 0, optional: true }),
+  capacity: v.number({ gt: 0, optional: true }),
+  // Percent of principal kept on early redemption (interest is always forfeited)
+  early_redeem_penalty_pct: v.number({ min: 0, max: 99, optional: true }),
+  starts_at: v.date({ optional: true }),
+  ends_at: v.date({ optional: true }),
+  active: v.boolean({ optional: true }),
+});
+
+router.get('/earn/products', requirePermission(PERMISSIONS.EARN_PRODUCTS_MANAGE), async (req, res) => {
+  try {
+    res.json(await stakingProducts.listAll());
+  } catch (err) {
+    res.status(500).json({ error: "DB error" });
+  }
+});
+
+router.post('/earn/products', requirePermission(PERMISSIONS.EARN_PRODUCTS_MANAGE), validate({
+  body: { coin: v.coin(), ...stakingProductFields(false) },
+}), async (req, res) => {
   try {
-    const { rows } = await pool.query(
-      `SELECT u.id, u.username, tm.mode
-       FROM users u
-       LEFT JOIN user_trade_modes tm ON u.id = tm.user_id
-       WHERE tm.mode IS NOT NULL`
-    );
-    res.json(rows);
+    const created = await withTransaction(async (client) => {
+      const product = await stakingProducts.create(client, req.body);
+      await audit.record(client, req, {
+        action: audit.ACTIONS.EARN_PRODUCT_CREATE,
+        targetType: 'staking_product',
+        targetId: product.id,
+        after: product,
+      });
+      return product;
+    });
+    res.status(201).json(stakingProducts.present(created));
   } catch (err) {
-    res.status(500).json({ error: "DB error: " + err.message });
+    if (err.code === '23514') return res.status(400).json({ error: "Invalid product limits or dates" });
+    res.status(500).json({ error: "DB error" });
+  }
+});
+
+// Change terms, limits or the active window, or deactivate a product
+router.patch('/earn/products/:id', requirePermission(PERMISSIONS.EARN_PRODUCTS_MANAGE), validate({
+  params: { id: v.id() },
+  body: stakingProductFields(true),
+}), async (req, res) => {
+  try {
+    const updated = await withTransaction(async (client) => {
+      const result = await stakingProducts.update(client, req.params.id, req.body);
+      if (!result) return null;
+      await audit.record(client, req, {
+        action: audit.ACTIONS.EARN_PRODUCT_UPDATE,
+        targetType: 'staking_product',
+        targetId: req.params.id,
+        before: result.before,
+        after: result.after,
+      });
+      return result.after;
+    });
+    if (!updated) return res.status(404).json({ error: "Staking product not found" });
+    res.json(stakingProducts.present(updated));
+  } catch (err) {
+    if (err.code === '23514') return res.status(400).json({ error: "Invalid product limits, dates or capacity" });
+    res.status(500).json({ error: "DB error" });
+  }
+});
+
+// --- Flexible savings rates (admin) ---
+// A rate change applies from the next day interest is worked out for.
+// Deactivating a coin stops new deposits; balances keep earning until the APR is 0.
+router.get('/earn/savings-rates', requirePermission(PERMISSIONS.EARN_PRODUCTS_MANAGE), async (req, res) => {
+  try {
+    res.json(await savings.listRates({ activeOnly: false }));
+  } catch (err) {
+    res.status(500).json({ error: "DB error" });
+  }
+});
+
+router.put('/earn/savings-rates/:coin', requirePermission(PERMISSIONS.EARN_PRODUCTS_MANAGE), validate({
+  params: { coin: v.coin() },
+  body: { apr: v.number({ min: 0, max: 1000 }), active: v.boolean({ optional: true }) },
+}), async (req, res) => {
+  try {
+    const rate = await withTransaction(async (client) => {
+      const { before, after } = await savings.setRate(client, req.params.coin, req.body);
+      await audit.record(client, req, {
+        action: audit.ACTIONS.EARN_SAVINGS_RATE,
+        targetType: 'savings_rate',
+        targetId: req.params.coin,
+        before,
+        after,
+      });
+      return after;
+    });
+    res.json(rate);
+  } catch (err) {
+    res.status(500).json({ error: "DB error" });
+  }
+});
+
+// --- Reconcile user_balances against the ledger and source tables (admin) ---
+// GET /api/admin/reconciliation?user_id=123&all=1
+router.get('/reconciliation', requirePermission(PERMISSIONS.RECONCILIATION_READ), validate({
+  query: { user_id: v.id({ optional: true }), all: v.boolean({ default: false }) },
+}), async (req, res) => {
+  const { user_id, all } = req.validated.query;
+  try {
+    const report = await runReconciliation({
+      userId: user_id ?? null,
+      includeOk: all,
+    });
+    res.json(report);
+  } catch (err) {
+    res.status(500).json({ error: "Reconciliation failed: " + err.message });
+  }
+});
+
+// --- Audit log (admin) ---
+// GET /api/admin/audit?admin_id=&action=&target_type=&target_id=&from=&to=&limit=&offset=
+// GET /api/admin/audit/export.csv takes the same filters.
+const MAX_AUDIT_EXPORT_ROWS = 50000;
+
+const auditFilterQuery = {
+  admin_id: v.id({ optional: true }),
+  action: v.oneOf([...Object.values(audit.ACTIONS), ...audit.LEGACY_ACTIONS], { optional: true }),
+  target_type: v.string({ max: 50, optional: true }),
+  target_id: v.string({ max: 100, optional: true }),
+  from: v.date({ optional: true }),
+  to: v.date({ optional: true }),
+};
+
+function auditFilters(query) {
+  return {
+    adminId: query.admin_id ?? null,
+    action: query.action || null,
+    targetType: query.target_type || null,
+    targetId: query.target_id || null,
+    from: query.from || null,
+    to: query.to || null,
+  };
+}
+
+router.get('/audit', requirePermission(PERMISSIONS.AUDIT_READ), validate({
+  query: {
+    ...auditFilterQuery,
+    limit: v.integer({ min: 1, max: 500, default: 100 }),
+    offset: v.integer({ min: 0, default: 0 }),
+  },
+}), async (req, res) => {
+  const filters = auditFilters(req.validated.query);
+  const { limit, offset } = req.validated.query;
+  try {
+    const { total, entries } = await audit.listEntries(pool, filters, { limit, offset });
+    res.json({ total, limit, offset, entries });
+  } catch (err) {
+    res.status(500).json({ error: "DB error" });
+  }
+});
+
+router.get('/audit/export.csv', requirePermission(PERMISSIONS.AUDIT_READ), validate({
+  query: auditFilterQuery,
+}), async (req, res) => {
+  const filters = auditFilters(req.validated.query);
+  try {
+    const { entries } = await audit.listEntries(pool, filters, { limit: MAX_AUDIT_EXPORT_ROWS });
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="admin-audit-${new Date().toISOString().slice(0, 10)}.csv"`);
+    res.send(audit.toCsv(entries));
+  } catch (err) {
+    res.status(500).json({ error: "DB error" });
   }
 });
 
+// Recomputes the hash chain; ok=false points at the first tampered entry
+router.get('/audit/verify', requirePermission(PERMISSIONS.AUDIT_READ), async (req, res) => {
+  try {
+    res.json(await audit.verifyChain(pool));
+  } catch (err) {
+    res.status(500).json({ error: "Audit verification failed: " + err.message });
+  }
+});
 
 module.exports = router;
@@ -1,27 +1,56 @@
-const bcrypt = require('bcrypt');
-const { authenticateToken } = require('../middleware/auth');
+const { hashPassword, verifyUserPassword } = require('../utils/password');
+const sessions = require('../utils/sessions');
+const twoFactor = require('../utils/twoFactor');
+const { withTransaction } = require('../utils/transaction');
+const {
+  authenticateToken,
+  requireStepUp,
+  signMfaChallenge,
+  verifyMfaChallenge,
+} = require('../middleware/auth');
+const { rateLimit, byBodyField, loginKey, loginLockout } = require('../middleware/rateLimit');
+const { validate, v } = require('../middleware/validate');
+const { WALLET_COINS } = require('../utils/coins');
 const express = require('express');
 const router = express.Router();
 const pool = require('../db');
-const nodemailer = require('nodemailer');
+const otp = require('../utils/otp');
+const notifications = require('../utils/notifications');
 const crypto = require('crypto');
-const jwt = require('jsonwebtoken');
-
-// Email transporter
-const transporter = nodemailer.createTransport({
-  service: 'gmail',
-  auth: {
-    user: process.env.EMAIL_USER,
-    pass: process.env.EMAIL_PASS,
-  },
-});
+
+// Queues an email with a fresh code for the purpose; returns { retryAfter } during the resend cooldown
+async function sendOtp(user, purpose) {
+  const issued = await otp.issue(user.id, purpose);
+  if (issued.retryAfter) return issued;
+  await notifications.enqueue(pool, {
+    userId: user.id,
+    to: user.email,
+    template: notifications.TEMPLATES.OTP,
+    data: { username: user.username || null, purpose, code: issued.code, expires_in: issued.expiresIn },
+  });
+  return issued;
+}
+
+// Counts a failed login for the lockout; the failure that triggers a lock is answered with it
+async function invalidLogin(res, lockKey) {
+  const locked = await loginLockout.failed(lockKey);
+  if (locked) return loginLockout.respond(res, locked);
+  return res.status(400).json({ error: 'Invalid email or password' });
+}
+
+const otpCode = v.string({ pattern: /^\d{6}$/, patternMessage: 'must be a 6-digit code' });
+const twoFactorCode = v.string({ max: 32 });
+
+function tooSoon(res, retryAfter) {
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({ error: `Please wait ${retryAfter} seconds before requesting another code.` });
+}
 
 // Register (random unique ID version, with resend OTP for unverified)
-router.post('/register', async (req, res) => {
+router.post('/register', rateLimit('register'), validate({
+  body: { username: v.string({ max: 50 }), email: v.email(), password: v.password() },
+}), async (req, res) => {
   const { username, email, password } = req.body;
-  if (!username || !email || !password) {
-    return res.status(400).json({ error: 'Missing username, email or password' });
-  }
   try {
     // Check duplicate email
     const { rows: existing } = await pool.query('SELECT * FROM users WHERE email = $1', [email]);
@@ -30,19 +59,8 @@ router.post('/register', async (req, res) => {
       if (!user.verified) {
 
         // User exists but not verified: re-send OTP and inform user
-        const otp = crypto.randomInt(100000, 999999).toString();
-        await pool.query('UPDATE users SET otp = $1 WHERE email = $2', [otp, email]);
-        
-        // Re-send OTP
-        const mailOptions = {
-          from: process.env.EMAIL_USER,
-          to: email,
-          subject: 'NovaChain OTP Verification',
-          text: `Hello${user.username ? " " + user.username : ""}, your OTP code is: ${otp}`
-        };
-        transporter.sendMail(mailOptions, (err) => {
-          if (err) console.error('❌ OTP email error:', err);
-        });
+        const sent = await sendOtp(user, otp.PURPOSES.VERIFY_EMAIL);
+        if (sent.retryAfter) return tooSoon(res, sent.retryAfter);
         return res.status(200).json({ 
           message: 'Account already exists but not verified. New OTP sent. Please check your email.' 
         });
@@ -53,8 +71,7 @@ router.post('/register', async (req, res) => {
     }
 
     // If here, email does not exist: create user
-    const plainPassword = password; // <-- No bcrypt hash
-    const otp = crypto.randomInt(100000, 999999).toString();
+    const passwordHash = await hashPassword(password);
 
     // Generate random unique ID (max 10 attempts)
     let userId;
@@ -69,15 +86,14 @@ router.post('/register', async (req, res) => {
 
     // Insert user with custom random ID
    await pool.query(
-  'INSERT INTO users (id, username, email, password, balance, otp, verified) VALUES ($1, $2, $3, $4, $5, $6, $7)',
-  [userId, username, email, password, 0, otp, false]
+  'INSERT INTO users (id, username, email, password, balance, verified) VALUES ($1, $2, $3, $4, $5, $6)',
+  [userId, username, email, passwordHash, 0, false]
 );
 
 
     // Insert balances for all coins (multi-coin support)
-    const coins = ["USDT", "BTC", "ETH", "SOL", "XRP", "TON"];
     await Promise.all(
-      coins.map((coin) => 
+      WALLET_COINS.map((coin) => 
         pool.query(
           `INSERT INTO user_balances (user_id, coin, balance) VALUES ($1, $2, 0)`,
           [userId, coin]
@@ -86,15 +102,8 @@ router.post('/register', async (req, res) => {
     );
 
     // Send OTP Email
-    const mailOptions = {
-      from: process.env.EMAIL_USER,
-      to: email,
-      subject: 'NovaChain OTP Verification',
-      text: `Hello ${username}, your OTP code is: ${otp}`
-    };
-    
     try {
-      await transporter.sendMail(mailOptions);
+      await sendOtp({ id: userId, username, email }, otp.PURPOSES.VERIFY_EMAIL);
       res.status(201).json({ message: 'User registered! OTP sent.', userId });
     } catch (err) {
       console.error('❌ OTP email error:', err);
@@ -105,8 +114,10 @@ router.post('/register', async (req, res) => {
   }
 });
 
-// Login (returns JWT, supports email or username)
-router.post('/login', async (req, res) => {
+// Login (returns access + refresh token, supports email or username)
+router.post('/login', rateLimit('login'), validate({
+  body: { email: v.string({ max: 254 }), password: v.string({ max: 200, trim: false }) },
+}), async (req, res) => {
   const { email, password } = req.body;
   try {
     const { rows } = await pool.query(
@@ -114,66 +125,165 @@ router.post('/login', async (req, res) => {
       [email]
     );
     const user = rows[0];
-    if (!user) {
-      return res.status(400).json({ error: 'Invalid email or password' });
-    }
+    // Keyed by account, so switching between email and username does not reset it
+    const lockKey = user ? loginKey('user', user.id) : loginKey('user-login', email);
+    const locked = await loginLockout.check(lockKey);
+    if (locked) return loginLockout.respond(res, locked);
+    if (!user) return invalidLogin(res, lockKey);
 
-    let match = false;
-    if (user.password.startsWith("$2b$")) {
-      // bcrypt hash
-      match = await bcrypt.compare(password, user.password);
-    } else {
-      // plain text fallback for legacy users
-      match = (password === user.password);
-    }
-    if (!match) {
-      return res.status(400).json({ error: 'Invalid email or password' });
-    }
+    // Legacy plaintext passwords are rehashed on the first successful login
+    const match = await verifyUserPassword(user.id, password, user.password);
+    if (!match) return invalidLogin(res, lockKey);
+    await loginLockout.succeeded(lockKey);
 
     if (user.verified === false || user.verified === 0) {
       return res.status(403).json({ error: "Please verify your email with OTP before logging in." });
     }
-    // Create JWT token
-    const payload = { id: user.id, username: user.username, email: user.email };
-    const token = jwt.sign(payload, process.env.JWT_SECRET, { expiresIn: '7d' });
+    // Accounts with 2FA finish logging in at /login/2fa
+    if (await twoFactor.isEnabled(twoFactor.userOwner(user.id))) {
+      return res.json({ mfa_required: true, mfa_token: signMfaChallenge('user', user.id) });
+    }
+    res.json(await loginResponse(user, req));
+  } catch (err) {
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Second login step for accounts with 2FA: mfa_token from /login + TOTP or backup code
+router.post('/login/2fa', rateLimit('login_2fa'), validate({
+  body: { mfa_token: v.string({ max: 2000 }), code: twoFactorCode },
+}), async (req, res) => {
+  const { mfa_token, code } = req.body;
+  const userId = verifyMfaChallenge(mfa_token, 'user');
+  if (!userId) return res.status(401).json({ error: 'Login expired, please sign in again' });
+  try {
+    const { rows } = await pool.query('SELECT id, username, email FROM users WHERE id = $1', [userId]);
+    const user = rows[0];
+    if (!user) return res.status(401).json({ error: 'Login expired, please sign in again' });
+    const lockKey = loginKey('user-2fa', user.id);
+    const locked = await loginLockout.check(lockKey);
+    if (locked) return loginLockout.respond(res, locked);
+    if (!(await twoFactor.verifyCode(twoFactor.userOwner(user.id), code))) {
+      const lock = await loginLockout.failed(lockKey);
+      if (lock) return loginLockout.respond(res, lock);
+      return res.status(400).json({ error: 'Invalid two-factor code' });
+    }
+    await loginLockout.succeeded(lockKey);
+    res.json(await loginResponse(user, req));
+  } catch (err) {
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Short-lived access token + rotating refresh token for this device
+async function loginResponse(user, req) {
+  const { token, refresh_token, expires_in } = await sessions.createSession(user, req);
+  return {
+    token,
+    refresh_token,
+    expires_in,
+    user: {
+      id: "NC-" + String(user.id).padStart(7, "0"),
+      username: user.username,
+      email: user.email
+    }
+  };
+}
+
+// --- Two-factor authentication (TOTP) ---
+router.get('/2fa', authenticateToken, async (req, res) => {
+  const owner = twoFactor.userOwner(req.user.id);
+  try {
+    const enabled = await twoFactor.isEnabled(owner);
     res.json({
-      token,
-      user: {
-        id: "NC-" + String(user.id).padStart(7, "0"),
-        username: user.username,
-        email: user.email
-      }
+      enabled,
+      backup_codes_remaining: enabled ? await twoFactor.remainingBackupCodes(owner) : 0,
     });
   } catch (err) {
     res.status(500).json({ error: 'Database error' });
   }
 });
 
+// Step 1: new secret for the authenticator app (QR from otpauth_url)
+router.post('/2fa/setup', authenticateToken, async (req, res) => {
+  try {
+    const enrolment = await twoFactor.startEnrolment(
+      twoFactor.userOwner(req.user.id),
+      req.user.email || req.user.username
+    );
+    if (!enrolment) return res.status(409).json({ error: 'Two-factor authentication is already enabled' });
+    res.json(enrolment);
+  } catch (err) {
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Step 2: confirm with a code from the app; backup codes are only shown here
+router.post('/2fa/enable', authenticateToken, validate({ body: { code: twoFactorCode } }), async (req, res) => {
+  const { code } = req.body;
+  try {
+    const backupCodes = await withTransaction(client =>
+      twoFactor.confirmEnrolment(twoFactor.userOwner(req.user.id), code, client)
+    );
+    if (!backupCodes) return res.status(400).json({ error: 'Invalid code or no pending setup' });
+    res.json({ success: true, backup_codes: backupCodes });
+  } catch (err) {
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+router.post('/2fa/disable', authenticateToken, requireStepUp, async (req, res) => {
+  try {
+    const removed = await twoFactor.disable(twoFactor.userOwner(req.user.id));
+    if (!removed) return res.status(404).json({ error: 'Two-factor authentication is not enabled' });
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+router.post('/2fa/backup-codes', authenticateToken, requireStepUp, async (req, res) => {
+  const owner = twoFactor.userOwner(req.user.id);
+  try {
+    if (!(await twoFactor.isEnabled(owner))) {
+      return res.status(404).json({ error: 'Two-factor authentication is not enabled' });
+    }
+    const backupCodes = await withTransaction(client => twoFactor.regenerateBackupCodes(owner, client));
+    res.json({ backup_codes: backupCodes });
+  } catch (err) {
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
 
 
 
 // OTP Verification (POSTGRES BOOLEAN SAFE)
-router.post('/verify-otp', async (req, res) => {
-  const { email, otp } = req.body;
+router.post('/verify-otp', rateLimit('otp_verify'), validate({
+  body: { email: v.email(), otp: otpCode },
+}), async (req, res) => {
+  const { email, otp: code } = req.body;
   try {
     const { rows } = await pool.query('SELECT * FROM users WHERE email = $1', [email]);
     const user = rows[0];
     if (!user) return res.status(404).json({ error: 'User not found' });
-    if (user.otp === otp) {
-      await pool.query('UPDATE users SET verified = TRUE WHERE email = $1', [email]);
-      res.json({ message: 'Email verified successfully' });
-    } else {
-      res.status(400).json({ error: 'Invalid OTP' });
+    const result = await otp.verify(user.id, otp.PURPOSES.VERIFY_EMAIL, code);
+    if (!result.ok) {
+      const { status, body } = otp.failureResponse(result);
+      return res.status(status).json(body);
     }
+    await pool.query('UPDATE users SET verified = TRUE WHERE id = $1', [user.id]);
+    res.json({ message: 'Email verified successfully' });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
 // --- Forgot Password: Send OTP to Email ---
-router.post('/forgot-password', async (req, res) => {
+router.post('/forgot-password', rateLimit('otp_send'), rateLimit('otp_send_account', byBodyField('email')), validate({
+  body: { email: v.email() },
+}), async (req, res) => {
   const { email } = req.body;
-  if (!email) return res.status(400).json({ error: "Email required" });
 
   try {
     const { rows } = await pool.query('SELECT * FROM users WHERE email = $1', [email]);
@@ -181,20 +291,9 @@ router.post('/forgot-password', async (req, res) => {
       // Always return OK for privacy
       return res.json({ message: "If this email exists, OTP sent" });
     }
-    const user = rows[0];
-    const otp = crypto.randomInt(100000, 999999).toString();
-    await pool.query('UPDATE users SET otp = $1 WHERE email = $2', [otp, email]);
-
-    // Send email with OTP
-    const mailOptions = {
-      from: process.env.EMAIL_USER,
-      to: email,
-      subject: 'NovaChain Password Reset OTP',
-      text: `Your NovaChain OTP for password reset is: ${otp}`
-    };
-    transporter.sendMail(mailOptions, (err) => {
-      if (err) console.error('❌ OTP email error:', err);
-    });
+    // During the resend cooldown the previous code stays valid; answer the
+    // same way so the response does not reveal whether the email exists
+    sendOtp(rows[0], otp.PURPOSES.RESET_PASSWORD).catch(err => console.error('❌ OTP email error:', err));
 
     return res.json({ message: "If this email exists, OTP sent" });
   } catch (err) {
@@ -204,18 +303,26 @@ router.post('/forgot-password', async (req, res) => {
 });
 
 // --- Reset Password with OTP ---
-router.post('/reset-password', async (req, res) => {
-  const { email, otp, newPassword } = req.body;
-  if (!email || !otp || !newPassword) return res.status(400).json({ error: "All fields required" });
+router.post('/reset-password', rateLimit('otp_verify'), validate({
+  body: { email: v.email(), otp: otpCode, newPassword: v.password() },
+}), async (req, res) => {
+  const { email, otp: code, newPassword } = req.body;
 
   try {
     const { rows } = await pool.query('SELECT * FROM users WHERE email = $1', [email]);
     if (rows.length === 0) return res.status(400).json({ error: "Invalid email or OTP" });
 
     const user = rows[0];
-    if (user.otp !== otp) return res.status(400).json({ error: "Invalid OTP" });
+    const result = await otp.verify(user.id, otp.PURPOSES.RESET_PASSWORD, code);
+    if (!result.ok) {
+      const { status, body } = otp.failureResponse(result);
+      return res.status(status).json(body);
+    }
 
-    await pool.query('UPDATE users SET password = $1, otp = NULL WHERE email = $2', [newPassword, email]);
+    const passwordHash = await hashPassword(newPassword);
+    await pool.query('UPDATE users SET password = $1 WHERE id = $2', [passwordHash, user.id]);
+    // Whoever had the old password may still be logged in somewhere
+    await sessions.revokeAllSessions(user.id, sessions.REVOKE_REASONS.PASSWORD_RESET);
     return res.json({ message: "Password reset successful" });
   } catch (err) {
     console.error('Reset password error', err);
@@ -224,9 +331,10 @@ router.post('/reset-password', async (req, res) => {
 });
 
 // --- Resend OTP (for registration) ---
-router.post('/resend-otp', async (req, res) => {
+router.post('/resend-otp', rateLimit('otp_send'), rateLimit('otp_send_account', byBodyField('email')), validate({
+  body: { email: v.email() },
+}), async (req, res) => {
   const { email } = req.body;
-  if (!email) return res.status(400).json({ error: 'Email is required.' });
 
   try {
     // Check if user exists
@@ -236,24 +344,15 @@ router.post('/resend-otp', async (req, res) => {
     }
     const user = rows[0];
 
-    // Generate a new OTP
-    const otp = crypto.randomInt(100000, 999999).toString();
-    await pool.query('UPDATE users SET otp = $1 WHERE email = $2', [otp, email]);
-
-    // Send OTP Email
-    const mailOptions = {
-      from: process.env.EMAIL_USER,
-      to: email,
-      subject: 'NovaChain OTP Verification',
-      text: `Hello${user.username ? " " + user.username : ""}, your OTP code is: ${otp}`
-    };
-    transporter.sendMail(mailOptions, (err) => {
-      if (err) {
-        console.error('❌ OTP resend email error:', err);
-        return res.status(500).json({ error: 'Failed to send OTP email.' });
-      }
-      res.json({ message: 'OTP code resent. Please check your email.' });
-    });
+    // Generate and email a new OTP
+    try {
+      const sent = await sendOtp(user, otp.PURPOSES.VERIFY_EMAIL);
+      if (sent.retryAfter) return tooSoon(res, sent.retryAfter);
+    } catch (err) {
+      console.error('❌ OTP resend email error:', err);
+      return res.status(500).json({ error: 'Failed to send OTP email.' });
+    }
+    res.json({ message: 'OTP code resent. Please check your email.' });
   } catch (err) {
     console.error('Resend OTP error:', err);
     res.status(500).json({ error: 'Server error, could not resend OTP.' });
@@ -261,4 +360,67 @@ router.post('/resend-otp', async (req, res) => {
 });
 
 
+// --- Exchange a refresh token for a new token pair ---
+router.post('/refresh', rateLimit('token_refresh'), validate({
+  body: { refresh_token: v.string({ max: 512 }) },
+}), async (req, res) => {
+  const { refresh_token } = req.body;
+  try {
+    const tokens = await sessions.rotateRefreshToken(refresh_token, req);
+    if (!tokens) return res.status(401).json({ error: 'Invalid or expired refresh token' });
+    res.json(tokens);
+  } catch (err) {
+    console.error('Refresh token error', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// --- Log out this device ---
+router.post('/logout', authenticateToken, async (req, res) => {
+  try {
+    await sessions.revokeSession(req.user.id, req.user.sid, sessions.REVOKE_REASONS.LOGOUT);
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// --- Active sessions (devices) of the current user ---
+router.get('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const rows = await sessions.listSessions(req.user.id);
+    res.json(rows.map(s => ({ ...s, current: s.id === req.user.sid })));
+  } catch (err) {
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// --- Revoke all sessions (?keep_current=1 keeps this device logged in) ---
+router.delete('/sessions', authenticateToken, validate({
+  query: { keep_current: v.boolean({ default: false }) },
+}), async (req, res) => {
+  const keepCurrent = req.validated.query.keep_current;
+  try {
+    const revoked = await sessions.revokeAllSessions(req.user.id, sessions.REVOKE_REASONS.USER_REVOKED, {
+      exceptSid: keepCurrent ? req.user.sid : null,
+    });
+    res.json({ success: true, revoked });
+  } catch (err) {
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// --- Revoke one session ---
+router.delete('/sessions/:id', authenticateToken, validate({
+  params: { id: v.string({ max: 64 }) },
+}), async (req, res) => {
+  try {
+    const revoked = await sessions.revokeSession(req.user.id, req.params.id, sessions.REVOKE_REASONS.USER_REVOKED);
+    if (!revoked) return res.status(404).json({ error: 'Session not found' });
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
 module.exports = router;
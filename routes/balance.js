@@ -3,8 +3,10 @@ const express = require('express');
 const router = express.Router();
 const pool = require('../db');
 const { authenticateToken } = require('../middleware/auth');
+const { WALLET_COINS, coinDecimals } = require('../utils/coins');
 
 // GET /api/balance (JWT-protected, returns all coins)
+// balance/available is spendable, frozen is reserved by pending withdrawals
 router.get('/', authenticateToken, async (req, res) => {
   try {
     const { rows } = await pool.query(
@@ -12,13 +14,16 @@ router.get('/', authenticateToken, async (req, res) => {
       [req.user.id]
     );
     // Always show all coins (including 0 balance)
-    const allCoins = ["USDT", "BTC", "ETH", "SOL", "XRP", "TON"];
-    const assets = allCoins.map(symbol => {
+    const assets = WALLET_COINS.map(symbol => {
       const row = rows.find(r => r.coin === symbol);
+      const available = row ? parseFloat(row.balance) : 0;
+      const frozen = row ? parseFloat(row.frozen) : 0;
       return {
         symbol,
-        balance: row ? parseFloat(row.balance) : 0,
-        frozen: row ? parseFloat(row.frozen) : 0 // <-- ADD THIS LINE
+        balance: available,
+        available,
+        frozen,
+        total: Number((available + frozen).toFixed(coinDecimals(symbol))),
       };
     });
     res.json({ assets });
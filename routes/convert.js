@@ -4,6 +4,11 @@ const router = express.Router();
 const pool = require("../db");
 const { authenticateToken } = require("../middleware/auth");
 const axios = require("axios");
+const ledger = require("../utils/ledger");
+const { idempotent } = require("../middleware/idempotency");
+const { rateLimit, byUser } = require("../middleware/rateLimit");
+const { validate, v } = require("../middleware/validate");
+const { WALLET_COINS, coinDecimals } = require("../utils/coins");
 
 // Symbol -> CoinGecko ID (primary)
 const CG_ID = {
@@ -85,34 +90,23 @@ async function getSpotUSD(symbol) {
   throw new Error("PRICE_UNAVAILABLE");
 }
 
-// simple decimals by coin for display/storage (feel free to adjust)
-function coinDecimals(sym) {
-  if (sym === "USDT") return 2;
-  if (sym === "XRP" || sym === "TON") return 4;
-  return 8; // BTC/ETH/SOL etc.
-}
+const convertSchema = {
+  body: {
+    from_coin: v.oneOf(WALLET_COINS, { normalize: normalizeSymbol }),
+    to_coin: v.oneOf(WALLET_COINS, { normalize: normalizeSymbol }),
+    amount: v.amount({ coinField: "from_coin" }),
+  },
+};
 
-router.post("/", authenticateToken, async (req, res) => {
+router.post("/", authenticateToken, rateLimit("convert", byUser), validate(convertSchema), idempotent("convert"), async (req, res) => {
   try {
-    const { from_coin, to_coin, amount } = req.body;
+    const { from_coin: fromSym, to_coin: toSym, amount: amt } = req.body;
     const user_id = req.user.id;
 
-    const fromSym = normalizeSymbol(from_coin);
-    const toSym = normalizeSymbol(to_coin);
-    const amt = Number(amount);
-
-    if (!fromSym || !toSym || !isFinite(amt) || amt <= 0) {
-      return res.status(400).json({ error: "Invalid input" });
-    }
-
     // only allow USDT <-> coin (same as before)
     if (fromSym === toSym) {
       return res.status(400).json({ error: "Cannot convert to same coin" });
     }
-    const allowed = ["BTC", "ETH", "SOL", "XRP", "TON", "USDT"];
-    if (!allowed.includes(fromSym) || !allowed.includes(toSym)) {
-      return res.status(400).json({ error: "Invalid coin" });
-    }
     if (!(fromSym === "USDT" || toSym === "USDT")) {
       return res.status(400).json({ error: "Only USDT <-> coin conversions allowed." });
     }
@@ -154,27 +148,24 @@ router.post("/", authenticateToken, async (req, res) => {
         throw new Error("Insufficient balance.");
       }
 
-      // 2. Deduct from balance
-      await client.query(
-        "UPDATE user_balances SET balance = balance - $1 WHERE user_id = $2 AND coin = $3",
-        [amt, user_id, fromSym]
-      );
-
-      // 3. Add to new balance
-      await client.query(
-        `INSERT INTO user_balances (user_id, coin, balance)
-         VALUES ($1, $2, $3)
-         ON CONFLICT (user_id, coin)
-         DO UPDATE SET balance = user_balances.balance + EXCLUDED.balance`,
-        [user_id, toSym, received]
-      );
-
-      // 4. Record history
-      await client.query(
-        `INSERT INTO conversions (user_id, from_coin, to_coin, amount, received, rate)
-         VALUES ($1, $2, $3, $4, $5, $6)`,
-        [user_id, fromSym, toSym, amt, received, rateUSD]
-      );
+      // 2. Record history
+      const { rows: convRows } = await client.query(
+        `INSERT INTO conversions (user_id, from_coin, to_coin, amount, received, rate)
+         VALUES ($1, $2, $3, $4, $5, $6) RETURNING id`,
+        [user_id, fromSym, toSym, amt, received, rateUSD]
+      );
+
+      // 3. Swap through the conversion desk: pay in fromSym, receive toSym
+      await ledger.postJournal(client, {
+        reason: ledger.REASONS.CONVERSION,
+        refType: ledger.REF_TYPES.CONVERSION,
+        refId: convRows[0].id,
+        userId: user_id,
+        transfers: [
+          { from: ledger.userAccount(user_id), to: ledger.systemAccount("conversion"), coin: fromSym, amount: amt },
+          { from: ledger.systemAccount("conversion"), to: ledger.userAccount(user_id), coin: toSym, amount: received },
+        ],
+      });
 
       await client.query('COMMIT'); // Success! Save changes.
       res.json({ success: true, received, rate: rateUSD });
@@ -1,19 +1,28 @@
 const express = require('express');
 const router = express.Router();
 const pool = require('../db');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, requirePermission, PERMISSIONS } = require('../middleware/auth');
+const ledger = require('../utils/ledger');
+const audit = require('../utils/auditLog');
+const notifications = require('../utils/notifications');
+const { validate, v } = require('../middleware/validate');
 
 // --- Create deposit (user, supply screenshot URL, JWT protected) ---
 router.post(
   '/',
   authenticateToken,
+  validate({
+    body: {
+      coin: v.coin(),
+      amount: v.amount(),
+      address: v.string({ max: 200 }),
+      screenshot: v.string({ max: 2048, pattern: /^https?:\/\//i, patternMessage: 'must be an http(s) URL' }),
+    },
+  }),
   async (req, res) => {
     const user_id = req.user.id;
     const { coin, amount, address, screenshot } = req.body; // <-- screenshot is now a public URL string
 
-    if (!user_id || !coin || !amount || !address || !screenshot) {
-      return res.status(400).json({ error: 'Missing required fields' });
-    }
     try {
       // Insert with 'pending' status!
       const result = await pool.query(
@@ -28,8 +37,8 @@ router.post(
   }
 );
 
-// --- Get all deposits (admin view, or user with filter) ---
-router.get('/', async (req, res) => {
+// --- Get all deposits (admin) ---
+router.get('/', requirePermission(PERMISSIONS.DEPOSITS_READ), async (req, res) => {
   try {
     const result = await pool.query('SELECT * FROM deposits ORDER BY created_at DESC');
     res.json(result.rows);
@@ -39,31 +48,62 @@ router.get('/', async (req, res) => {
 });
 
 // --- Admin: Approve/Reject deposit by id ---
-router.post('/:id/status', async (req, res) => {
+router.post('/:id/status', requirePermission(PERMISSIONS.DEPOSITS_APPROVE), validate({
+  params: { id: v.id() },
+  body: { status: v.oneOf(["approved", "rejected", "pending"]) },
+}), async (req, res) => {
   const { status } = req.body;
   const { id } = req.params;
-  if (!["approved", "rejected", "pending"].includes(status)) {
-    return res.status(400).json({ error: "Invalid status" });
-  }
+  const client = await pool.connect();
   try {
-    const { rows } = await pool.query('SELECT * FROM deposits WHERE id = $1', [id]);
+    await client.query('BEGIN');
+    const { rows } = await client.query('SELECT * FROM deposits WHERE id = $1 FOR UPDATE', [id]);
     const deposit = rows[0];
-    if (!deposit) return res.status(404).json({ error: "Deposit not found" });
+    if (!deposit) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: "Deposit not found" });
+    }
+    // An approved deposit has been credited; moving it back out would let a
+    // second approval credit it again
+    if (deposit.status === "approved" && status !== "approved") {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: "Deposit is already approved and credited" });
+    }
 
-    await pool.query('UPDATE deposits SET status = $1 WHERE id = $2', [status, id]);
+    await client.query('UPDATE deposits SET status = $1 WHERE id = $2', [status, id]);
 
-    if (status === "approved") {
-      // 1. Update user balance (insert or add)
-      await pool.query(
-        `INSERT INTO user_balances (user_id, coin, balance)
-         VALUES ($1, $2, $3)
-         ON CONFLICT (user_id, coin) DO UPDATE
-         SET balance = user_balances.balance + EXCLUDED.balance`,
-        [deposit.user_id, deposit.coin, deposit.amount]
-      );
+    await audit.record(client, req, {
+      action: audit.ACTIONS.DEPOSIT_STATUS,
+      targetType: 'deposit',
+      targetId: deposit.id,
+      before: { status: deposit.status },
+      after: { status },
+    });
+
+    // Credit only on the first approval; re-approving an approved deposit is a no-op
+    if (status === "approved" && deposit.status !== "approved") {
+      // 1. Credit user balance from the deposits clearing account
+      await ledger.postJournal(client, {
+        reason: ledger.REASONS.DEPOSIT,
+        refType: ledger.REF_TYPES.DEPOSIT,
+        refId: deposit.id,
+        userId: deposit.user_id,
+        transfers: [{
+          from: ledger.systemAccount('deposits'),
+          to: ledger.userAccount(deposit.user_id),
+          coin: deposit.coin,
+          amount: deposit.amount,
+        }],
+      });
+      await notifications.enqueue(client, {
+        userId: deposit.user_id,
+        template: notifications.TEMPLATES.DEPOSIT_CREDITED,
+        data: { deposit_id: deposit.id, coin: deposit.coin, amount: deposit.amount },
+        dedupeKey: `deposit:${deposit.id}:credited`,
+      });
 
       // 2. Get the latest balance for this user and coin
-      const { rows: balanceRows } = await pool.query(
+      const { rows: balanceRows } = await client.query(
         `SELECT balance FROM user_balances WHERE user_id = $1 AND coin = $2`,
         [deposit.user_id, deposit.coin]
       );
@@ -72,7 +112,7 @@ router.post('/:id/status', async (req, res) => {
       // 3. Get latest USD price for this coin (LIVE: from prices, fallback 1 for USDT)
       let price_usd = 1;
       if (deposit.coin !== "USDT") {
-        const { rows: priceRows } = await pool.query(
+        const { rows: priceRows } = await client.query(
           `SELECT price_usd FROM prices WHERE symbol = $1 ORDER BY updated_at DESC LIMIT 1`,
           [deposit.coin]
         );
@@ -81,19 +121,24 @@ router.post('/:id/status', async (req, res) => {
       }
 
       // 4. Insert into balance_history (timestamped as now)
-      await pool.query(
+      await client.query(
         `INSERT INTO balance_history (user_id, coin, balance, price_usd, timestamp)
          VALUES ($1, $2, $3, $4, NOW())`,
         [deposit.user_id, deposit.coin, newBalance, price_usd]
       );
 
+      await client.query('COMMIT');
       return res.json({ success: true, balanceAdded: true });
     } else {
+      await client.query('COMMIT');
       return res.json({ success: true, balanceAdded: false });
     }
   } catch (err) {
+    await client.query('ROLLBACK');
     console.error("Deposit approve error:", err);
     res.status(500).json({ error: 'Database error', detail: err.message });
+  } finally {
+    client.release();
   }
 });
 
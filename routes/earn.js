@@ -4,10 +4,44 @@ const express = require('express');
 const router = express.Router();
 const pool = require('../db'); 
 const { authenticateToken } = require('../middleware/auth');
+const stakes = require('../utils/stakes');
+const { idempotent } = require('../middleware/idempotency');
+const { validate, v } = require('../middleware/validate');
+const stakingProducts = require('../utils/stakingProducts');
+const savings = require('../utils/savings');
+const earnReports = require('../utils/earnReports');
+const { toCsv } = require('../utils/csv');
+const { fitsDecimals, coinDecimals } = require('../utils/coins');
+
+// ---
+// GET /api/earn/products?coin=USDT
+// Staking products open for new stakes
+// ---
+router.get('/products', validate({ query: { coin: v.coin({ optional: true }) } }), async (req, res) => {
+  try {
+    const products = await stakingProducts.listAvailable({ coin: req.validated.query.coin ?? null });
+    res.json(products.map(p => ({
+      id: p.id,
+      name: p.name,
+      coin: p.coin,
+      term_days: p.term_days,
+      apr: p.apr,
+      daily_rate: p.daily_rate,
+      min_amount: p.min_amount,
+      max_amount: p.max_amount,
+      early_redeem_penalty_pct: p.early_redeem_penalty_pct,
+      remaining_capacity: p.remaining_capacity,
+      ends_at: p.ends_at,
+    })));
+  } catch (error) {
+    console.error("Error fetching staking products:", error);
+    res.status(500).json({ error: "Server error" });
+  }
+});
 
 // ---
 // GET /api/earn/stakes
-// Fetches the user's ACTIVE stakes
+// Fetches the user's ACTIVE stakes (closed ones are in /history)
 // ---
 router.get('/stakes', authenticateToken, async (req, res) => {
   const userId = req.user.id;
@@ -32,7 +66,8 @@ router.get('/stakes', authenticateToken, async (req, res) => {
       return {
         ...stake,
         days_left: diffDays > 0 ? diffDays : 0,
-        can_redeem: isReady
+        can_redeem: isReady,
+        early_redeem: isReady ? null : stakes.earlyRedeemQuote(stake),
       };
     });
 
@@ -44,24 +79,114 @@ router.get('/stakes', authenticateToken, async (req, res) => {
 });
 
 // ---
-// POST /api/earn/stake
-// Locks funds
+// GET /api/earn/history?status=&coin=&limit=&offset=
+// All stakes (active and closed), newest first, with their payouts
 // ---
-router.post('/stake', authenticateToken, async (req, res) => {
-  const userId = req.user.id;
-  const { coin, amount, duration_days, daily_rate } = req.body;
-  const stakeAmount = parseFloat(amount);
+router.get('/history', authenticateToken, validate({
+  query: {
+    status: v.oneOf(Object.values(stakes.STATUS), { normalize: (s) => String(s).toUpperCase(), optional: true }),
+    coin: v.coin({ optional: true }),
+    limit: v.integer({ min: 1, max: 200, default: 50 }),
+    offset: v.integer({ min: 0, default: 0 }),
+  },
+}), async (req, res) => {
+  const { status, coin, limit, offset } = req.validated.query;
+  try {
+    const { total, stakes: rows } = await earnReports.stakeHistory(req.user.id, {
+      status: status ?? null,
+      coin: coin ?? null,
+      limit,
+      offset,
+    });
+    res.json({ total, limit, offset, stakes: rows });
+  } catch (error) {
+    console.error("Error fetching earn history:", error);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// ---
+// GET /api/earn/summary
+// Per coin: principal staked, projected and earned interest, savings
+// ---
+router.get('/summary', authenticateToken, async (req, res) => {
+  try {
+    res.json(await earnReports.summary(req.user.id));
+  } catch (error) {
+    console.error("Error fetching earn summary:", error);
+    res.status(500).json({ error: "Server error" });
+  }
+});
 
-  if (!coin || isNaN(stakeAmount) || stakeAmount <= 0 || !duration_days) {
-    return res.status(400).json({ success: false, error: "Invalid staking details." });
+// ---
+// GET /api/earn/statement.csv?from=2026-01-01&to=2026-02-01
+// Yield statement for from <= date < to (default: the last 30 days)
+// ---
+const MAX_STATEMENT_DAYS = 366;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+router.get('/statement.csv', authenticateToken, validate({
+  query: { from: v.date({ optional: true }), to: v.date({ optional: true }) },
+}), async (req, res) => {
+  const to = req.validated.query.to || new Date();
+  const from = req.validated.query.from || new Date(to.getTime() - 30 * DAY_MS);
+  if (from >= to) {
+    return res.status(400).json({ error: "'from' must be before 'to'." });
+  }
+  if (to - from > MAX_STATEMENT_DAYS * DAY_MS) {
+    return res.status(400).json({ error: `A statement can cover at most ${MAX_STATEMENT_DAYS} days.` });
+  }
+  try {
+    const rows = await earnReports.statement(req.user.id, { from, to });
+    const day = (d) => d.toISOString().slice(0, 10);
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="earn-statement-${day(from)}-${day(to)}.csv"`);
+    res.send(toCsv(earnReports.STATEMENT_COLUMNS, rows));
+  } catch (error) {
+    console.error("Error building earn statement:", error);
+    res.status(500).json({ error: "Server error" });
   }
+});
+
+// ---
+// POST /api/earn/stake
+// Locks funds in a staking product at the product's current rate
+// ---
+const stakeSchema = {
+  body: {
+    product_id: v.id(),
+    amount: v.amount(),
+    auto_renew: v.boolean({ default: false }),
+  },
+};
+
+router.post('/stake', authenticateToken, validate(stakeSchema), idempotent('stake'), async (req, res) => {
+  const userId = req.user.id;
+  const { product_id, amount: stakeAmount, auto_renew } = req.body;
 
   const client = await pool.connect();
 
   try {
     await client.query('BEGIN');
 
-    // 1. Check Balance
+    // 1. Product must be open; the lock keeps capacity checks consistent
+    const product = await stakingProducts.lockAvailable(client, product_id);
+    if (!product) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ success: false, error: "Staking product not found or not available." });
+    }
+    const coin = product.coin;
+    if (!fitsDecimals(stakeAmount, coin)) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ success: false, error: `Amount must have at most ${coinDecimals(coin)} decimal places for ${coin}.` });
+    }
+    const amountError = stakingProducts.amountError(product, stakeAmount);
+    if (amountError) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ success: false, error: amountError });
+    }
+
+    // 2. Check Balance
     const balanceRes = await client.query(
       "SELECT balance FROM user_balances WHERE user_id = $1 AND coin = $2 FOR UPDATE",
       [userId, coin]
@@ -73,22 +198,22 @@ router.post('/stake', authenticateToken, async (req, res) => {
       return res.status(400).json({ success: false, error: `Insufficient ${coin} balance.` });
     }
 
-    // 2. Deduct Balance
-    await client.query(
-      "UPDATE user_balances SET balance = balance - $1 WHERE user_id = $2 AND coin = $3",
-      [stakeAmount, userId, coin]
-    );
-
-    // 3. Create Stake
-    const insertQuery = `
-      INSERT INTO stakes (user_id, coin, amount, daily_rate, duration_days, start_date, end_date, status)
-      VALUES ($1, $2, $3, $4, $5, NOW(), NOW() + make_interval(days => $5), 'ACTIVE')
-      RETURNING *
-    `;
-    await client.query(insertQuery, [userId, coin, stakeAmount, daily_rate, duration_days]);
+    // 3. Create Stake with the product's rate, term and penalty locked in, and lock principal
+    const stake = await stakes.open(client, {
+      userId,
+      coin,
+      amount: stakeAmount,
+      dailyRate: stakingProducts.dailyRate(product.apr),
+      durationDays: product.term_days,
+      productId: product.id,
+      apr: product.apr,
+      penaltyPct: product.early_redeem_penalty_pct,
+      autoRenew: auto_renew,
+    });
+    await stakingProducts.adjustStaked(client, product.id, stakeAmount);
 
     await client.query('COMMIT');
-    res.json({ success: true, message: "Staked successfully" });
+    res.json({ success: true, message: "Staked successfully", stake });
 
   } catch (error) {
     await client.query('ROLLBACK');
@@ -101,9 +226,11 @@ router.post('/stake', authenticateToken, async (req, res) => {
 
 // ---
 // POST /api/earn/redeem
-// Payout logic (Principal + Interest)
+// Payout logic (Principal + Interest). Matured stakes are also paid out
+// automatically by jobs/stakeMaturity.js; redeeming one that is already paid
+// returns the recorded payout, so retries and races with the job are harmless.
 // ---
-router.post('/redeem', authenticateToken, async (req, res) => {
+router.post('/redeem', authenticateToken, validate({ body: { stakeId: v.id() } }), idempotent('stake_redeem'), async (req, res) => {
   const userId = req.user.id;
   const { stakeId } = req.body;
 
@@ -113,53 +240,39 @@ router.post('/redeem', authenticateToken, async (req, res) => {
     await client.query('BEGIN');
 
     // 1. Get the stake
-    const { rows } = await client.query(
-      "SELECT * FROM stakes WHERE id = $1 AND user_id = $2 FOR UPDATE",
-      [stakeId, userId]
-    );
-
-    if (rows.length === 0) {
+    const stake = await stakes.lockStake(client, stakeId, userId);
+    if (!stake) {
       await client.query('ROLLBACK');
       return res.status(404).json({ success: false, error: "Stake not found." });
     }
-    const stake = rows[0];
 
     // 2. Checks
-    if (stake.status !== 'ACTIVE') {
+    if (stake.status === stakes.STATUS.REDEEMED) {
+      const payout = await stakes.payoutFor(client, stake.id);
+      await client.query('ROLLBACK');
+      return res.json({
+        success: true,
+        already_redeemed: true,
+        message: `Redeemed ${Number(stake.payout).toFixed(4)} ${stake.coin}`,
+        payout,
+      });
+    }
+    if (stake.status !== stakes.STATUS.ACTIVE) {
       await client.query('ROLLBACK');
       return res.status(400).json({ success: false, error: "Stake already redeemed." });
     }
-    
-    if (new Date() < new Date(stake.end_date)) {
-      await client.query('ROLLBACK');
-      return res.status(400).json({ success: false, error: "Not ready to redeem yet." });
-    }
-
-    // 3. Calculate Profit
-    // Formula: Amount * (DailyRate / 100) * Days
-    const principal = parseFloat(stake.amount);
-    const rate = parseFloat(stake.daily_rate);
-    const days = parseInt(stake.duration_days);
-    const profit = principal * (rate / 100) * days;
-    const totalPayout = principal + profit;
-
-    // 4. Pay User (Principal + Profit)
-    await client.query(
-      `INSERT INTO user_balances (user_id, coin, balance) 
-       VALUES ($1, $2, $3) 
-       ON CONFLICT (user_id, coin) 
-       DO UPDATE SET balance = user_balances.balance + $3`,
-      [userId, stake.coin, totalPayout]
-    );
 
-    // 5. Mark as Redeemed
-    await client.query(
-      "UPDATE stakes SET status = 'REDEEMED' WHERE id = $1",
-      [stakeId]
-    );
+    if (!stakes.isMatured(stake)) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ success: false, error: "Not ready to redeem yet. Use early redemption to withdraw before maturity." });
+    }
+
+    // 3. Pay principal + interest and mark as Redeemed
+    const { total } = await stakes.redeem(client, stake);
+    const payout = await stakes.payoutFor(client, stake.id);
 
     await client.query('COMMIT');
-    res.json({ success: true, message: `Redeemed ${totalPayout.toFixed(4)} ${stake.coin}` });
+    res.json({ success: true, message: `Redeemed ${total.toFixed(4)} ${stake.coin}`, payout });
 
   } catch (error) {
     await client.query('ROLLBACK');
@@ -170,4 +283,238 @@ router.post('/redeem', authenticateToken, async (req, res) => {
   }
 });
 
+// ---
+// POST /api/earn/redeem-early
+// Ends a stake before maturity: interest is forfeited and the stake's penalty kept
+// ---
+router.post('/redeem-early', authenticateToken, validate({ body: { stakeId: v.id() } }), idempotent('stake_redeem_early'), async (req, res) => {
+  const userId = req.user.id;
+  const { stakeId } = req.body;
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const stake = await stakes.lockStake(client, stakeId, userId);
+    if (!stake) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ success: false, error: "Stake not found." });
+    }
+    if (stake.status !== stakes.STATUS.ACTIVE) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ success: false, error: "Stake already redeemed." });
+    }
+    // Matured stakes get their interest through the normal redeem
+    if (stakes.isMatured(stake)) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ success: false, error: "Stake has matured; redeem it normally." });
+    }
+
+    const result = await stakes.earlyRedeem(client, stake);
+
+    await client.query('COMMIT');
+    res.json({
+      success: true,
+      message: `Redeemed ${result.payout} ${stake.coin} early`,
+      ...result,
+    });
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error("Early redeem error:", error);
+    res.status(500).json({ success: false, error: "Early redemption failed." });
+  } finally {
+    client.release();
+  }
+});
+
+// ---
+// PATCH /api/earn/stakes/:id
+// Turns auto-renew on or off for an ACTIVE stake
+// ---
+router.patch('/stakes/:id', authenticateToken, validate({
+  params: { id: v.id() },
+  body: { auto_renew: v.boolean() },
+}), async (req, res) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const stake = await stakes.lockStake(client, req.params.id, req.user.id);
+    if (!stake) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ success: false, error: "Stake not found." });
+    }
+    if (stake.status !== stakes.STATUS.ACTIVE) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ success: false, error: "Only active stakes can be changed." });
+    }
+    const updated = await stakes.setAutoRenew(client, stake, req.body.auto_renew);
+    await client.query('COMMIT');
+    res.json({ success: true, stake: updated });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error("Stake update error:", error);
+    res.status(500).json({ success: false, error: "Could not update stake." });
+  } finally {
+    client.release();
+  }
+});
+
+// ---
+// GET /api/earn/stakes/:id/events
+// Lifecycle history of one stake (opened, renewed, redeemed, ...)
+// ---
+router.get('/stakes/:id/events', authenticateToken, validate({ params: { id: v.id() } }), async (req, res) => {
+  try {
+    const { rows } = await pool.query(
+      'SELECT id, status, renewed_from, renewed_to FROM stakes WHERE id = $1 AND user_id = $2',
+      [req.params.id, req.user.id]
+    );
+    if (!rows[0]) return res.status(404).json({ error: "Stake not found." });
+    res.json({ ...rows[0], events: await stakes.events(pool, req.params.id) });
+  } catch (error) {
+    console.error("Error fetching stake events:", error);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// ---
+// Flexible savings (utils/savings.js): deposit and withdraw any time,
+// interest credited daily by jobs/savingsAccrual.js
+// ---
+
+// GET /api/earn/savings/rates
+router.get('/savings/rates', async (req, res) => {
+  try {
+    const rates = await savings.listRates();
+    res.json(rates.map(r => ({ coin: r.coin, apr: r.apr })));
+  } catch (error) {
+    console.error("Error fetching savings rates:", error);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// GET /api/earn/savings
+// The user's savings balances, compounding choice and interest earned so far
+router.get('/savings', authenticateToken, async (req, res) => {
+  try {
+    res.json(await savings.summary(req.user.id));
+  } catch (error) {
+    console.error("Error fetching savings:", error);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// GET /api/earn/savings/interest?coin=USDT&limit=50&offset=0
+// One row per day interest was credited
+router.get('/savings/interest', authenticateToken, validate({
+  query: {
+    coin: v.coin({ optional: true }),
+    limit: v.integer({ min: 1, max: 500, default: 50 }),
+    offset: v.integer({ min: 0, default: 0 }),
+  },
+}), async (req, res) => {
+  const { coin, limit, offset } = req.validated.query;
+  try {
+    res.json(await savings.accrualHistory(req.user.id, { coin: coin ?? null, limit, offset }));
+  } catch (error) {
+    console.error("Error fetching savings interest:", error);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+const savingsMoveSchema = { body: { coin: v.coin(), amount: v.amount() } };
+
+// POST /api/earn/savings/deposit
+// available -> savings
+router.post('/savings/deposit', authenticateToken, validate(savingsMoveSchema), idempotent('savings_deposit'), async (req, res) => {
+  const userId = req.user.id;
+  const { coin, amount } = req.body;
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const rate = await savings.getRate(client, coin);
+    if (!rate || !rate.active) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ success: false, error: `Flexible savings are not available for ${coin}.` });
+    }
+
+    await savings.lockAccount(client, userId, coin);
+    const balanceRes = await client.query(
+      "SELECT balance FROM user_balances WHERE user_id = $1 AND coin = $2 FOR UPDATE",
+      [userId, coin]
+    );
+    if (parseFloat(balanceRes.rows[0]?.balance || 0) < amount) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ success: false, error: `Insufficient ${coin} balance.` });
+    }
+
+    const movement = await savings.move(client, { userId, coin, direction: 'deposit', amount });
+    const balance = await savings.balanceOf(client, userId, coin);
+
+    await client.query('COMMIT');
+    res.json({ success: true, movement, savings_balance: balance });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error("Savings deposit error:", error);
+    res.status(500).json({ success: false, error: "Savings deposit failed." });
+  } finally {
+    client.release();
+  }
+});
+
+// POST /api/earn/savings/withdraw
+// savings -> available; allowed at any time, even for coins no longer offered
+router.post('/savings/withdraw', authenticateToken, validate(savingsMoveSchema), idempotent('savings_withdraw'), async (req, res) => {
+  const userId = req.user.id;
+  const { coin, amount } = req.body;
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    // The account lock serialises moves and accrual for this user and coin
+    await savings.lockAccount(client, userId, coin);
+    const balance = await savings.balanceOf(client, userId, coin);
+    if (balance < amount) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ success: false, error: `Insufficient ${coin} savings balance.` });
+    }
+
+    const movement = await savings.move(client, { userId, coin, direction: 'withdraw', amount });
+
+    await client.query('COMMIT');
+    res.json({ success: true, movement, savings_balance: Number((balance - amount).toFixed(coinDecimals(coin))) });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error("Savings withdraw error:", error);
+    res.status(500).json({ success: false, error: "Savings withdrawal failed." });
+  } finally {
+    client.release();
+  }
+});
+
+// PATCH /api/earn/savings/:coin
+// Switch compounding: interest is credited to savings (true) or to the available balance (false)
+router.patch('/savings/:coin', authenticateToken, validate({
+  params: { coin: v.coin() },
+  body: { compound: v.boolean() },
+}), async (req, res) => {
+  try {
+    const { rows } = await pool.query(
+      `INSERT INTO savings_accounts (user_id, coin, compound) VALUES ($1, $2, $3)
+       ON CONFLICT (user_id, coin) DO UPDATE SET compound = EXCLUDED.compound
+       RETURNING coin, compound`,
+      [req.user.id, req.params.coin, req.body.compound]
+    );
+    res.json({ success: true, ...rows[0] });
+  } catch (error) {
+    console.error("Savings settings error:", error);
+    res.status(500).json({ success: false, error: "Could not update savings settings." });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
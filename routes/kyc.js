@@ -2,8 +2,12 @@ const express = require('express');
 const router = express.Router();
 const pool = require('../db');
 const multer = require('multer');
-const { authenticateToken } = require('../middleware/auth'); // Adjust path if needed
+const { authenticateToken, requirePermission, PERMISSIONS } = require('../middleware/auth');
 const supabase = require('../utils/supabaseClient');
+const { withTransaction } = require('../utils/transaction');
+const audit = require('../utils/auditLog');
+const notifications = require('../utils/notifications');
+const { validate, v } = require('../middleware/validate');
 
 
 // Multer in-memory storage (not disk)
@@ -88,16 +92,35 @@ router.get('/status', authenticateToken, async (req, res) => {
 });
 
 // --------- ADMIN: Approve/Reject KYC status ---------
-router.post('/admin/status', async (req, res) => {
+router.post('/admin/status', requirePermission(PERMISSIONS.KYC_REVIEW), validate({
+  body: { user_id: v.id(), status: v.oneOf(['approved', 'rejected', 'pending']) },
+}), async (req, res) => {
   const { user_id, status } = req.body;
-  if (!user_id || !['approved', 'rejected', 'pending'].includes(status)) {
-    return res.status(400).json({ error: "Invalid input" });
-  }
   try {
-    await pool.query(
-      `UPDATE users SET kyc_status = $1 WHERE id = $2`,
-      [status, user_id]
-    );
+    await withTransaction(async (client) => {
+      const { rows } = await client.query(
+        'SELECT kyc_status FROM users WHERE id = $1 FOR UPDATE',
+        [user_id]
+      );
+      await client.query(
+        `UPDATE users SET kyc_status = $1 WHERE id = $2`,
+        [status, user_id]
+      );
+      await audit.record(client, req, {
+        action: audit.ACTIONS.KYC_STATUS,
+        targetType: 'user',
+        targetId: user_id,
+        before: rows[0] ? { kyc_status: rows[0].kyc_status } : null,
+        after: { kyc_status: status },
+      });
+      if (status !== 'pending' && rows[0] && rows[0].kyc_status !== status) {
+        await notifications.enqueue(client, {
+          userId: user_id,
+          template: notifications.TEMPLATES.KYC_DECISION,
+          data: { status },
+        });
+      }
+    });
     res.json({ success: true });
   } catch (err) {
     res.status(500).json({ error: "Database error" });
@@ -1,11 +1,13 @@
 const express = require('express');
 const router = express.Router();
 const pool = require('../db');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, requireStepUp } = require('../middleware/auth');
 const multer = require('multer');
 const fs = require('fs');
 const path = require('path');
-const bcrypt = require('bcrypt');
+const { hashPassword, verifyPassword } = require('../utils/password');
+const { revokeAllSessions, REVOKE_REASONS } = require('../utils/sessions');
+const { validate, v } = require('../middleware/validate');
 const { createClient } = require('@supabase/supabase-js');
 const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY);
 
@@ -37,7 +39,7 @@ router.get('/', authenticateToken, async (req, res) => {
     if (!row) return res.status(404).json({ error: "User not found" });
 
     const balanceRes = await pool.query(
-      "SELECT SUM(balance) as total_usd FROM user_balances WHERE user_id = $1",
+      "SELECT SUM(balance + frozen) as total_usd FROM user_balances WHERE user_id = $1",
       [req.user.id]
     );
     const total_usd = Number(balanceRes.rows[0].total_usd) || 0;
@@ -133,12 +135,11 @@ router.post('/avatar', authenticateToken, upload.single('avatar'), async (req, r
 
 
 // -------- POST /api/profile/change-password --------
-router.post('/change-password', authenticateToken, async (req, res) => {
+router.post('/change-password', authenticateToken, validate({
+  body: { old_password: v.string({ max: 200, trim: false }), new_password: v.password() },
+}), requireStepUp, async (req, res) => {
   const userId = req.user.id;
   const { old_password, new_password } = req.body;
-  if (!old_password || !new_password) {
-    return res.status(400).json({ error: "Missing old or new password" });
-  }
   try {
     const { rows } = await pool.query("SELECT password FROM users WHERE id = $1", [userId]);
     const stored = rows[0]?.password;
@@ -146,19 +147,16 @@ router.post('/change-password', authenticateToken, async (req, res) => {
       return res.status(400).json({ error: "Incorrect old password" });
     }
 
-    let match = false;
-    if (stored.startsWith("$2")) {
-      match = await bcrypt.compare(old_password, stored);
-    } else {
-      match = (old_password === stored);
-    }
+    const { match } = await verifyPassword(old_password, stored);
 
     if (!match) {
       return res.status(400).json({ error: "Incorrect old password" });
     }
 
-    const newHash = await bcrypt.hash(new_password, 10);
+    const newHash = await hashPassword(new_password);
     await pool.query("UPDATE users SET password = $1 WHERE id = $2", [newHash, userId]);
+    // Log out every other device
+    await revokeAllSessions(userId, REVOKE_REASONS.PASSWORD_CHANGED, { exceptSid: req.user.sid });
     res.json({ success: true, message: "Password changed successfully" });
   } catch (err) {
     res.status(500).json({ error: "Failed to change password" });
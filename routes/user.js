@@ -1,11 +1,13 @@
-const bcrypt = require('bcrypt'); 
 const express = require('express');
 const router = express.Router();
 const pool = require('../db');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, requireStepUp, requirePermission, PERMISSIONS } = require('../middleware/auth');
+const { hashPassword, verifyPassword } = require('../utils/password');
+const { revokeAllSessions, REVOKE_REASONS } = require('../utils/sessions');
+const { validate, v } = require('../middleware/validate');
 
-// GET /api/users -- List all users
-router.get('/', async (req, res) => {
+// GET /api/users -- List all users (admin)
+router.get('/', requirePermission(PERMISSIONS.USERS_READ), async (req, res) => {
   try {
     const result = await pool.query(
       'SELECT id, username, email, verified, kyc_status FROM users ORDER BY id DESC'
@@ -18,11 +20,12 @@ router.get('/', async (req, res) => {
 });
 
 // GET /api/users/balance -- Get current user's balances (JWT-protected)
+// balance/available is spendable, frozen is reserved by pending withdrawals
 router.get('/balance', authenticateToken, async (req, res) => {
   try {
     const userId = req.user.id;
     const result = await pool.query(
-      "SELECT coin, balance FROM user_balances WHERE user_id = $1",
+      "SELECT coin, balance, balance AS available, frozen, balance + frozen AS total FROM user_balances WHERE user_id = $1",
       [userId]
     );
     res.json(result.rows);
@@ -34,14 +37,12 @@ router.get('/balance', authenticateToken, async (req, res) => {
 
 
 // POST /api/users/password -- Change current user's password (JWT-protected)
-router.post('/password', authenticateToken, async (req, res) => {
+router.post('/password', authenticateToken, validate({
+  body: { currentPassword: v.string({ max: 200, trim: false }), newPassword: v.password() },
+}), requireStepUp, async (req, res) => {
   const userId = req.user.id;
   const { currentPassword, newPassword } = req.body;
 
-  if (!currentPassword || !newPassword) {
-    return res.status(400).json({ error: "Missing current or new password" });
-  }
-
   try {
     const { rows } = await pool.query(
       "SELECT password FROM users WHERE id = $1",
@@ -50,12 +51,7 @@ router.post('/password', authenticateToken, async (req, res) => {
     const user = rows[0];
     if (!user) return res.status(404).json({ error: "User not found" });
 
-    let match = false;
-    if (user.password.startsWith("$2b$")) {
-      match = await bcrypt.compare(currentPassword, user.password);
-    } else {
-      match = (currentPassword === user.password);
-    }
+    const { match } = await verifyPassword(currentPassword, user.password);
     if (!match) {
       return res.status(401).json({ error: "Current password is incorrect" });
     }
@@ -64,9 +60,11 @@ router.post('/password', authenticateToken, async (req, res) => {
     }
 
     await pool.query(
-  "UPDATE users SET password = $1 WHERE id = $2",
-  [newPassword, userId]
-);
+      "UPDATE users SET password = $1 WHERE id = $2",
+      [await hashPassword(newPassword), userId]
+    );
+    // Log out every other device
+    await revokeAllSessions(userId, REVOKE_REASONS.PASSWORD_CHANGED, { exceptSid: req.user.sid });
 
 
     res.json({ message: "Password changed successfully" });
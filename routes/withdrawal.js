@@ -4,74 +4,180 @@ require('dotenv').config();
 const express = require('express');
 const router = express.Router();
 const pool = require('../db');
-const { authenticateToken } = require('../middleware/auth');
-const jwt = require('jsonwebtoken');
+const {
+  authenticateToken,
+  requireStepUpOrEmailOtp,
+  requirePermission,
+  hasAdminToken,
+  PERMISSIONS,
+} = require('../middleware/auth');
+const ledger = require('../utils/ledger');
+const withdrawals = require('../utils/withdrawals');
+const addressBook = require('../utils/addressBook');
+const policy = require('../utils/withdrawalPolicy');
+const audit = require('../utils/auditLog');
+const otp = require('../utils/otp');
+const notifications = require('../utils/notifications');
+const { idempotent } = require('../middleware/idempotency');
+const { rateLimit, byUser } = require('../middleware/rateLimit');
+const { validate, v } = require('../middleware/validate');
 
-const ADMIN_API_TOKEN = process.env.ADMIN_API_TOKEN || 'yourSecureAdminTokenHere1234';
+// --- Email a withdrawal confirmation code (accounts without 2FA) ---
+// purpose 'withdrawal_address' confirms address book changes instead
+router.post('/otp', authenticateToken, rateLimit('withdrawal_otp', byUser), validate({
+  body: {
+    purpose: v.oneOf([otp.PURPOSES.WITHDRAWAL, otp.PURPOSES.WITHDRAWAL_ADDRESS], { default: otp.PURPOSES.WITHDRAWAL }),
+  },
+}), async (req, res) => {
+  const { purpose } = req.body;
+  try {
+    const { rows } = await pool.query('SELECT id, username, email FROM users WHERE id = $1', [req.user.id]);
+    const user = rows[0];
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    const issued = await otp.issue(user.id, purpose);
+    if (issued.retryAfter) {
+      res.set('Retry-After', String(issued.retryAfter));
+      return res.status(429).json({ error: `Please wait ${issued.retryAfter} seconds before requesting another code.` });
+    }
+    await notifications.enqueue(pool, {
+      userId: user.id,
+      to: user.email,
+      template: notifications.TEMPLATES.OTP,
+      data: { username: user.username, purpose, code: issued.code, expires_in: issued.expiresIn },
+    });
+    res.json({ success: true, expires_in: issued.expiresIn });
+  } catch (err) {
+    console.error('Withdrawal OTP error:', err);
+    res.status(500).json({ error: 'Failed to send confirmation code' });
+  }
+});
+
+// --- User requests withdrawal (status = requested) ---
+// Confirmed with a 2FA code, or an email code from POST /otp for accounts without 2FA.
+// The destination is a saved address (address_id, required in whitelist-only
+// mode) or address + network (+ memo), checked by utils/addressValidation.js;
+// network can be left out when the coin has one or the address format tells.
+// The network's fee (utils/withdrawalPolicy.js) is taken out of amount on approval.
+const withdrawalSchema = {
+  body: {
+    coin: v.coin(),
+    amount: v.amount(),
+    address_id: v.id({ optional: true }),
+    address: v.string({ max: 200, optional: true }),
+    network: v.string({ max: 20, optional: true }),
+    memo: v.string({ max: 120, optional: true }),
+  },
+};
 
-// --- User requests withdrawal (status = pending) ---
-router.post('/', authenticateToken, async (req, res) => {
+router.post('/', authenticateToken, rateLimit('withdrawal', byUser), validate(withdrawalSchema), idempotent('withdrawal'), requireStepUpOrEmailOtp(otp.PURPOSES.WITHDRAWAL), async (req, res) => {
   const user_id = req.user.id;
-  const { coin, amount, address } = req.body;
-  if (!user_id || !coin || !amount || !address) {
-    return res.status(400).json({ error: 'Missing required fields' });
+  const { coin, amount, address_id, address, network, memo } = req.body;
+  if (address_id == null && !address) {
+    return res.status(400).json({ error: 'Validation failed', details: [{ field: 'address', message: 'is required' }] });
   }
 
+  const client = await pool.connect();
   try {
-    const { rows } = await pool.query(
-      'SELECT balance FROM user_balances WHERE user_id = $1 AND coin = $2',
+    await client.query('BEGIN');
+    const dest = await addressBook.resolveDestination(client, user_id, {
+      coin, addressId: address_id, address, network: network ? network.toUpperCase() : null, memo,
+    });
+    if (dest.error) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: dest.error, code: policy.CODES.INVALID_DESTINATION });
+    }
+
+    const { rows } = await client.query(
+      'SELECT balance FROM user_balances WHERE user_id = $1 AND coin = $2 FOR UPDATE',
       [user_id, coin]
     );
     const userBal = rows[0];
-    if (!userBal) return res.status(400).json({ error: "Balance record not found" });
+    if (!userBal) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: "Balance record not found", code: policy.CODES.INSUFFICIENT_BALANCE });
+    }
+
+    // Fee, minimum and limits; checked under the balance lock so parallel requests queue up
+    const terms = await policy.check(client, { userId: user_id, coin, network: dest.network, amount });
+    if (terms.error) {
+      await client.query('ROLLBACK');
+      return res.status(400).json(terms);
+    }
     if (parseFloat(userBal.balance) < parseFloat(amount)) {
-      return res.status(400).json({ error: "Insufficient balance" });
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: "Insufficient balance", code: policy.CODES.INSUFFICIENT_BALANCE });
     }
 
-    const result = await pool.query(
-      `INSERT INTO withdrawals (user_id, coin, amount, address, status)
-       VALUES ($1, $2, $3, $4, 'pending')
-       RETURNING id`,
-      [user_id, coin, amount, address]
-    );
-    res.json({ success: true, id: result.rows[0].id });
+    // Reserve the amount (available -> frozen) until the request is decided
+    const withdrawal = await withdrawals.request(client, {
+      userId: user_id, coin, amount, fee: terms.fee,
+      address: dest.address, network: dest.network, memo: dest.memo, addressId: dest.addressId,
+    });
+    await client.query('COMMIT');
+    res.json({ success: true, id: withdrawal.id, fee: terms.fee, net_amount: terms.netAmount });
   } catch (err) {
+    await client.query('ROLLBACK');
+    if (ledger.isInsufficientFunds(err)) {
+      return res.status(400).json({ error: "Insufficient balance", code: policy.CODES.INSUFFICIENT_BALANCE });
+    }
     res.status(500).json({ error: 'Database error' });
+  } finally {
+    client.release();
   }
 });
 
-// --- Get withdrawals (user: only own; admin: all) ---
-router.get('/', async (req, res) => {
-  // --- Admin view ---
-  if (req.headers['x-admin-token'] && req.headers['x-admin-token'] === ADMIN_API_TOKEN) {
+// --- Fees, minimums and what is left of the user's limits ---
+// GET /api/withdraw/limits?coin=USDT
+router.get('/limits', authenticateToken, validate({
+  query: { coin: v.coin({ optional: true }) },
+}), async (req, res) => {
+  const coin = req.validated.query.coin ?? null;
+  try {
+    const [{ tier, coins }, fees] = await Promise.all([
+      policy.allowance(req.user.id, { coin }),
+      policy.listFees({ coin }),
+    ]);
+    res.json({
+      tier,
+      coins: coins.map(c => ({
+        ...c,
+        networks: fees.filter(f => f.coin === c.coin).map(f => ({
+          network: f.network,
+          fee: Number(f.fee),
+          min_amount: Number(f.min_amount),
+          enabled: f.enabled,
+        })),
+      })),
+    });
+  } catch (err) {
+    console.error('Withdrawal limits error:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// --- Get withdrawals (admin token: all) ---
+router.get(
+  '/',
+  (req, res, next) => (hasAdminToken(req) ? next() : next('route')),
+  requirePermission(PERMISSIONS.WITHDRAWALS_READ),
+  async (req, res) => {
     try {
       const result = await pool.query(
         'SELECT * FROM withdrawals ORDER BY created_at DESC'
       );
-      return res.json(result.rows);
+      res.json(result.rows);
     } catch (err) {
-      return res.status(500).json({ error: 'Database error (admin)' });
+      res.status(500).json({ error: 'Database error (admin)' });
     }
   }
+);
 
-  // --- User view ---
+// --- Get withdrawals (user: only own) ---
+router.get('/', authenticateToken, async (req, res) => {
   try {
-    if (!req.headers.authorization) {
-      return res.status(401).json({ error: 'No token' });
-    }
-    let user_id = null;
-    try {
-      const token = req.headers.authorization.split(' ')[1];
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      user_id = decoded.id || decoded.user_id;
-    } catch (e) {
-      return res.status(401).json({ error: "User not authenticated" });
-    }
-    if (!user_id) return res.status(401).json({ error: "User not authenticated" });
-
     const result = await pool.query(
       'SELECT * FROM withdrawals WHERE user_id = $1 ORDER BY created_at DESC',
-      [user_id]
+      [req.user.id]
     );
     res.json(result.rows);
   } catch (err) {
@@ -79,36 +185,90 @@ router.get('/', async (req, res) => {
   }
 });
 
-// --- Approve/Reject withdrawal (admin) ---
-router.post('/:id/status', async (req, res) => {
-  const { status } = req.body;
-  const { id } = req.params;
-  if (!["approved", "rejected", "pending"].includes(status)) {
-    return res.status(400).json({ error: "Invalid status" });
+// --- User cancels own withdrawal (while not yet approved) ---
+router.post('/:id/cancel', authenticateToken, validate({
+  params: { id: v.id() },
+}), async (req, res) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const { rows } = await client.query(
+      'SELECT * FROM withdrawals WHERE id = $1 AND user_id = $2 FOR UPDATE',
+      [req.params.id, req.user.id]
+    );
+    const withdrawal = rows[0];
+    if (!withdrawal) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: "Withdrawal not found" });
+    }
+    if (withdrawal.status === withdrawals.STATUS.CANCELLED) {
+      await client.query('ROLLBACK');
+      return res.json({ success: true, status: withdrawal.status, already_cancelled: true });
+    }
+    if (!withdrawals.PENDING.includes(withdrawal.status)) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: `Withdrawal is ${withdrawal.status} and can no longer be cancelled` });
+    }
+
+    // Gives the reserved amount back to the available balance
+    const { withdrawal: updated } = await withdrawals.transition(client, withdrawal, withdrawals.STATUS.CANCELLED);
+    await client.query('COMMIT');
+    res.json({ success: true, status: updated.status, cancelled_at: updated.cancelled_at });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('Withdrawal cancel error:', err);
+    res.status(500).json({ error: 'Database error' });
+  } finally {
+    client.release();
   }
+});
+
+// --- Move withdrawal through its lifecycle (admin) ---
+// Only the moves in withdrawals.TRANSITIONS are allowed; reason is shown to the user
+router.post('/:id/status', requirePermission(PERMISSIONS.WITHDRAWALS_APPROVE), validate({
+  params: { id: v.id() },
+  body: {
+    status: v.oneOf(withdrawals.ADMIN_STATUSES),
+    reason: v.string({ max: 500, optional: true }),
+  },
+}), async (req, res) => {
+  const { status, reason } = req.body;
+  const { id } = req.params;
+  const client = await pool.connect();
   try {
-    const { rows } = await pool.query('SELECT * FROM withdrawals WHERE id = $1', [id]);
+    await client.query('BEGIN');
+    const { rows } = await client.query('SELECT * FROM withdrawals WHERE id = $1 FOR UPDATE', [id]);
     const withdrawal = rows[0];
-    if (!withdrawal) return res.status(404).json({ error: "Withdrawal not found" });
+    if (!withdrawal) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: "Withdrawal not found" });
+    }
+    if (!withdrawals.canTransition(withdrawal.status, status)) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: `Cannot move withdrawal from ${withdrawal.status} to ${status}` });
+    }
 
-    // Only deduct if approving and not already approved
-    if (status === "approved" && withdrawal.status !== "approved") {
-      const { rows: balRows } = await pool.query(
-        'SELECT balance FROM user_balances WHERE user_id = $1 AND coin = $2',
-        [withdrawal.user_id, withdrawal.coin]
-      );
-      const userBal = balRows[0];
-      if (!userBal) return res.status(500).json({ error: "User balance not found" });
-      if (parseFloat(userBal.balance) < parseFloat(withdrawal.amount)) {
-        return res.status(400).json({ error: "Insufficient balance" });
-      }
-      await pool.query(
-        'UPDATE user_balances SET balance = balance - $1 WHERE user_id = $2 AND coin = $3',
-        [withdrawal.amount, withdrawal.user_id, withdrawal.coin]
-      );
+    await audit.record(client, req, {
+      action: audit.ACTIONS.WITHDRAWAL_STATUS,
+      targetType: 'withdrawal',
+      targetId: withdrawal.id,
+      before: { status: withdrawal.status, reason: withdrawal.reason },
+      after: { status, reason: reason || withdrawal.reason },
+    });
+
+    // Approval sends the reserved amount out, rejection gives it back
+    let moved;
+    try {
+      moved = await withdrawals.transition(client, withdrawal, status, { reason });
+    } catch (err) {
+      if (!ledger.isInsufficientFunds(err)) throw err;
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: "Insufficient balance" });
+    }
 
+    if (status === withdrawals.STATUS.APPROVED) {
       // --- Insert balance history after deduction ---
-      const { rows: balRows2 } = await pool.query(
+      const { rows: balRows2 } = await client.query(
         'SELECT balance FROM user_balances WHERE user_id = $1 AND coin = $2',
         [withdrawal.user_id, withdrawal.coin]
       );
@@ -116,24 +276,20 @@ router.post('/:id/status', async (req, res) => {
       let price_usd = 1;
       if (withdrawal.coin !== "USDT") price_usd = 0; // Add logic for real price if needed
 
-      await pool.query(
+      await client.query(
         `INSERT INTO balance_history (user_id, coin, balance, price_usd, timestamp)
          VALUES ($1, $2, $3, $4, NOW())`,
         [withdrawal.user_id, withdrawal.coin, newBalance, price_usd]
       );
     }
-    // If rejected, refund if necessary
-    if (status === "rejected" && withdrawal.status === "approved") {
-      await pool.query(
-        'UPDATE user_balances SET balance = balance + $1 WHERE user_id = $2 AND coin = $3',
-        [withdrawal.amount, withdrawal.user_id, withdrawal.coin]
-      );
-    }
 
-    await pool.query('UPDATE withdrawals SET status = $1 WHERE id = $2', [status, id]);
-    res.json({ success: true });
+    await client.query('COMMIT');
+    res.json({ success: true, status, balanceReduced: moved.balanceReduced, payoutQueued: moved.payoutQueued });
   } catch (err) {
+    await client.query('ROLLBACK');
     res.status(500).json({ error: "Database error" });
+  } finally {
+    client.release();
   }
 });
 
@@ -0,0 +1,134 @@
+// routes/withdrawalAddresses.js
+// Withdrawal address book and whitelist-only mode (utils/addressBook.js).
+// Adding an address or changing the mode needs a 2FA code, or an email code
+// from POST /api/withdraw/otp with purpose 'withdrawal_address'. The user is
+// emailed about every address added, and switching the mode off only takes
+// effect after the cool-down (whitelist_disabled_at).
+
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, requireStepUpOrEmailOtp } = require('../middleware/auth');
+const { validate, v } = require('../middleware/validate');
+const addressBook = require('../utils/addressBook');
+const notifications = require('../utils/notifications');
+const { withTransaction } = require('../utils/transaction');
+const { NETWORKS, MEMO_RULES } = require('../utils/addressValidation');
+const otp = require('../utils/otp');
+
+const confirmChange = requireStepUpOrEmailOtp(otp.PURPOSES.WITHDRAWAL_ADDRESS);
+
+// --- Networks per coin, and which take a memo ---
+router.get('/networks', (req, res) => {
+  const memos = Object.fromEntries(Object.entries(MEMO_RULES).map(([network, rule]) => [network, rule.name]));
+  res.json({ networks: NETWORKS, memos, cooldown_hours: addressBook.COOLDOWN_HOURS });
+});
+
+// --- List saved addresses ---
+router.get('/', authenticateToken, validate({
+  query: { coin: v.coin({ optional: true }) },
+}), async (req, res) => {
+  try {
+    const [addresses, whitelist] = await Promise.all([
+      addressBook.list(req.user.id, { coin: req.validated.query.coin ?? null }),
+      addressBook.whitelistState(req.user.id),
+    ]);
+    res.json({
+      whitelist_only: whitelist.whitelist_only,
+      whitelist_disabled_at: whitelist.disabled_at,
+      cooldown_hours: addressBook.COOLDOWN_HOURS,
+      addresses,
+    });
+  } catch (err) {
+    console.error('Address book error:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// --- Save an address (checked for its network's format) ---
+router.post('/', authenticateToken, validate({
+  body: {
+    label: v.string({ max: 50 }),
+    coin: v.coin(),
+    network: v.string({ max: 20, optional: true }),
+    address: v.string({ max: 200 }),
+    memo: v.string({ max: 120, optional: true }),
+  },
+}), confirmChange, async (req, res) => {
+  const { label, coin, network, address, memo } = req.body;
+  try {
+    const result = await withTransaction(async (client) => {
+      const added = await addressBook.add(req.user.id, {
+        label, coin, network: network ? network.toUpperCase() : null, address, memo,
+      }, client);
+      if (added.entry) {
+        const { entry } = added;
+        await notifications.enqueue(client, {
+          userId: req.user.id,
+          template: notifications.TEMPLATES.WITHDRAWAL_ADDRESS_ADDED,
+          data: {
+            label: entry.label,
+            coin: entry.coin,
+            network: entry.network,
+            address: entry.address,
+            memo: entry.memo,
+            usable_at: entry.usable_at,
+          },
+          dedupeKey: `withdrawal_address:${entry.id}:added`,
+        });
+      }
+      return added;
+    });
+    if (result.error) return res.status(400).json({ error: result.error });
+    if (result.duplicate) {
+      return res.status(409).json({ error: 'This address is already saved', address: result.duplicate });
+    }
+    res.status(201).json(result.entry);
+  } catch (err) {
+    console.error('Address book error:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// --- Turn whitelist-only mode on, or off after the cool-down ---
+router.put('/whitelist', authenticateToken, validate({
+  body: { enabled: v.boolean() },
+}), confirmChange, async (req, res) => {
+  try {
+    const whitelist = await addressBook.setWhitelistOnly(req.user.id, req.body.enabled);
+    res.json({ whitelist_only: whitelist.whitelist_only, whitelist_disabled_at: whitelist.disabled_at });
+  } catch (err) {
+    console.error('Address book error:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// --- Rename a saved address ---
+router.patch('/:id', authenticateToken, validate({
+  params: { id: v.id() },
+  body: { label: v.string({ max: 50 }) },
+}), async (req, res) => {
+  try {
+    const entry = await addressBook.rename(req.user.id, req.params.id, req.body.label);
+    if (!entry) return res.status(404).json({ error: 'Address not found' });
+    res.json(entry);
+  } catch (err) {
+    console.error('Address book error:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// --- Delete a saved address (past withdrawals keep their own copy) ---
+router.delete('/:id', authenticateToken, validate({
+  params: { id: v.id() },
+}), async (req, res) => {
+  try {
+    const removed = await addressBook.remove(req.user.id, req.params.id);
+    if (!removed) return res.status(404).json({ error: 'Address not found' });
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Address book error:', err);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+module.exports = router;
@@ -8,7 +8,7 @@ const path = require('path');
 const pool = require('./db');
 
 // JWT Middleware
-const { authenticateToken } = require('./middleware/auth');
+const { authenticateToken, requirePermission, PERMISSIONS } = require('./middleware/auth');
 
 // ROUTES
 const authRoutes = require('./routes/auth');
@@ -17,6 +17,7 @@ const tradeRoutes = require('./routes/trade');
 const pricesRoutes = require('./routes/prices');      
 const depositRoutes = require('./routes/deposit');
 const withdrawalRoutes = require('./routes/withdrawal');
+const withdrawalAddressRoutes = require('./routes/withdrawalAddresses');
 const kycRoutes = require('./routes/kyc');
 const profileRoutes = require('./routes/profile');    
 const balanceRoutes = require('./routes/balance');
@@ -26,6 +27,14 @@ const userRoutes = require('./routes/user');
 const uploadRoute = require('./routes/upload');
 const earnRoutes = require('./routes/earn');
 
+// BACKGROUND JOBS
+const tradeSettlement = require('./jobs/tradeSettlement');
+const notificationOutbox = require('./jobs/notificationOutbox');
+const savingsAccrual = require('./jobs/savingsAccrual');
+const stakeMaturity = require('./jobs/stakeMaturity');
+const payoutQueue = require('./jobs/payoutQueue');
+const notifications = require('./utils/notifications');
+
 const app = express();
 
 const allowedOrigins = [
@@ -49,6 +58,13 @@ app.use(cors({
   credentials: true,
 }));
 
+// Behind a load balancer req.ip (used by the rate limits) must come from
+// X-Forwarded-For; TRUST_PROXY is the number of proxy hops in front of us
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isInteger(hops) ? hops : process.env.TRUST_PROXY);
+}
+
 app.use(express.json());
 app.use('/api/balance/history', balanceHistoryRoutes);
 app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
@@ -73,6 +89,7 @@ app.use('/api/prices', pricesRoutes);
 app.use('/api/price', pricesRoutes);
 app.use('/api/deposit', depositRoutes);
 app.use('/api/deposits', depositRoutes);
+app.use('/api/withdraw/addresses', withdrawalAddressRoutes);
 app.use('/api/withdraw', withdrawalRoutes);
 app.use('/api/withdrawals', withdrawalRoutes);
 app.use('/api/kyc', kycRoutes);
@@ -100,10 +117,7 @@ app.get('/api/deposit-addresses', async (req, res) => {
 });
 
 // --- ADMIN: Fetch ALL trades for admin backend ---
-app.get('/api/trades', async (req, res) => {
-  if (req.headers['x-admin-token'] !== process.env.ADMIN_API_TOKEN) {
-    return res.status(401).json({ error: "Unauthorized" });
-  }
+app.get('/api/trades', requirePermission(PERMISSIONS.TRADES_READ), async (req, res) => {
   try {
     const { rows } = await pool.query('SELECT * FROM trades ORDER BY timestamp DESC');
     res.json(rows);
@@ -117,9 +131,26 @@ app.use((req, res) => {
   res.status(404).json({ error: 'API route not found' });
 });
 
-// --------- START SERVER ---------
-const PORT = process.env.PORT || 5000;
-app.listen(PORT, () => {
-  console.log(`✅ Server running on port ${PORT}`);
-});
+// Only listen and run workers when started directly; tests require the app
+if (require.main === module) {
+  // --------- START SERVER ---------
+  // Refuse to start without a way to reach users (throws on a bad NOTIFY_TRANSPORT)
+  notifications.getTransport();
+
+  const PORT = process.env.PORT || 5000;
+  app.listen(PORT, () => {
+    console.log(`✅ Server running on port ${PORT}`);
+  });
+
+  // --------- START WORKERS (safe to run on every instance) ---------
+  if (process.env.DISABLE_WORKERS !== 'true') {
+    tradeSettlement.start();
+    notificationOutbox.start();
+    savingsAccrual.start();
+    stakeMaturity.start();
+    payoutQueue.start();
+  }
+}
+
+module.exports = app;
 
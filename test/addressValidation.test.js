@@ -0,0 +1,185 @@
+// test/addressValidation.test.js
+// Known-good and known-bad destinations for every network, mostly from the
+// specs that define the formats (BIP 173, BIP 350, EIP-55).
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { validateDestination, keccak256 } = require('../utils/addressValidation');
+
+function accepts(coin, address, { network, memo, normalized = address } = {}) {
+  const result = validateDestination({ coin, network, address, memo });
+  assert.equal(result.error, undefined, `${coin} ${address}: ${result.error}`);
+  assert.equal(result.address, normalized);
+  return result;
+}
+
+function rejects(coin, address, { network, memo, error = /./ } = {}) {
+  const result = validateDestination({ coin, network, address, memo });
+  assert.ok(result.error, `${coin} ${address} should be rejected`);
+  assert.match(result.error, error);
+}
+
+describe('validateDestination', () => {
+  describe('BTC', () => {
+    it('accepts the BIP 173 and BIP 350 mainnet vectors, lower-cased', () => {
+      for (const address of [
+        'BC1QW508D6QEJXTDG4Y5R3ZARVARY0C5XW7KV8F3T4',
+        'bc1qrp33g0q5c5txsp9arysrx4k6zdkfs4nce4xj0gdcccefvpysxf3qccfmv3',
+        'bc1pw508d6qejxtdg4y5r3zarvary0c5xw7kw508d6qejxtdg4y5r3zarvary0c5xw7kt5nd6y',
+        'BC1SW50QGDZ25J',
+        'bc1zw508d6qejxtdg4y5r3zarvaryvaxxpcs',
+        'bc1p0xlxvlhemja6c4dqv22uapctqupfhlxm9h8z3k2e72q4k9hcz7vqzk5jj0',
+      ]) {
+        accepts('BTC', address, { normalized: address.toLowerCase() });
+      }
+    });
+
+    it('rejects the BIP 350 invalid vectors', () => {
+      for (const address of [
+        'bc1p0xlxvlhemja6c4dqv22uapctqupfhlxm9h8z3k2e72q4k9hcz7vqh2y7hd', // v1 with a bech32 checksum
+        'BC1S0XLXVLHEMJA6C4DQV22UAPCTQUPFHLXM9H8Z3K2E72Q4K9HCZ7VQ54WELL', // v16 with a bech32 checksum
+        'bc1qw508d6qejxtdg4y5r3zarvary0c5xw7kemeawh', // v0 with a bech32m checksum
+        'bc1p38j9r5y49hruaue7wxjce0updqjuyyx0kh56v8s25huc6995vvpql3jow4', // 'o' is not in the charset
+        'bc1rw5uspcuh', // program too short
+        'bc10w508d6qejxtdg4y5r3zarvary0c5xw7kw508d6qejxtdg4y5r3zarvary0c5xw7kw5rljs90', // program too long
+        'BC1QR508D6QEJXTDG4Y5R3ZARVARYV98GJ9P', // v0 program of 16 bytes
+        'bc1zw508d6qejxtdg4y5r3zarvaryvqyzf3du', // more than 4 bits of padding
+        'bc1gmk9yu', // empty data
+      ]) {
+        rejects('BTC', address, { error: /bech32/ });
+      }
+    });
+
+    it('rejects mixed case and other networks', () => {
+      rejects('BTC', 'bc1qW508d6qejxtdg4y5r3zarvary0c5xw7kv8f3t4');
+      rejects('BTC', 'tb1qw508d6qejxtdg4y5r3zarvary0c5xw7kxpjzsx');
+    });
+
+    it('checks base58 addresses', () => {
+      accepts('BTC', '1BvBMSEYstWetqTFn5Au4m4GFg7xJaNVN2');
+      accepts('BTC', '3J98t1WpEZ73CNmQviecrnyiWrnqRhWNLy');
+      rejects('BTC', '1BvBMSEYstWetqTFn5Au4m4GFg7xJaNVN3', { error: /not a valid Bitcoin address/ });
+      rejects('BTC', 'TR7NHqjeKQxGTCi8q8ZY4pL8otSzgjLj6t');
+    });
+  });
+
+  describe('ERC20', () => {
+    it('accepts the EIP-55 vectors as given', () => {
+      for (const address of [
+        '0x52908400098527886E0F7030069857D2E4169EE7',
+        '0x8617E340B3D01FA5F11F306F4090FD50E238070D',
+        '0xde709f2102306220921060314715629080e2fb77',
+        '0x27b1fdb04752bbc536007a920d24acb045561c26',
+        '0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed',
+        '0xfB6916095ca1df60bB79Ce92cE3Ea74c37c5d359',
+        '0xdbF03B407c01E7cD3CBea99509d93f8DDDC8C6FB',
+        '0xD1220A0cf47c7B9Be7A2E6BA89F429762e7b9aDb',
+      ]) {
+        const mixed = address.slice(2) !== address.slice(2).toLowerCase() && address.slice(2) !== address.slice(2).toUpperCase();
+        const result = validateDestination({ coin: 'ETH', address });
+        assert.equal(result.error, undefined, address);
+        if (mixed) assert.equal(result.address, address);
+      }
+    });
+
+    it('returns single-case addresses in checksum case', () => {
+      accepts('ETH', '0x5aaeb6053f3e94c9b9a09f33669435e7ef1beaed', {
+        normalized: '0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed',
+      });
+    });
+
+    it('rejects a wrong checksum and malformed addresses', () => {
+      rejects('ETH', '0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAeD', { error: /EIP-55/ });
+      rejects('ETH', '0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAe', { error: /40 hex digits/ });
+      rejects('ETH', '5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed', { error: /40 hex digits/ });
+    });
+
+    it('hashes with Keccak-256, not SHA3-256', () => {
+      assert.equal(keccak256(Buffer.alloc(0)).toString('hex'),
+        'c5d2460186f7233c927e7db2dcc703c0e500b653ca82273b7bfad8045d85a470');
+    });
+  });
+
+  describe('TRC20', () => {
+    it('accepts the USDT contract address', () => {
+      const result = accepts('USDT', 'TR7NHqjeKQxGTCi8q8ZY4pL8otSzgjLj6t');
+      assert.equal(result.network, 'TRC20');
+    });
+
+    it('rejects a wrong checksum', () => {
+      rejects('USDT', 'TR7NHqjeKQxGTCi8q8ZY4pL8otSzgjLj6u', { error: /does not match any USDT network/ });
+      rejects('USDT', 'TR7NHqjeKQxGTCi8q8ZY4pL8otSzgjLj6u', { network: 'TRC20', error: /not a valid Tron address/ });
+    });
+
+    it('picks the USDT network from the address, or checks the one given', () => {
+      assert.equal(accepts('USDT', '0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed').network, 'ERC20');
+      rejects('USDT', '0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed', { network: 'TRC20' });
+      rejects('USDT', 'TR7NHqjeKQxGTCi8q8ZY4pL8otSzgjLj6t', { network: 'SOL', error: /network must be one of/ });
+    });
+  });
+
+  describe('SOL', () => {
+    it('accepts 32-byte base58 keys', () => {
+      accepts('SOL', '11111111111111111111111111111111');
+      accepts('SOL', 'TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA');
+    });
+
+    it('rejects other lengths and characters', () => {
+      rejects('SOL', '1111111111111111111111111111111');
+      rejects('SOL', 'TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5D0');
+    });
+  });
+
+  describe('XRP', () => {
+    it('accepts classic addresses', () => {
+      accepts('XRP', 'rHb9CJAWyB4rj91VRWn96DkukG4bwdtyTh');
+      accepts('XRP', 'rrrrrrrrrrrrrrrrrrrrrhoLvTp');
+    });
+
+    it('rejects a wrong checksum and X-addresses', () => {
+      rejects('XRP', 'rHb9CJAWyB4rj91VRWn96DkukG4bwdtyTi');
+      rejects('XRP', 'X7AcgcsBL6XDcUb289X4mJ8djcdyKaB5hJDWMArnXr61cqZ');
+    });
+
+    it('parses destination tags as 32-bit numbers', () => {
+      const address = 'rHb9CJAWyB4rj91VRWn96DkukG4bwdtyTh';
+      assert.equal(accepts('XRP', address, { memo: '0' }).memo, '0');
+      assert.equal(accepts('XRP', address, { memo: ' 007 ' }).memo, '7');
+      assert.equal(accepts('XRP', address, { memo: '4294967295' }).memo, '4294967295');
+      for (const memo of ['4294967296', '-1', '1.5', 'abc', '12345678901']) {
+        rejects('XRP', address, { memo, error: /destination tag/ });
+      }
+    });
+  });
+
+  describe('TON', () => {
+    it('accepts bounceable and non-bounceable forms of the same address', () => {
+      accepts('TON', 'EQCD39VS5jcptHL8vMjEXrzGaRcCVYto7HUn4bpAOg8xqB2N');
+      accepts('TON', 'UQCD39VS5jcptHL8vMjEXrzGaRcCVYto7HUn4bpAOg8xqEBI');
+    });
+
+    it('accepts the raw form, lower-cased', () => {
+      accepts('TON', '0:83DFD552E63729B472FCBCC8C45EBCC6691702558B68EC7527E1BA403A0F31A8', {
+        normalized: '0:83dfd552e63729b472fcbcc8c45ebcc6691702558b68ec7527e1ba403a0f31a8',
+      });
+    });
+
+    it('rejects a wrong checksum and testnet addresses', () => {
+      rejects('TON', 'EQCD39VS5jcptHL8vMjEXrzGaRcCVYto7HUn4bpAOg8xqB2O', { error: /checksum/ });
+      rejects('TON', 'kQCD39VS5jcptHL8vMjEXrzGaRcCVYto7HUn4bpAOg8xqKYH', { error: /testnet/ });
+    });
+
+    it('takes a text memo of up to 120 characters', () => {
+      const address = 'EQCD39VS5jcptHL8vMjEXrzGaRcCVYto7HUn4bpAOg8xqB2N';
+      assert.equal(accepts('TON', address, { memo: 'invoice 42' }).memo, 'invoice 42');
+      rejects('TON', address, { memo: 'x'.repeat(121), error: /memo/ });
+    });
+  });
+
+  it('refuses a memo where the network has none', () => {
+    rejects('BTC', '3J98t1WpEZ73CNmQviecrnyiWrnqRhWNLy', { memo: '1', error: /memo is not supported/ });
+  });
+
+  it('refuses coins that cannot be withdrawn', () => {
+    rejects('DOGE', 'D8vFz4p1L37jdg47HXKtSHA5uYLYxbGgPD', { error: /cannot be withdrawn/ });
+  });
+});
@@ -0,0 +1,32 @@
+// test/auditFilter.test.js
+// Audit entries of actions that are no longer recorded can still be filtered on.
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { SKIP, startApp, createAdmin } = require('./helpers');
+
+describe('GET /api/admin/audit', { skip: SKIP }, () => {
+  let app;
+  let compliance;
+
+  before(async () => {
+    app = await startApp();
+    compliance = await createAdmin('compliance');
+  });
+
+  after(async () => {
+    if (app) await app.close();
+  });
+
+  it('accepts a legacy action as a filter', async () => {
+    for (const action of ['trade_mode.user', 'trade_mode.global']) {
+      const [status, body] = await app.call('GET', `/api/admin/audit?action=${action}`, { token: compliance.token });
+      assert.equal(status, 200, JSON.stringify(body));
+      assert.ok(body.entries.every(e => e.action === action));
+    }
+  });
+
+  it('rejects an unknown action', async () => {
+    const [status] = await app.call('GET', '/api/admin/audit?action=nope', { token: compliance.token });
+    assert.equal(status, 400);
+  });
+});
@@ -0,0 +1,119 @@
+// test/helpers.js
+// Shared setup for the integration tests. They run against the Postgres in
+// TEST_DATABASE_URL, never the DATABASE_URL from .env: use a throwaway
+// database, as it is migrated and rows are added and never cleaned up. The
+// tests are skipped when it is not set.
+const path = require('path');
+const crypto = require('crypto');
+const { execFileSync } = require('child_process');
+
+// Set before anything loads .env, which never overrides what is already set
+const SKIP = process.env.TEST_DATABASE_URL ? false : 'TEST_DATABASE_URL is not set';
+if (!SKIP) process.env.DATABASE_URL = process.env.TEST_DATABASE_URL;
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+// Market data is the one thing not exercised: trades open at this quote
+const QUOTE = { price: 65000, source: 'test', raw: '65000' };
+const spotPrice = require('../utils/spotPrice');
+spotPrice.getSpotQuote = async () => ({ ...QUOTE, fetched_at: new Date() });
+
+function migrate() {
+  try {
+    execFileSync(process.execPath, ['migrate.js'], { cwd: path.join(__dirname, '..'), stdio: 'pipe' });
+  } catch (err) {
+    throw new Error(`Migrations failed:\n${err.stdout}${err.stderr}`);
+  }
+}
+
+/**
+ * Migrates the database and serves the app on a free port.
+ * @returns {Promise<{call: Function, close: Function}>}
+ */
+async function startApp() {
+  migrate();
+  const app = require('../server');
+  const pool = require('../db');
+  const server = await new Promise(resolve => {
+    const s = app.listen(0, () => resolve(s));
+  });
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  // Returns [status, body] for a JSON request, with an optional bearer token
+  async function call(method, url, { token, body } = {}) {
+    const res = await fetch(base + url, {
+      method,
+      headers: {
+        'content-type': 'application/json',
+        ...(token ? { authorization: `Bearer ${token}` } : {}),
+      },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    const text = await res.text();
+    let json = null;
+    try { json = JSON.parse(text); } catch { /* not JSON */ }
+    return [res.status, json];
+  }
+
+  async function close() {
+    await new Promise(resolve => server.close(resolve));
+    await pool.end();
+  }
+
+  return { call, close };
+}
+
+/**
+ * A verified customer with a logged-in session and `usdt` and `btc` credited
+ * through approved deposits.
+ * @returns {Promise<{id: number, token: string}>}
+ */
+async function createUser({ usdt = 0, btc = 0 } = {}) {
+  const ledger = require('../utils/ledger');
+  const sessions = require('../utils/sessions');
+  const { withTransaction } = require('../utils/transaction');
+
+  const id = crypto.randomInt(2000000000, 2100000000);
+  const name = `test${id}`;
+  await withTransaction(async (client) => {
+    await client.query(
+      'INSERT INTO users (id, username, email, password, balance, verified) VALUES ($1, $2, $3, $4, 0, TRUE)',
+      [id, name, `${name}@example.test`, 'x']
+    );
+    await client.query("INSERT INTO user_balances (user_id, coin, balance) VALUES ($1, 'USDT', 0)", [id]);
+    for (const [coin, amount] of [['USDT', usdt], ['BTC', btc]]) {
+      if (!(amount > 0)) continue;
+      const { rows } = await client.query(
+        `INSERT INTO deposits (user_id, coin, amount, address, status)
+         VALUES ($1, $2, $3, 'test', 'approved') RETURNING id`,
+        [id, coin, amount]
+      );
+      await ledger.postJournal(client, {
+        reason: ledger.REASONS.DEPOSIT,
+        refType: ledger.REF_TYPES.DEPOSIT,
+        refId: rows[0].id,
+        userId: id,
+        transfers: [{ from: ledger.systemAccount('deposits'), to: ledger.userAccount(id), coin, amount }],
+      });
+    }
+  });
+  const { token } = await sessions.createSession({ id, username: name, email: `${name}@example.test` }, { ip: '127.0.0.1' });
+  return { id, token };
+}
+
+/**
+ * A back-office account with the given role, past two-factor authentication.
+ * @returns {Promise<{id: number, token: string}>}
+ */
+async function createAdmin(role) {
+  const pool = require('../db');
+  const { signAdminToken } = require('../middleware/auth');
+  const email = `admin-${crypto.randomUUID()}@example.test`;
+  const { rows } = await pool.query(
+    `INSERT INTO admin_users (email, name, password_hash, role) VALUES ($1, $2, 'x', $3)
+     RETURNING id, email, role`,
+    [email, `test ${role}`, role]
+  );
+  return { id: rows[0].id, token: signAdminToken(rows[0]) };
+}
+
+module.exports = { SKIP, QUOTE, startApp, createUser, createAdmin };
@@ -0,0 +1,59 @@
+// test/notificationTransports.test.js
+// The transport comes from the environment; nothing falls back to one that
+// does not reach the user.
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const transports = require('../utils/notificationTransports');
+
+const VARS = ['NOTIFY_TRANSPORT', 'SMTP_HOST', 'EMAIL_USER', 'NODE_ENV'];
+
+describe('notification transport from the environment', () => {
+  let saved;
+
+  beforeEach(() => {
+    saved = Object.fromEntries(VARS.map(k => [k, process.env[k]]));
+    for (const k of VARS) delete process.env[k];
+  });
+
+  afterEach(() => {
+    for (const k of VARS) {
+      if (saved[k] === undefined) delete process.env[k];
+      else process.env[k] = saved[k];
+    }
+  });
+
+  it('throws when nothing is configured', () => {
+    assert.throws(() => transports.fromEnv(), /No notification transport configured/);
+  });
+
+  it('uses smtp when SMTP_HOST or EMAIL_USER is set', () => {
+    process.env.SMTP_HOST = 'smtp.example.test';
+    assert.equal(transports.fromEnv().name, 'smtp');
+    delete process.env.SMTP_HOST;
+    process.env.EMAIL_USER = 'noreply@example.test';
+    assert.equal(transports.fromEnv().name, 'smtp');
+  });
+
+  it('uses console or file only when asked for', () => {
+    process.env.NOTIFY_TRANSPORT = 'console';
+    assert.equal(transports.fromEnv().name, 'console');
+    process.env.NOTIFY_TRANSPORT = 'file';
+    assert.equal(transports.fromEnv().name, 'file');
+  });
+
+  it('refuses console and file in production', () => {
+    process.env.NODE_ENV = 'production';
+    for (const name of ['console', 'file']) {
+      process.env.NOTIFY_TRANSPORT = name;
+      assert.throws(() => transports.fromEnv(), /not allowed in production/);
+    }
+    process.env.NOTIFY_TRANSPORT = 'smtp';
+    process.env.SMTP_HOST = 'smtp.example.test';
+    assert.equal(transports.fromEnv().name, 'smtp');
+  });
+
+  it('rejects an unknown transport', () => {
+    process.env.NOTIFY_TRANSPORT = 'pigeon';
+    assert.throws(() => transports.fromEnv(), /Unknown NOTIFY_TRANSPORT: pigeon/);
+  });
+});
@@ -0,0 +1,145 @@
+// test/payouts.test.js
+// Approved withdrawals paid through the simulator adapter: the happy path to
+// completion, a permanent rejection, and a payout held after repeated
+// broadcast failures.
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { SKIP, startApp, createUser } = require('./helpers');
+
+const ADDRESS = 'bc1qw508d6qejxtdg4y5r3zarvary0c5xw7kv8f3t4';
+const REJECTED_ADDRESS = '3J98t1WpEZ73CNmQviecrnyiWrnqRhWNLy';
+
+describe('withdrawal payouts', { skip: SKIP }, () => {
+  let app;
+  let user;
+  let clock;
+  let simulator;
+
+  before(async () => {
+    app = await startApp();
+    user = await createUser({ btc: 1 });
+    const { setAdapters, simulatorAdapter } = require('../utils/payoutAdapters');
+    clock = Date.now();
+    simulator = simulatorAdapter({ blockMs: 10, rejectAddresses: [REJECTED_ADDRESS], now: () => clock });
+    setAdapters({ BTC: simulator });
+  });
+
+  after(async () => {
+    if (app) await app.close();
+  });
+
+  // An approved 0.01 BTC withdrawal, queued for payout
+  async function approved(address) {
+    const withdrawals = require('../utils/withdrawals');
+    const { withTransaction } = require('../utils/transaction');
+    return withTransaction(async (client) => {
+      const w = await withdrawals.request(client, { userId: user.id, coin: 'BTC', amount: 0.01, address, network: 'BTC' });
+      const { withdrawal, payoutQueued } = await withdrawals.transition(client, w, withdrawals.STATUS.APPROVED);
+      assert.equal(payoutQueued, true);
+      return withdrawal;
+    });
+  }
+
+  // Runs the payout's next step now, skipping any backoff; returns the state afterwards
+  async function step(id) {
+    const pool = require('../db');
+    const payouts = require('../utils/payouts');
+    const { withTransaction } = require('../utils/transaction');
+    await pool.query('UPDATE withdrawal_payouts SET next_attempt_at = NOW() WHERE withdrawal_id = $1', [id]);
+    return withTransaction(async (client) => {
+      const row = await payouts.lockDue(client, id);
+      return row && payouts.advance(client, row);
+    });
+  }
+
+  async function rows(id) {
+    const pool = require('../db');
+    const { rows: w } = await pool.query('SELECT * FROM withdrawals WHERE id = $1', [id]);
+    const { rows: p } = await pool.query('SELECT * FROM withdrawal_payouts WHERE withdrawal_id = $1', [id]);
+    return { withdrawal: w[0], payout: p[0] };
+  }
+
+  async function btcBalance() {
+    const pool = require('../db');
+    const { rows: b } = await pool.query("SELECT balance FROM user_balances WHERE user_id = $1 AND coin = 'BTC'", [user.id]);
+    return Number(b[0].balance);
+  }
+
+  it('signs, broadcasts and completes once confirmed', async () => {
+    const w = await approved(ADDRESS);
+
+    assert.equal(await step(w.id), 'signed');
+    let { withdrawal, payout } = await rows(w.id);
+    assert.match(withdrawal.tx_hash, /^[0-9a-f]{64}$/);
+    assert.equal(payout.tx_hash, withdrawal.tx_hash);
+    assert.equal(withdrawal.status, 'approved');
+
+    assert.equal(await step(w.id), 'broadcast');
+    ({ withdrawal } = await rows(w.id));
+    assert.equal(withdrawal.status, 'broadcast');
+    assert.equal(withdrawal.required_confirmations, 2);
+    const broadcastAt = new Date(withdrawal.broadcast_at).getTime();
+
+    clock = broadcastAt + 15;
+    assert.equal(await step(w.id), 'broadcast');
+    ({ withdrawal } = await rows(w.id));
+    assert.equal(withdrawal.confirmations, 1);
+    assert.equal(withdrawal.status, 'broadcast');
+
+    clock = broadcastAt + 25;
+    assert.equal(await step(w.id), 'confirmed');
+    ({ withdrawal, payout } = await rows(w.id));
+    assert.equal(withdrawal.status, 'completed');
+    assert.equal(withdrawal.confirmations, 2);
+    assert.equal(payout.state, 'confirmed');
+  });
+
+  it('fails and refunds a payout the network rejects for good', async () => {
+    const balance = await btcBalance();
+    const w = await approved(REJECTED_ADDRESS);
+    assert.equal(await btcBalance(), Number((balance - 0.01).toFixed(8)));
+
+    assert.equal(await step(w.id), 'signed');
+    assert.equal(await step(w.id), 'failed');
+    const { withdrawal, payout } = await rows(w.id);
+    assert.equal(withdrawal.status, 'failed');
+    assert.equal(withdrawal.funds_state, 'reversed');
+    assert.equal(payout.attempts, 1);
+    assert.match(payout.last_error, /rejected/);
+
+    const pool = require('../db');
+    const { rows: journals } = await pool.query(
+      "SELECT 1 FROM ledger_journals WHERE reason = 'WITHDRAWAL_REVERSAL' AND ref_type = 'withdrawal' AND ref_id = $1",
+      [w.id]
+    );
+    assert.equal(journals.length, 1);
+    assert.equal(await btcBalance(), balance);
+  });
+
+  it('holds a payout after MAX_BROADCAST_ATTEMPTS transient failures', async () => {
+    const { MAX_BROADCAST_ATTEMPTS, dueIds } = require('../utils/payouts');
+    const { setAdapters } = require('../utils/payoutAdapters');
+    const w = await approved(ADDRESS);
+    assert.equal(await step(w.id), 'signed');
+
+    setAdapters({ BTC: { ...simulator, broadcast: async () => { throw new Error('node unreachable'); } } });
+    try {
+      for (let i = 1; i < MAX_BROADCAST_ATTEMPTS; i++) {
+        assert.equal(await step(w.id), 'signed');
+        assert.equal((await rows(w.id)).payout.attempts, i);
+      }
+      assert.equal(await step(w.id), 'held');
+    } finally {
+      setAdapters({ BTC: simulator });
+    }
+
+    const { withdrawal, payout } = await rows(w.id);
+    assert.equal(payout.state, 'held');
+    assert.equal(payout.attempts, MAX_BROADCAST_ATTEMPTS);
+    assert.match(payout.last_error, /node unreachable/);
+    // Left for a person: not retried, and the withdrawal is not failed
+    assert.equal(withdrawal.status, 'approved');
+    assert.equal(await step(w.id), null);
+    assert.ok(!(await dueIds(1000)).includes(w.id));
+  });
+});
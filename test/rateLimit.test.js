@@ -0,0 +1,118 @@
+// test/rateLimit.test.js
+// The in-memory store's fixed windows and the progressive login lockout,
+// on a fake clock.
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { LOGIN_LOCKOUT, RATE_LIMITS, rateLimit, loginLockout, memoryStore, setStore } = require('../middleware/rateLimit');
+
+let now;
+const clock = () => now;
+const advance = (seconds) => { now += seconds * 1000; };
+
+beforeEach(() => {
+  now = Date.UTC(2026, 0, 1);
+  setStore(memoryStore({ clock }));
+});
+
+describe('memoryStore', () => {
+  it('counts hits within a window and starts over once it ends', async () => {
+    const store = memoryStore({ clock });
+    assert.deepEqual(await store.hit('k', 60), { count: 1, resetAt: now + 60 * 1000 });
+    advance(30);
+    assert.equal((await store.hit('k', 60)).count, 2);
+    advance(29);
+    assert.equal((await store.hit('k', 60)).count, 3);
+    advance(1);
+    assert.deepEqual(await store.hit('k', 60), { count: 1, resetAt: now + 60 * 1000 });
+  });
+
+  it('keeps separate counters per key', async () => {
+    const store = memoryStore({ clock });
+    await store.hit('a', 60);
+    await store.hit('a', 60);
+    assert.equal((await store.hit('b', 60)).count, 1);
+  });
+
+  it('forgets failures after the reset period', async () => {
+    const store = memoryStore({ clock });
+    assert.equal(await store.recordFailure('k', 100), 1);
+    advance(100);
+    assert.equal(await store.recordFailure('k', 100), 2);
+    advance(101);
+    assert.equal(await store.recordFailure('k', 100), 1);
+  });
+});
+
+describe('loginLockout', () => {
+  it('locks after the free attempts, doubling up to the maximum', async () => {
+    const key = 'email:a@example.test';
+    for (let i = 1; i < LOGIN_LOCKOUT.freeAttempts; i++) {
+      assert.equal(await loginLockout.failed(key), 0);
+    }
+    assert.equal(await loginLockout.check(key), 0);
+
+    let expected = LOGIN_LOCKOUT.baseSeconds;
+    for (let i = 0; i < 10; i++) {
+      assert.equal(await loginLockout.failed(key), Math.min(expected, LOGIN_LOCKOUT.maxSeconds));
+      expected *= 2;
+    }
+    assert.equal(await loginLockout.check(key), LOGIN_LOCKOUT.maxSeconds);
+  });
+
+  it('unlocks once the lock has passed', async () => {
+    const key = 'email:b@example.test';
+    for (let i = 0; i < LOGIN_LOCKOUT.freeAttempts; i++) await loginLockout.failed(key);
+    assert.equal(await loginLockout.check(key), LOGIN_LOCKOUT.baseSeconds);
+    advance(LOGIN_LOCKOUT.baseSeconds - 10);
+    assert.equal(await loginLockout.check(key), 10);
+    advance(10);
+    assert.equal(await loginLockout.check(key), 0);
+  });
+
+  it('starts counting over after a successful login', async () => {
+    const key = 'email:c@example.test';
+    for (let i = 0; i < LOGIN_LOCKOUT.freeAttempts; i++) await loginLockout.failed(key);
+    await loginLockout.succeeded(key);
+    assert.equal(await loginLockout.check(key), 0);
+    assert.equal(await loginLockout.failed(key), 0);
+  });
+
+  it('starts counting over after the reset period without failures', async () => {
+    const key = 'email:d@example.test';
+    for (let i = 1; i < LOGIN_LOCKOUT.freeAttempts; i++) await loginLockout.failed(key);
+    advance(LOGIN_LOCKOUT.resetSeconds + 1);
+    assert.equal(await loginLockout.failed(key), 0);
+  });
+});
+
+describe('rateLimit', () => {
+  // Just enough of express for the middleware
+  async function request(middleware, ip) {
+    const res = {
+      statusCode: 200,
+      headers: {},
+      set(name, value) { this.headers[name] = value; return this; },
+      status(code) { this.statusCode = code; return this; },
+      json(body) { this.body = body; return this; },
+    };
+    let passed = false;
+    await middleware({ ip }, res, () => { passed = true; });
+    return { passed, res };
+  }
+
+  it('answers 429 with Retry-After past the limit', async () => {
+    // The middleware reads the real clock for Retry-After
+    now = Date.now();
+    const middleware = rateLimit('withdrawal');
+    const { max, windowSeconds } = RATE_LIMITS.withdrawal;
+    for (let i = 0; i < max; i++) {
+      assert.equal((await request(middleware, '10.0.0.1')).passed, true);
+    }
+    const { passed, res } = await request(middleware, '10.0.0.1');
+    assert.equal(passed, false);
+    assert.equal(res.statusCode, 429);
+    assert.equal(res.body.code, 'RATE_LIMITED');
+    assert.ok(Number(res.headers['Retry-After']) <= windowSeconds);
+    assert.equal((await request(middleware, '10.0.0.2')).passed, true);
+  });
+});
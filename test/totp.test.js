@@ -0,0 +1,59 @@
+// test/totp.test.js
+// RFC 6238 test vectors and the clock-drift window.
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const totp = require('../utils/totp');
+
+// RFC 6238 appendix B, SHA-1: the ASCII key "12345678901234567890" in base32.
+// The RFC lists 8-digit codes; 6-digit ones are their last six digits.
+const SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+const VECTORS = [
+  [59, '94287082'],
+  [1111111109, '07081804'],
+  [1111111111, '14050471'],
+  [1234567890, '89005924'],
+  [2000000000, '69279037'],
+  [20000000000, '65353130'],
+];
+
+describe('totp', () => {
+  it('matches the RFC 6238 vectors', () => {
+    for (const [seconds, code] of VECTORS) {
+      assert.equal(totp.codeForStep(SECRET, totp.currentStep(seconds * 1000)), code.slice(-6), `T=${seconds}`);
+    }
+  });
+
+  it('verifies a code at its own step and returns the step', () => {
+    const now = 1234567890 * 1000;
+    assert.equal(totp.verify(SECRET, '005924', { now }), totp.currentStep(now));
+  });
+
+  it('accepts one step of drift either side by default', () => {
+    const now = 1234567890 * 1000;
+    const step = totp.currentStep(now);
+    assert.equal(totp.verify(SECRET, totp.codeForStep(SECRET, step - 1), { now }), step - 1);
+    assert.equal(totp.verify(SECRET, totp.codeForStep(SECRET, step + 1), { now }), step + 1);
+  });
+
+  it('refuses codes outside the window', () => {
+    const now = 1234567890 * 1000;
+    const step = totp.currentStep(now);
+    assert.equal(totp.verify(SECRET, totp.codeForStep(SECRET, step - 2), { now }), null);
+    assert.equal(totp.verify(SECRET, totp.codeForStep(SECRET, step + 2), { now }), null);
+    assert.equal(totp.verify(SECRET, totp.codeForStep(SECRET, step + 2), { now, window: 2 }), step + 2);
+    assert.equal(totp.verify(SECRET, totp.codeForStep(SECRET, step - 1), { now, window: 0 }), null);
+  });
+
+  it('refuses malformed codes', () => {
+    for (const code of ['', '12345', '1234567', 'abcdef', null]) {
+      assert.equal(totp.verify(SECRET, code), null);
+    }
+  });
+
+  it('round-trips a generated secret', () => {
+    const secret = totp.generateSecret();
+    assert.match(secret, /^[A-Z2-7]{32}$/);
+    const now = Date.now();
+    assert.equal(totp.verify(secret, totp.codeForStep(secret, totp.currentStep(now)), { now }), totp.currentStep(now));
+  });
+});
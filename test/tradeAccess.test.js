@@ -0,0 +1,109 @@
+// test/tradeAccess.test.js
+// Trade endpoints only ever act for the authenticated user, and the admin
+// ones refuse customer tokens.
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { SKIP, startApp, createUser, createAdmin } = require('./helpers');
+
+describe('trade access control', { skip: SKIP }, () => {
+  let app;
+  let alice;
+  let bob;
+
+  before(async () => {
+    app = await startApp();
+    alice = await createUser({ usdt: 100 });
+    bob = await createUser({ usdt: 100 });
+  });
+
+  after(async () => {
+    if (app) await app.close();
+  });
+
+  describe('POST /api/trade', () => {
+    it("ignores a body user_id and trades for the caller", async () => {
+      const [status, body] = await app.call('POST', '/api/trade', {
+        token: alice.token,
+        body: { user_id: bob.id, direction: 'BUY', amount: 10, duration: 30, symbol: 'BTC' },
+      });
+      assert.equal(status, 200, JSON.stringify(body));
+
+      const pool = require('../db');
+      const { rows } = await pool.query('SELECT user_id FROM trades WHERE id = $1', [body.trade_id]);
+      assert.equal(Number(rows[0].user_id), alice.id);
+
+      const { rows: balances } = await pool.query(
+        "SELECT user_id, balance FROM user_balances WHERE coin = 'USDT' AND user_id = ANY($1)",
+        [[alice.id, bob.id]]
+      );
+      const balance = Object.fromEntries(balances.map(r => [Number(r.user_id), Number(r.balance)]));
+      assert.equal(balance[alice.id], 90);
+      assert.equal(balance[bob.id], 100);
+    });
+
+    it('rejects an unauthenticated request', async () => {
+      const [status] = await app.call('POST', '/api/trade', {
+        body: { user_id: bob.id, direction: 'BUY', amount: 10, duration: 30, symbol: 'BTC' },
+      });
+      assert.equal(status, 401);
+    });
+  });
+
+  describe('GET /api/trade/history/:user_id', () => {
+    it("returns 403 for another user's id", async () => {
+      const [status] = await app.call('GET', `/api/trade/history/${bob.id}`, { token: alice.token });
+      assert.equal(status, 403);
+    });
+
+    it("returns 403 for another user's display id", async () => {
+      const [status] = await app.call('GET', `/api/trade/history/NC-${bob.id}`, { token: alice.token });
+      assert.equal(status, 403);
+    });
+
+    it("returns the caller's own trades", async () => {
+      const [status, body] = await app.call('GET', `/api/trade/history/${alice.id}`, { token: alice.token });
+      assert.equal(status, 200);
+      assert.ok(body.length > 0);
+      assert.ok(body.every(t => Number(t.user_id) === alice.id));
+    });
+  });
+
+  describe('GET /api/trade/trades', () => {
+    it('rejects an unauthenticated request', async () => {
+      const [status] = await app.call('GET', '/api/trade/trades');
+      assert.equal(status, 401);
+    });
+
+    it('rejects a customer token', async () => {
+      const [status] = await app.call('GET', '/api/trade/trades', { token: alice.token });
+      assert.equal(status, 403);
+    });
+
+    it('allows an admin with trades:read', async () => {
+      const support = await createAdmin('support');
+      const [status, body] = await app.call('GET', '/api/trade/trades', { token: support.token });
+      assert.equal(status, 200);
+      assert.ok(Array.isArray(body));
+    });
+  });
+
+  // Forced outcomes were removed; the endpoint must not come back for anyone
+  describe('POST /api/trade/set-trade-mode', () => {
+    it('rejects an unauthenticated request', async () => {
+      const [status] = await app.call('POST', '/api/trade/set-trade-mode', { body: { mode: 'ALL_WIN' } });
+      assert.equal(status, 404);
+    });
+
+    it('rejects a customer token', async () => {
+      const [status] = await app.call('POST', '/api/trade/set-trade-mode', {
+        token: alice.token,
+        body: { mode: 'ALL_WIN' },
+      });
+      assert.equal(status, 404);
+
+      const pool = require('../db');
+      const { rows } = await pool.query("SELECT 1 FROM settings WHERE key = 'TRADE_MODE'");
+      assert.equal(rows.length, 0);
+    });
+  });
+});
@@ -0,0 +1,66 @@
+// test/tradeSettlement.test.js
+// A trade is priced at its expiry: from the live quote only if that was
+// fetched close enough to expiry, otherwise from market history, forex
+// included.
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { SKIP, QUOTE, startApp, createUser } = require('./helpers');
+
+// The job binds these when it is loaded, so stub them first
+const spotPrice = require('../utils/spotPrice');
+const SLOW_SYMBOL = 'ETH';
+spotPrice.getSpotQuote = async (symbol) => ({
+  ...QUOTE,
+  fetched_at: new Date(Date.now() + (symbol === SLOW_SYMBOL ? 60 * 1000 : 0)),
+});
+spotPrice.getHistoricalQuote = async () => ({ ...QUOTE, source: 'history', fetched_at: new Date() });
+const tradeSettlement = require('../jobs/tradeSettlement');
+
+describe('trade settlement', { skip: SKIP }, () => {
+  let app;
+  let user;
+
+  before(async () => {
+    app = await startApp();
+    user = await createUser();
+  });
+
+  after(async () => {
+    if (app) await app.close();
+  });
+
+  // A losing trade (no payout to post) that expired `ago` seconds ago
+  async function expiredTrade(symbol, ago) {
+    const pool = require('../db');
+    const { rows } = await pool.query(
+      `INSERT INTO trades (user_id, symbol, direction, amount, duration, start_price, result, profit, timestamp)
+       VALUES ($1, $2, 'SELL', 1, 30, 1, 'PENDING', 0, NOW() - make_interval(secs => $3)) RETURNING id`,
+      [user.id, symbol, 30 + ago]
+    );
+    return rows[0].id;
+  }
+
+  async function settledSource(id) {
+    const pool = require('../db');
+    const { rows } = await pool.query('SELECT result, result_price_source FROM trades WHERE id = $1', [id]);
+    return rows[0];
+  }
+
+  it('uses the live quote right after expiry', async () => {
+    const id = await expiredTrade('BTC', 1);
+    await tradeSettlement.runOnce();
+    assert.deepEqual(await settledSource(id), { result: 'LOSE', result_price_source: QUOTE.source });
+  });
+
+  it('uses history when the live quote came in too long after expiry', async () => {
+    const id = await expiredTrade(SLOW_SYMBOL, 1);
+    await tradeSettlement.runOnce();
+    assert.deepEqual(await settledSource(id), { result: 'LOSE', result_price_source: 'history' });
+  });
+
+  it('prices an overdue forex trade from history instead of voiding it', async () => {
+    const id = await expiredTrade('XAU', 20 * 60);
+    await tradeSettlement.runOnce();
+    assert.deepEqual(await settledSource(id), { result: 'LOSE', result_price_source: 'history' });
+  });
+});
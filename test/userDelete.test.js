@@ -0,0 +1,46 @@
+// test/userDelete.test.js
+// Users with ledger history are never hard-deleted; those without it are,
+// together with their legacy rows.
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { SKIP, startApp, createUser, createAdmin } = require('./helpers');
+
+describe('DELETE /api/admin/users/:id', { skip: SKIP }, () => {
+  let app;
+  let admin;
+
+  before(async () => {
+    app = await startApp();
+    admin = await createAdmin('superadmin');
+  });
+
+  after(async () => {
+    if (app) await app.close();
+  });
+
+  it('refuses a user with ledger history', async () => {
+    const user = await createUser({ usdt: 10 });
+    const [status, body] = await app.call('DELETE', `/api/admin/users/${user.id}`, { token: admin.token });
+    assert.equal(status, 409);
+    assert.equal(body.has_ledger_history, true);
+
+    const pool = require('../db');
+    const { rows } = await pool.query('SELECT 1 FROM deposits WHERE user_id = $1', [user.id]);
+    assert.equal(rows.length, 1);
+  });
+
+  it('deletes a user without ledger history, conversions and stakes included', async () => {
+    const user = await createUser();
+    const pool = require('../db');
+    await pool.query(
+      "INSERT INTO conversions (user_id, from_coin, to_coin, amount, received) VALUES ($1, 'USDT', 'BTC', 1, 1)",
+      [user.id]
+    );
+    await pool.query("INSERT INTO stakes (user_id, coin, amount, status) VALUES ($1, 'USDT', 1, 'COMPLETED')", [user.id]);
+
+    const [status] = await app.call('DELETE', `/api/admin/users/${user.id}`, { token: admin.token });
+    assert.equal(status, 200);
+    const { rows } = await pool.query('SELECT 1 FROM users WHERE id = $1', [user.id]);
+    assert.equal(rows.length, 0);
+  });
+});
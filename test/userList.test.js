@@ -0,0 +1,36 @@
+// test/userList.test.js
+// The user listing is back-office only.
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { SKIP, startApp, createUser, createAdmin } = require('./helpers');
+
+describe('GET /api/users', { skip: SKIP }, () => {
+  let app;
+  let user;
+
+  before(async () => {
+    app = await startApp();
+    user = await createUser();
+  });
+
+  after(async () => {
+    if (app) await app.close();
+  });
+
+  it('rejects an unauthenticated request', async () => {
+    const [status] = await app.call('GET', '/api/users');
+    assert.equal(status, 401);
+  });
+
+  it('rejects a customer token', async () => {
+    const [status] = await app.call('GET', '/api/users', { token: user.token });
+    assert.equal(status, 403);
+  });
+
+  it('allows an admin with users:read', async () => {
+    const support = await createAdmin('support');
+    const [status, body] = await app.call('GET', '/api/users', { token: support.token });
+    assert.equal(status, 200);
+    assert.ok(body.some(u => Number(u.id) === user.id));
+  });
+});
@@ -0,0 +1,98 @@
+// test/validate.test.js
+// Request validation: coercion, per-coin decimals, defaults and fields the
+// schema does not declare.
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { validate, v } = require('../middleware/validate');
+
+// Runs the middleware on a bare request; returns the request and the 400 body, if any
+function run(schema, req) {
+  const request = { body: {}, params: {}, query: {}, ...req };
+  let rejected = null;
+  const res = {
+    status(code) { assert.equal(code, 400); return this; },
+    json(body) { rejected = body; return this; },
+  };
+  let passed = false;
+  validate(schema)(request, res, () => { passed = true; });
+  assert.equal(passed, !rejected);
+  return { req: request, rejected };
+}
+
+const fieldErrors = (rejected) => Object.fromEntries(rejected.details.map(d => [d.field, d.message]));
+
+describe('validate', () => {
+  it('coerces numeric strings, booleans, dates and coins', () => {
+    const { req } = run({
+      params: { id: v.id() },
+      body: { n: v.number(), flag: v.boolean(), when: v.date(), coin: v.coin() },
+    }, {
+      params: { id: '42' },
+      body: { n: ' 1.5 ', flag: 'false', when: '2026-01-01', coin: ' btc ' },
+    });
+    assert.equal(req.params.id, 42);
+    assert.deepEqual(req.body, { n: 1.5, flag: false, when: new Date('2026-01-01'), coin: 'BTC' });
+    assert.equal(req.validated.body.coin, 'BTC');
+  });
+
+  it('keeps cleaned query values on req.validated only', () => {
+    const { req } = run({ query: { limit: v.integer({ default: 100 }), offset: v.integer({ min: 0 }) } }, {
+      query: { offset: '20' },
+    });
+    assert.deepEqual(req.validated.query, { limit: 100, offset: 20 });
+    assert.equal(req.query.offset, '20');
+  });
+
+  it('rejects values that do not coerce', () => {
+    const { rejected } = run({
+      body: { n: v.integer(), flag: v.boolean(), when: v.date(), coin: v.coin(), name: v.string() },
+    }, {
+      body: { n: '1.5', flag: 'yes', when: 'soon', coin: 'DOGE', name: 7 },
+    });
+    assert.equal(rejected.error, 'Validation failed');
+    assert.deepEqual(Object.keys(fieldErrors(rejected)).sort(), ['coin', 'flag', 'n', 'name', 'when']);
+  });
+
+  it('reports missing required fields but not optional ones', () => {
+    const { rejected } = run({ body: { a: v.string(), b: v.string({ optional: true }), c: v.number() } }, {
+      body: { a: '', c: null },
+    });
+    assert.deepEqual(fieldErrors(rejected), { a: 'is required', c: 'is required' });
+  });
+
+  it('limits amount decimals by the coin in the same body', () => {
+    const schema = { body: { coin: v.coin(), amount: v.amount() } };
+    assert.equal(run(schema, { body: { coin: 'usdt', amount: '10.25' } }).req.body.amount, 10.25);
+    assert.deepEqual(fieldErrors(run(schema, { body: { coin: 'USDT', amount: '10.255' } }).rejected), {
+      amount: 'must have at most 2 decimal places for USDT',
+    });
+    assert.equal(run(schema, { body: { coin: 'BTC', amount: '0.00000001' } }).req.body.amount, 0.00000001);
+    assert.ok(run(schema, { body: { coin: 'BTC', amount: '0.000000001' } }).rejected);
+    assert.ok(run(schema, { body: { coin: 'XRP', amount: 1.23456 } }).rejected);
+  });
+
+  it('limits amount decimals by a fixed coin', () => {
+    const schema = { body: { amount: v.amount({ coin: 'USDT', min: 1 }) } };
+    assert.ok(run(schema, { body: { amount: '0.5' } }).rejected);
+    assert.ok(run(schema, { body: { amount: '1.001' } }).rejected);
+    assert.equal(run(schema, { body: { amount: 1.5 } }).req.body.amount, 1.5);
+  });
+
+  it('rejects amounts that are not positive decimals', () => {
+    const schema = { body: { amount: v.amount({ coin: 'BTC' }) } };
+    for (const amount of ['-1', '0', '1e3', 'abc', '1.', true]) {
+      assert.ok(run(schema, { body: { amount } }).rejected, String(amount));
+    }
+  });
+
+  it('passes undeclared body fields through without validating them', () => {
+    const { req } = run({ body: { coin: v.coin() } }, { body: { coin: 'eth', note: { any: 'thing' } } });
+    assert.deepEqual(req.body, { coin: 'ETH', note: { any: 'thing' } });
+    assert.deepEqual(req.validated.body, { coin: 'ETH' });
+  });
+
+  it('refuses a malformed schema when the route is built', () => {
+    assert.throws(() => validate({ headers: {} }), /Unknown validation section/);
+    assert.throws(() => validate({ body: { coin: 'BTC' } }), /Invalid validation rule/);
+  });
+});
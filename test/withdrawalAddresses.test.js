@@ -0,0 +1,99 @@
+// test/withdrawalAddresses.test.js
+// Added addresses are announced to the user, and whitelist-only mode stays
+// on for the cool-down after it is switched off.
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { SKIP, startApp, createUser } = require('./helpers');
+
+const BTC_ADDRESS = 'bc1qw508d6qejxtdg4y5r3zarvary0c5xw7kv8f3t4';
+
+describe('withdrawal address book', { skip: SKIP }, () => {
+  let app;
+  let user;
+
+  before(async () => {
+    app = await startApp();
+    user = await createUser();
+  });
+
+  after(async () => {
+    if (app) await app.close();
+  });
+
+  // Address book changes need an email code from users without 2FA
+  async function confirmed(body) {
+    const otp = require('../utils/otp');
+    const { code } = await otp.issue(user.id, otp.PURPOSES.WITHDRAWAL_ADDRESS);
+    return { ...body, otp_code: code };
+  }
+
+  const typedIn = () => require('../utils/addressBook').resolveDestination(require('../db'), user.id, {
+    coin: 'BTC', address: BTC_ADDRESS,
+  });
+
+  it('notifies the user of an added address', async () => {
+    const [status, entry] = await app.call('POST', '/api/withdraw/addresses', {
+      token: user.token,
+      body: await confirmed({ label: 'cold', coin: 'BTC', address: BTC_ADDRESS }),
+    });
+    assert.equal(status, 201, JSON.stringify(entry));
+
+    const pool = require('../db');
+    const { rows } = await pool.query(
+      "SELECT payload FROM notification_outbox WHERE user_id = $1 AND template = 'withdrawal_address_added'",
+      [user.id]
+    );
+    assert.equal(rows.length, 1);
+    assert.equal(rows[0].payload.address, BTC_ADDRESS);
+  });
+
+  it('turns whitelist-only mode on at once', async () => {
+    const [status, body] = await app.call('PUT', '/api/withdraw/addresses/whitelist', {
+      token: user.token,
+      body: await confirmed({ enabled: true }),
+    });
+    assert.equal(status, 200, JSON.stringify(body));
+    assert.deepEqual(body, { whitelist_only: true, whitelist_disabled_at: null });
+    assert.ok((await typedIn()).error);
+  });
+
+  it('keeps enforcing it until the cool-down after switching off has passed', async () => {
+    const { COOLDOWN_HOURS } = require('../utils/addressBook');
+    const [status, body] = await app.call('PUT', '/api/withdraw/addresses/whitelist', {
+      token: user.token,
+      body: await confirmed({ enabled: false }),
+    });
+    assert.equal(status, 200, JSON.stringify(body));
+    assert.equal(body.whitelist_only, true);
+    const delay = new Date(body.whitelist_disabled_at) - Date.now();
+    assert.ok(Math.abs(delay - COOLDOWN_HOURS * 3600 * 1000) < 60 * 1000, `switch-off in ${delay} ms`);
+    assert.ok((await typedIn()).error);
+
+    // Asking again does not restart the cool-down
+    const [, again] = await app.call('PUT', '/api/withdraw/addresses/whitelist', {
+      token: user.token,
+      body: await confirmed({ enabled: false }),
+    });
+    assert.equal(again.whitelist_disabled_at, body.whitelist_disabled_at);
+
+    const pool = require('../db');
+    await pool.query("UPDATE users SET whitelist_disabled_at = NOW() - INTERVAL '1 second' WHERE id = $1", [user.id]);
+    const [, list] = await app.call('GET', '/api/withdraw/addresses', { token: user.token });
+    assert.equal(list.whitelist_only, false);
+    assert.equal(list.whitelist_disabled_at, null);
+    assert.equal((await typedIn()).error, undefined);
+  });
+
+  it('cancels a pending switch-off when turned back on', async () => {
+    const pool = require('../db');
+    await app.call('PUT', '/api/withdraw/addresses/whitelist', { token: user.token, body: await confirmed({ enabled: true }) });
+    await app.call('PUT', '/api/withdraw/addresses/whitelist', { token: user.token, body: await confirmed({ enabled: false }) });
+    const [, body] = await app.call('PUT', '/api/withdraw/addresses/whitelist', {
+      token: user.token,
+      body: await confirmed({ enabled: true }),
+    });
+    assert.deepEqual(body, { whitelist_only: true, whitelist_disabled_at: null });
+    const { rows } = await pool.query('SELECT whitelist_disabled_at FROM users WHERE id = $1', [user.id]);
+    assert.equal(rows[0].whitelist_disabled_at, null);
+  });
+});
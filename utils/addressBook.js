@@ -0,0 +1,145 @@
+// utils/addressBook.js
+// Saved withdrawal addresses and whitelist-only mode. Every entry is checked
+// by utils/addressValidation.js when saved. New entries get a cool-down
+// (usable_at); it only matters in whitelist-only mode, where withdrawals must
+// go to a saved entry whose cool-down has passed. Switching the mode off waits
+// out the same cool-down (users.whitelist_disabled_at); switching it on is
+// immediate.
+const pool = require('../db');
+const { validateDestination } = require('./addressValidation');
+
+const COOLDOWN_HOURS = Number(process.env.WITHDRAWAL_ADDRESS_COOLDOWN_HOURS) || 24;
+
+function present(entry) {
+  return { ...entry, usable: new Date(entry.usable_at) <= new Date() };
+}
+
+async function list(userId, { coin = null } = {}, db = pool) {
+  const { rows } = await db.query(
+    `SELECT id, label, coin, network, address, memo, created_at, usable_at
+     FROM withdrawal_addresses
+     WHERE user_id = $1 AND ($2::text IS NULL OR coin = $2)
+     ORDER BY coin, label, id`,
+    [userId, coin]
+  );
+  return rows.map(present);
+}
+
+async function get(userId, id, db = pool) {
+  const { rows } = await db.query(
+    'SELECT * FROM withdrawal_addresses WHERE id = $1 AND user_id = $2',
+    [id, userId]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Saves a checked address.
+ * @returns {Promise<{entry: object}|{error: string}|{duplicate: object}>}
+ */
+async function add(userId, { label, coin, network, address, memo }, db = pool) {
+  const dest = validateDestination({ coin, network, address, memo });
+  if (dest.error) return { error: dest.error };
+  const { rows } = await db.query(
+    `INSERT INTO withdrawal_addresses (user_id, label, coin, network, address, memo, usable_at)
+     VALUES ($1, $2, $3, $4, $5, $6, NOW() + make_interval(hours => $7))
+     ON CONFLICT DO NOTHING
+     RETURNING id, label, coin, network, address, memo, created_at, usable_at`,
+    [userId, label, coin, dest.network, dest.address, dest.memo, COOLDOWN_HOURS]
+  );
+  if (rows[0]) return { entry: present(rows[0]) };
+  const { rows: existing } = await db.query(
+    `SELECT id, label, coin, network, address, memo, created_at, usable_at FROM withdrawal_addresses
+     WHERE user_id = $1 AND coin = $2 AND network = $3 AND address = $4 AND COALESCE(memo, '') = COALESCE($5, '')`,
+    [userId, coin, dest.network, dest.address, dest.memo]
+  );
+  return { duplicate: present(existing[0]) };
+}
+
+async function rename(userId, id, label, db = pool) {
+  const { rows } = await db.query(
+    `UPDATE withdrawal_addresses SET label = $3 WHERE id = $1 AND user_id = $2
+     RETURNING id, label, coin, network, address, memo, created_at, usable_at`,
+    [id, userId, label]
+  );
+  return rows[0] ? present(rows[0]) : null;
+}
+
+async function remove(userId, id, db = pool) {
+  const { rowCount } = await db.query('DELETE FROM withdrawal_addresses WHERE id = $1 AND user_id = $2', [id, userId]);
+  return rowCount > 0;
+}
+
+/**
+ * Whether whitelist-only mode is enforced, and when a requested switch-off
+ * takes effect (null if none is pending).
+ * @returns {Promise<{whitelist_only: boolean, disabled_at: Date|null}>}
+ */
+async function whitelistState(userId, db = pool) {
+  const { rows } = await db.query(
+    `SELECT withdrawal_whitelist AND (whitelist_disabled_at IS NULL OR whitelist_disabled_at > NOW()) AS enforced,
+            whitelist_disabled_at
+     FROM users WHERE id = $1`,
+    [userId]
+  );
+  const enforced = Boolean(rows[0] && rows[0].enforced);
+  return { whitelist_only: enforced, disabled_at: enforced ? rows[0].whitelist_disabled_at : null };
+}
+
+async function isWhitelistOnly(userId, db = pool) {
+  return (await whitelistState(userId, db)).whitelist_only;
+}
+
+// On: immediate, and cancels a pending switch-off. Off: after COOLDOWN_HOURS;
+// asking again does not push a pending switch-off further out.
+async function setWhitelistOnly(userId, enabled, db = pool) {
+  if (enabled) {
+    await db.query(
+      'UPDATE users SET withdrawal_whitelist = TRUE, whitelist_disabled_at = NULL WHERE id = $1',
+      [userId]
+    );
+  } else {
+    await db.query(
+      `UPDATE users SET whitelist_disabled_at = NOW() + make_interval(hours => $2)
+       WHERE id = $1 AND withdrawal_whitelist AND whitelist_disabled_at IS NULL`,
+      [userId, COOLDOWN_HOURS]
+    );
+  }
+  return whitelistState(userId, db);
+}
+
+/**
+ * Where a withdrawal goes: a saved entry (addressId) or a typed-in address.
+ * Applies whitelist-only mode and the entry cool-down.
+ * @returns {Promise<{address, network, memo, addressId}|{error: string}>}
+ */
+async function resolveDestination(db, userId, { coin, addressId = null, address = null, network = null, memo = null }) {
+  const whitelistOnly = await isWhitelistOnly(userId, db);
+
+  if (addressId == null) {
+    if (whitelistOnly) return { error: 'Whitelist-only mode is on: withdraw to a saved address (address_id)' };
+    const dest = validateDestination({ coin, network, address, memo });
+    return dest.error ? dest : { ...dest, addressId: null };
+  }
+
+  const entry = await get(userId, addressId, db);
+  if (!entry) return { error: 'Saved address not found' };
+  if (entry.coin !== coin) return { error: `Saved address is for ${entry.coin}, not ${coin}` };
+  if (whitelistOnly && new Date(entry.usable_at) > new Date()) {
+    return { error: `Saved address can be used from ${new Date(entry.usable_at).toISOString()}` };
+  }
+  return { address: entry.address, network: entry.network, memo: entry.memo, addressId: entry.id };
+}
+
+module.exports = {
+  COOLDOWN_HOURS,
+  list,
+  get,
+  add,
+  rename,
+  remove,
+  whitelistState,
+  isWhitelistOnly,
+  setWhitelistOnly,
+  resolveDestination,
+};
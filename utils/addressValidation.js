@@ -0,0 +1,287 @@
+// utils/addressValidation.js
+// Format checks for withdrawal addresses, per network. Catches typos and
+// wrong-chain addresses before anything is sent; it cannot tell whether an
+// address is actually in use. Checksums are verified wherever the format has
+// one (base58check, bech32/bech32m, EIP-55, TON's CRC16), built on node's
+// crypto so no extra dependency is needed.
+const crypto = require('crypto');
+
+// Networks each wallet coin can be withdrawn on
+const NETWORKS = {
+  BTC: ['BTC'],
+  ETH: ['ERC20'],
+  USDT: ['ERC20', 'TRC20'],
+  SOL: ['SOL'],
+  XRP: ['XRP'],
+  TON: ['TON'],
+};
+
+// Networks whose deposits are told apart by a memo: XRP destination tags
+// (a 32-bit number) and TON text comments
+const MEMO_RULES = {
+  XRP: { name: 'destination tag', parse: (m) => (/^\d{1,10}$/.test(m) && Number(m) <= 0xffffffff ? String(Number(m)) : null) },
+  TON: { name: 'memo', parse: (m) => (m.length <= 120 ? m : null) },
+};
+
+const sha256 = (buf) => crypto.createHash('sha256').update(buf).digest();
+
+// --- Base58 (bitcoin and ripple alphabets) ---
+
+const BTC_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+const XRP_ALPHABET = 'rpshnaf39wBUDNEGHJKLM4PQRST7VWXYZ2bcdeCg65jkm8oFqi1tuvAxyz';
+
+function base58Decode(str, alphabet = BTC_ALPHABET) {
+  let n = 0n;
+  for (const ch of str) {
+    const idx = alphabet.indexOf(ch);
+    if (idx === -1) return null;
+    n = n * 58n + BigInt(idx);
+  }
+  const bytes = [];
+  while (n > 0n) {
+    bytes.unshift(Number(n & 0xffn));
+    n >>= 8n;
+  }
+  for (const ch of str) {
+    if (ch !== alphabet[0]) break;
+    bytes.unshift(0);
+  }
+  return Buffer.from(bytes);
+}
+
+// Payload of a base58check string (version byte included), or null
+function base58Check(str, alphabet = BTC_ALPHABET) {
+  const raw = base58Decode(str, alphabet);
+  if (!raw || raw.length < 5) return null;
+  const payload = raw.subarray(0, -4);
+  const checksum = sha256(sha256(payload)).subarray(0, 4);
+  return checksum.equals(raw.subarray(-4)) ? payload : null;
+}
+
+// --- Bech32 / bech32m (BIP 173 / BIP 350) ---
+
+const BECH32_CHARSET = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l';
+const BECH32_CONST = 1;
+const BECH32M_CONST = 0x2bc830a3;
+
+function bech32Polymod(values) {
+  const GEN = [0x3b6a57b2, 0x26508e6d, 0x1ea119fa, 0x3d4233dd, 0x2a1462b3];
+  let chk = 1;
+  for (const v of values) {
+    const top = chk >>> 25;
+    chk = ((chk & 0x1ffffff) << 5) ^ v;
+    for (let i = 0; i < 5; i++) if ((top >>> i) & 1) chk ^= GEN[i];
+  }
+  return chk >>> 0;
+}
+
+function convertBits(data, from, to) {
+  let acc = 0;
+  let bits = 0;
+  const out = [];
+  for (const value of data) {
+    acc = (acc << from) | value;
+    bits += from;
+    while (bits >= to) {
+      bits -= to;
+      out.push((acc >>> bits) & ((1 << to) - 1));
+    }
+  }
+  // Leftover bits must be zero padding shorter than one input group
+  if (bits >= from || ((acc << (to - bits)) & ((1 << to) - 1))) return null;
+  return out;
+}
+
+// { version, program } of a segwit address with the given prefix, or null
+function decodeSegwit(str, hrp) {
+  if (str.length > 90 || (str !== str.toLowerCase() && str !== str.toUpperCase())) return null;
+  const s = str.toLowerCase();
+  const sep = s.lastIndexOf('1');
+  if (s.slice(0, sep) !== hrp || s.length - sep - 1 < 7) return null;
+  const data = [];
+  for (const ch of s.slice(sep + 1)) {
+    const idx = BECH32_CHARSET.indexOf(ch);
+    if (idx === -1) return null;
+    data.push(idx);
+  }
+  const expanded = [...hrp].map(c => c.charCodeAt(0) >> 5).concat(0, [...hrp].map(c => c.charCodeAt(0) & 31));
+  const check = bech32Polymod(expanded.concat(data));
+  const version = data[0];
+  if (version > 16) return null;
+  if (check !== (version === 0 ? BECH32_CONST : BECH32M_CONST)) return null;
+  const program = convertBits(data.slice(1, -6), 5, 8);
+  if (!program || program.length < 2 || program.length > 40) return null;
+  if (version === 0 && program.length !== 20 && program.length !== 32) return null;
+  return { version, program };
+}
+
+// --- Keccak-256 (the pre-standard SHA-3 Ethereum uses; node only ships SHA3-256) ---
+
+const MASK64 = (1n << 64n) - 1n;
+const KECCAK_RC = [
+  0x0000000000000001n, 0x0000000000008082n, 0x800000000000808an, 0x8000000080008000n,
+  0x000000000000808bn, 0x0000000080000001n, 0x8000000080008081n, 0x8000000000008009n,
+  0x000000000000008an, 0x0000000000000088n, 0x0000000080008009n, 0x000000008000000an,
+  0x000000008000808bn, 0x800000000000008bn, 0x8000000000008089n, 0x8000000000008003n,
+  0x8000000000008002n, 0x8000000000000080n, 0x000000000000800an, 0x800000008000000an,
+  0x8000000080008081n, 0x8000000000008080n, 0x0000000080000001n, 0x8000000080008008n,
+];
+const KECCAK_RHO = [1, 3, 6, 10, 15, 21, 28, 36, 45, 55, 2, 14, 27, 41, 56, 8, 25, 43, 62, 18, 39, 61, 20, 44];
+const KECCAK_PI = [10, 7, 11, 17, 18, 3, 5, 16, 8, 21, 24, 4, 15, 23, 19, 13, 12, 2, 20, 14, 22, 9, 6, 1];
+
+const rotl64 = (x, n) => ((x << BigInt(n)) | (x >> BigInt(64 - n))) & MASK64;
+
+function keccakF(s) {
+  for (const rc of KECCAK_RC) {
+    const c = [0, 1, 2, 3, 4].map(x => s[x] ^ s[x + 5] ^ s[x + 10] ^ s[x + 15] ^ s[x + 20]);
+    for (let x = 0; x < 5; x++) {
+      const d = c[(x + 4) % 5] ^ rotl64(c[(x + 1) % 5], 1);
+      for (let y = 0; y < 25; y += 5) s[x + y] ^= d;
+    }
+    let t = s[1];
+    for (let i = 0; i < 24; i++) {
+      const j = KECCAK_PI[i];
+      const next = s[j];
+      s[j] = rotl64(t, KECCAK_RHO[i]);
+      t = next;
+    }
+    for (let y = 0; y < 25; y += 5) {
+      const row = s.slice(y, y + 5);
+      for (let x = 0; x < 5; x++) s[x + y] = row[x] ^ (~row[(x + 1) % 5] & MASK64 & row[(x + 2) % 5]);
+    }
+    s[0] ^= rc;
+  }
+}
+
+function keccak256(input) {
+  const RATE = 136;
+  const padded = Buffer.alloc((Math.floor(input.length / RATE) + 1) * RATE);
+  input.copy(padded);
+  padded[input.length] ^= 0x01;
+  padded[padded.length - 1] ^= 0x80;
+  const s = new Array(25).fill(0n);
+  for (let off = 0; off < padded.length; off += RATE) {
+    for (let i = 0; i < RATE / 8; i++) s[i] ^= padded.readBigUInt64LE(off + i * 8);
+    keccakF(s);
+  }
+  const out = Buffer.alloc(32);
+  for (let i = 0; i < 4; i++) out.writeBigUInt64LE(s[i], i * 8);
+  return out;
+}
+
+// EIP-55 mixed-case checksum form of a 40-hex-digit address
+function toChecksumAddress(hex) {
+  const lower = hex.toLowerCase();
+  const hash = keccak256(Buffer.from(lower, 'ascii')).toString('hex');
+  return '0x' + [...lower].map((ch, i) => (parseInt(hash[i], 16) >= 8 ? ch.toUpperCase() : ch)).join('');
+}
+
+// --- TON user-friendly addresses ---
+
+function crc16Xmodem(buf) {
+  let crc = 0;
+  for (const byte of buf) {
+    crc ^= byte << 8;
+    for (let i = 0; i < 8; i++) crc = crc & 0x8000 ? ((crc << 1) ^ 0x1021) & 0xffff : (crc << 1) & 0xffff;
+  }
+  return crc;
+}
+
+// --- Per-network checks: normalized address, or { error } ---
+
+const CHECKS = {
+  BTC(address) {
+    if (/^bc1/i.test(address)) {
+      const segwit = decodeSegwit(address, 'bc');
+      if (!segwit) return { error: 'is not a valid Bitcoin bech32 address' };
+      return address.toLowerCase();
+    }
+    const payload = base58Check(address);
+    // P2PKH (1...) or P2SH (3...)
+    if (!payload || payload.length !== 21 || (payload[0] !== 0x00 && payload[0] !== 0x05)) {
+      return { error: 'is not a valid Bitcoin address' };
+    }
+    return address;
+  },
+
+  ERC20(address) {
+    const m = /^0x([0-9a-fA-F]{40})$/.exec(address);
+    if (!m) return { error: 'must be 0x followed by 40 hex digits' };
+    const checksummed = toChecksumAddress(m[1]);
+    // All-lower or all-upper addresses carry no checksum
+    const mixedCase = m[1] !== m[1].toLowerCase() && m[1] !== m[1].toUpperCase();
+    if (mixedCase && checksummed !== address) return { error: 'has an invalid checksum (EIP-55)' };
+    return checksummed;
+  },
+
+  TRC20(address) {
+    const payload = base58Check(address);
+    if (!payload || payload.length !== 21 || payload[0] !== 0x41) return { error: 'is not a valid Tron address' };
+    return address;
+  },
+
+  SOL(address) {
+    const raw = /^[1-9A-HJ-NP-Za-km-z]{32,44}$/.test(address) ? base58Decode(address) : null;
+    if (!raw || raw.length !== 32) return { error: 'is not a valid Solana address' };
+    return address;
+  },
+
+  XRP(address) {
+    // Classic addresses only; X-addresses embed the tag and are not accepted
+    const payload = address.startsWith('r') ? base58Check(address, XRP_ALPHABET) : null;
+    if (!payload || payload.length !== 21 || payload[0] !== 0x00) return { error: 'is not a valid XRP classic address' };
+    return address;
+  },
+
+  TON(address) {
+    const raw = /^(-1|0):([0-9a-fA-F]{64})$/.exec(address);
+    if (raw) return `${raw[1]}:${raw[2].toLowerCase()}`;
+    if (!/^[A-Za-z0-9+/_-]{48}$/.test(address)) return { error: 'is not a valid TON address' };
+    const buf = Buffer.from(address.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+    const flags = buf[0];
+    const workchain = buf[1];
+    if (buf.length !== 36 || crc16Xmodem(buf.subarray(0, 34)) !== buf.readUInt16BE(34)) {
+      return { error: 'has an invalid checksum' };
+    }
+    if (flags & 0x80) return { error: 'is a testnet address' };
+    if ((flags !== 0x11 && flags !== 0x51) || (workchain !== 0x00 && workchain !== 0xff)) {
+      return { error: 'is not a valid TON address' };
+    }
+    return address;
+  },
+};
+
+/**
+ * Checks a destination for a coin. Without a network, the coin's only network
+ * is used, or the one whose format the address matches.
+ * @returns {{network: string, address: string, memo: string|null}|{error: string}}
+ *   normalized destination (EIP-55 checksum case, lower-case bech32), or an
+ *   error message naming the field
+ */
+function validateDestination({ coin, network = null, address, memo = null }) {
+  const networks = NETWORKS[coin];
+  if (!networks) return { error: `${coin} cannot be withdrawn` };
+  const addr = String(address || '').trim();
+  if (!addr) return { error: 'address is required' };
+
+  if (!network) {
+    const matching = networks.length === 1 ? networks : networks.filter(n => typeof CHECKS[n](addr) === 'string');
+    if (matching.length === 0) return { error: `address does not match any ${coin} network (${networks.join(', ')})` };
+    if (matching.length > 1) return { error: `network is required for ${coin} (${networks.join(', ')})` };
+    network = matching[0];
+  }
+  if (!networks.includes(network)) return { error: `network must be one of: ${networks.join(', ')}` };
+
+  const checked = CHECKS[network](addr);
+  if (typeof checked !== 'string') return { error: `address ${checked.error}` };
+
+  const rawMemo = memo == null ? '' : String(memo).trim();
+  const rule = MEMO_RULES[network];
+  if (!rawMemo) return { network, address: checked, memo: null };
+  if (!rule) return { error: `memo is not supported on ${network}` };
+  const parsed = rule.parse(rawMemo);
+  if (parsed == null) return { error: `memo is not a valid ${network} ${rule.name}` };
+  return { network, address: checked, memo: parsed };
+}
+
+module.exports = { NETWORKS, MEMO_RULES, validateDestination, keccak256, toChecksumAddress };
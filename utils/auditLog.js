@@ -0,0 +1,200 @@
+// utils/auditLog.js
+// Hash-chained, append-only log of back-office actions. record() must be
+// called with the same client (inside the same transaction) as the action it
+// describes, so an action and its audit entry commit or roll back together.
+const crypto = require('crypto');
+const csv = require('./csv');
+
+// What an admin did. Stored on admin_audit_log.action.
+const ACTIONS = {
+  ADMIN_LOGIN: 'admin.login',
+  ADMIN_CREATE: 'admin.create',
+  ADMIN_UPDATE: 'admin.update',
+  ADMIN_PASSWORD_CHANGE: 'admin.password_change',
+  ADMIN_2FA_ENABLE: 'admin.2fa_enable',
+  ADMIN_2FA_RESET: 'admin.2fa_reset',
+  KYC_STATUS: 'kyc.status',
+  DEPOSIT_STATUS: 'deposit.status',
+  WITHDRAWAL_STATUS: 'withdrawal.status',
+  USER_DELETE: 'user.delete',
+  DEPOSIT_ADDRESS_UPDATE: 'deposit_address.update',
+  EARN_PRODUCT_CREATE: 'earn_product.create',
+  EARN_PRODUCT_UPDATE: 'earn_product.update',
+  EARN_SAVINGS_RATE: 'earn_savings_rate.update',
+  WITHDRAWAL_FEE_UPDATE: 'withdrawal_fee.update',
+  WITHDRAWAL_LIMIT_UPDATE: 'withdrawal_limit.update',
+};
+
+// No longer recorded, but older entries carry them and can still be filtered on
+const LEGACY_ACTIONS = [
+  'trade_mode.user',
+  'trade_mode.global',
+];
+
+// Serializes writers so every entry links to the one committed before it
+const CHAIN_LOCK_KEY = 7301001;
+
+const COLUMNS = [
+  'id', 'created_at', 'admin_id', 'admin_email', 'action', 'target_type', 'target_id',
+  'before', 'after', 'ip', 'user_agent', 'prev_hash', 'hash',
+];
+
+// JSON with sorted keys, so the same value always hashes the same way
+// (JSONB does not keep key order).
+function canonicalJson(value) {
+  if (value === undefined || value === null) return 'null';
+  const plain = JSON.parse(JSON.stringify(value));
+  const walk = (v) => {
+    if (Array.isArray(v)) return `[${v.map(walk).join(',')}]`;
+    if (v && typeof v === 'object') {
+      return `{${Object.keys(v).sort().map(k => `${JSON.stringify(k)}:${walk(v[k])}`).join(',')}}`;
+    }
+    return JSON.stringify(v);
+  };
+  return walk(plain);
+}
+
+function entryHash(entry) {
+  const material = [
+    entry.prev_hash || '',
+    entry.admin_id == null ? '' : String(entry.admin_id),
+    entry.admin_email || '',
+    entry.action,
+    entry.target_type || '',
+    entry.target_id == null ? '' : String(entry.target_id),
+    canonicalJson(entry.before),
+    canonicalJson(entry.after),
+    entry.ip || '',
+    entry.user_agent || '',
+    new Date(entry.created_at).toISOString(),
+  ].join('\n');
+  return crypto.createHash('sha256').update(material).digest('hex');
+}
+
+/**
+ * Appends one audit entry.
+ * @param client pg client inside the action's transaction
+ * @param req express request; the actor is req.admin
+ * @param {object} entry
+ * @param {string} entry.action one of ACTIONS
+ * @param {string} [entry.targetType] e.g. 'user', 'deposit'
+ * @param {string|number} [entry.targetId]
+ * @param {object} [entry.before] state before the action
+ * @param {object} [entry.after] state after the action
+ * @returns {Promise<number>} audit entry id
+ */
+async function record(client, req, { action, targetType = null, targetId = null, before = null, after = null }) {
+  if (!Object.values(ACTIONS).includes(action)) {
+    throw new Error(`Unknown audit action: ${action}`);
+  }
+  await client.query('SELECT pg_advisory_xact_lock($1)', [CHAIN_LOCK_KEY]);
+  const { rows: last } = await client.query(
+    'SELECT hash FROM admin_audit_log ORDER BY id DESC LIMIT 1'
+  );
+
+  const admin = req.admin || {};
+  const entry = {
+    admin_id: admin.id == null ? null : admin.id,
+    admin_email: admin.email || null,
+    action,
+    target_type: targetType,
+    target_id: targetId == null ? null : String(targetId),
+    before,
+    after,
+    ip: req.ip || null,
+    user_agent: req.get ? req.get('user-agent') || null : null,
+    created_at: new Date(),
+    prev_hash: last[0] ? last[0].hash : null,
+  };
+  entry.hash = entryHash(entry);
+
+  const { rows } = await client.query(
+    `INSERT INTO admin_audit_log
+       (admin_id, admin_email, action, target_type, target_id, before, after,
+        ip, user_agent, created_at, prev_hash, hash)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+     RETURNING id`,
+    [
+      entry.admin_id, entry.admin_email, entry.action, entry.target_type, entry.target_id,
+      before == null ? null : JSON.stringify(before),
+      after == null ? null : JSON.stringify(after),
+      entry.ip, entry.user_agent, entry.created_at, entry.prev_hash, entry.hash,
+    ]
+  );
+  return rows[0].id;
+}
+
+// WHERE clause for the audit query/export filters
+function buildFilter({ adminId, action, targetType, targetId, from, to } = {}) {
+  const clauses = [];
+  const params = [];
+  const add = (sql, value) => {
+    params.push(value);
+    clauses.push(sql.replace('?', `$${params.length}`));
+  };
+  if (adminId != null) add('admin_id = ?', adminId);
+  if (action) add('action = ?', action);
+  if (targetType) add('target_type = ?', targetType);
+  if (targetId != null) add('target_id = ?', String(targetId));
+  if (from) add('created_at >= ?', from);
+  if (to) add('created_at < ?', to);
+  return { where: clauses.length ? `WHERE ${clauses.join(' AND ')}` : '', params };
+}
+
+// Newest first
+async function listEntries(db, filters, { limit = 100, offset = 0 } = {}) {
+  const { where, params } = buildFilter(filters);
+  const { rows } = await db.query(
+    `SELECT ${COLUMNS.join(', ')} FROM admin_audit_log ${where}
+     ORDER BY id DESC
+     LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+    [...params, limit, offset]
+  );
+  const { rows: count } = await db.query(
+    `SELECT COUNT(*)::int AS total FROM admin_audit_log ${where}`,
+    params
+  );
+  return { total: count[0].total, entries: rows };
+}
+
+function toCsv(entries) {
+  return csv.toCsv(COLUMNS, entries);
+}
+
+/**
+ * Recomputes every hash in id order and checks each entry points at the one
+ * before it. Reports the first entry where the chain breaks.
+ */
+async function verifyChain(db, batchSize = 1000) {
+  let prevHash = null;
+  let lastId = 0;
+  let checked = 0;
+  for (;;) {
+    const { rows } = await db.query(
+      `SELECT ${COLUMNS.join(', ')} FROM admin_audit_log WHERE id > $1 ORDER BY id LIMIT $2`,
+      [lastId, batchSize]
+    );
+    if (rows.length === 0) break;
+    for (const row of rows) {
+      if ((row.prev_hash || null) !== prevHash) {
+        return { ok: false, checked, broken_at: Number(row.id), reason: 'prev_hash does not match previous entry' };
+      }
+      if (entryHash(row) !== row.hash) {
+        return { ok: false, checked, broken_at: Number(row.id), reason: 'hash does not match entry contents' };
+      }
+      prevHash = row.hash;
+      lastId = row.id;
+      checked++;
+    }
+  }
+  return { ok: true, checked, head_hash: prevHash };
+}
+
+module.exports = {
+  ACTIONS,
+  LEGACY_ACTIONS,
+  record,
+  listEntries,
+  toCsv,
+  verifyChain,
+};
@@ -0,0 +1,29 @@
+// utils/coins.js
+// Coins users can hold a balance in, with the number of decimal places
+// amounts are stored and accepted with.
+const COIN_DECIMALS = {
+  USDT: 2,
+  BTC: 8,
+  ETH: 8,
+  SOL: 8,
+  XRP: 4,
+  TON: 4,
+};
+
+const WALLET_COINS = Object.keys(COIN_DECIMALS);
+
+function isWalletCoin(coin) {
+  return Object.prototype.hasOwnProperty.call(COIN_DECIMALS, coin);
+}
+
+function coinDecimals(coin) {
+  return isWalletCoin(coin) ? COIN_DECIMALS[coin] : 8;
+}
+
+// True when the amount has no more decimal places than the coin allows
+function fitsDecimals(amount, coin) {
+  if (typeof amount === 'string') return (amount.trim().split('.')[1] || '').length <= coinDecimals(coin);
+  return Number(Number(amount).toFixed(coinDecimals(coin))) === Number(amount);
+}
+
+module.exports = { COIN_DECIMALS, WALLET_COINS, isWalletCoin, coinDecimals, fitsDecimals };
@@ -0,0 +1,21 @@
+// utils/csv.js
+// CSV output for exports (audit log, earn statements).
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  let s = value instanceof Date ? value.toISOString()
+    : typeof value === 'object' ? JSON.stringify(value)
+    : String(value);
+  // Keep spreadsheet apps from evaluating cells as formulas
+  if (/^[=+\-@\t\r]/.test(s) && isNaN(Number(s))) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// Header line plus one line per row, in the order of `columns`
+function toCsv(columns, rows) {
+  const lines = [columns.join(',')];
+  for (const r of rows) lines.push(columns.map(c => csvCell(r[c])).join(','));
+  return lines.join('\n') + '\n';
+}
+
+module.exports = { csvCell, toCsv };
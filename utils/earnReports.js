@@ -0,0 +1,170 @@
+// utils/earnReports.js
+// Read-only views of a user's earn activity: stake history with payouts, a
+// per-coin summary, and the rows of the downloadable yield statement.
+const pool = require('../db');
+const savings = require('./savings');
+const { coinDecimals } = require('./coins');
+
+const round = (n, coin) => Number(Number(n || 0).toFixed(coinDecimals(coin)));
+
+// Full-term interest of a stake, in SQL
+const STAKE_INTEREST_SQL = 's.amount * (s.daily_rate / 100) * s.duration_days';
+
+/**
+ * All of a user's stakes, newest first, each with its payout once closed.
+ * @returns {Promise<{total: number, stakes: object[]}>}
+ */
+async function stakeHistory(userId, { status = null, coin = null, limit = 50, offset = 0 } = {}, db = pool) {
+  const where = `WHERE s.user_id = $1 AND ($2::text IS NULL OR s.status = $2) AND ($3::text IS NULL OR s.coin = $3)`;
+  const params = [userId, status, coin];
+  const { rows } = await db.query(
+    `SELECT s.id, s.coin, s.amount, s.apr, s.daily_rate, s.duration_days, s.start_date, s.end_date,
+            s.status, s.product_id, sp.name AS product_name, s.auto_renew, s.renewed_from, s.renewed_to,
+            s.closed_at, ${STAKE_INTEREST_SQL} AS term_interest,
+            p.trigger AS payout_trigger, p.interest AS payout_interest, p.penalty AS payout_penalty,
+            p.total AS payout_total, p.created_at AS paid_at
+     FROM stakes s
+     LEFT JOIN stake_payouts p ON p.stake_id = s.id
+     LEFT JOIN staking_products sp ON sp.id = s.product_id
+     ${where}
+     ORDER BY s.created_at DESC, s.id DESC
+     LIMIT $4 OFFSET $5`,
+    [...params, limit, offset]
+  );
+  const { rows: count } = await db.query(`SELECT COUNT(*)::int AS total FROM stakes s ${where}`, params);
+
+  const stakes = rows.map(({ payout_trigger, payout_interest, payout_penalty, payout_total, paid_at, term_interest, ...s }) => ({
+    ...s,
+    term_interest: round(term_interest, s.coin),
+    payout: payout_trigger ? {
+      trigger: payout_trigger,
+      interest: round(payout_interest, s.coin),
+      penalty: round(payout_penalty, s.coin),
+      total: round(payout_total, s.coin),
+      paid_at,
+    } : null,
+  }));
+  return { total: count[0].total, stakes };
+}
+
+/**
+ * Per coin: principal in active stakes, interest they will pay at maturity,
+ * interest earned so far from stakes and savings, penalties paid, and the
+ * savings balance with what it currently earns per day.
+ */
+async function summary(userId, db = pool) {
+  const byCoin = new Map();
+  const entry = (coin) => {
+    if (!byCoin.has(coin)) {
+      byCoin.set(coin, {
+        coin,
+        active_stakes: 0,
+        staked_principal: 0,
+        projected_interest: 0,
+        stake_interest_earned: 0,
+        penalties_paid: 0,
+        savings_balance: 0,
+        savings_interest_earned: 0,
+        savings_daily_interest: 0,
+      });
+    }
+    return byCoin.get(coin);
+  };
+
+  const { rows: active } = await db.query(
+    `SELECT s.coin, COUNT(*)::int AS n, SUM(s.amount) AS principal, SUM(${STAKE_INTEREST_SQL}) AS interest
+     FROM stakes s WHERE s.user_id = $1 AND s.status = 'ACTIVE'
+     GROUP BY s.coin`,
+    [userId]
+  );
+  for (const r of active) {
+    Object.assign(entry(r.coin), {
+      active_stakes: r.n,
+      staked_principal: round(r.principal, r.coin),
+      projected_interest: round(r.interest, r.coin),
+    });
+  }
+
+  const { rows: paid } = await db.query(
+    `SELECT coin, SUM(interest) AS interest, SUM(penalty) AS penalty
+     FROM stake_payouts WHERE user_id = $1
+     GROUP BY coin`,
+    [userId]
+  );
+  for (const r of paid) {
+    Object.assign(entry(r.coin), {
+      stake_interest_earned: round(r.interest, r.coin),
+      penalties_paid: round(r.penalty, r.coin),
+    });
+  }
+
+  for (const a of await savings.summary(userId, db)) {
+    const balance = Number(a.balance);
+    Object.assign(entry(a.coin), {
+      savings_balance: round(balance, a.coin),
+      savings_interest_earned: round(a.total_interest, a.coin),
+      savings_daily_interest: a.apr == null ? 0 : savings.dailyInterest(balance, a.apr, a.coin),
+    });
+  }
+
+  return [...byCoin.values()]
+    .map(e => ({ ...e, interest_earned: round(e.stake_interest_earned + e.savings_interest_earned, e.coin) }))
+    .sort((a, b) => a.coin.localeCompare(b.coin));
+}
+
+// --- Statement ---
+
+const STATEMENT_COLUMNS = ['date', 'type', 'coin', 'amount', 'interest', 'penalty', 'reference', 'description'];
+
+const PAYOUT_TYPES = {
+  auto: 'stake_matured',
+  manual: 'stake_redeemed',
+  renewal: 'stake_renewed',
+  early: 'stake_redeemed_early',
+};
+
+/**
+ * Every earn movement of a user with from <= date < to, oldest first.
+ * amount is the principal moved; interest and penalty are what was earned or
+ * kept on that line.
+ */
+async function statement(userId, { from, to }, db = pool) {
+  const { rows } = await db.query(
+    `SELECT * FROM (
+       SELECT s.created_at AS date, 'stake_opened' AS type, s.coin, s.amount, NULL::numeric AS interest,
+              NULL::numeric AS penalty, 'stake:' || s.id AS reference,
+              CONCAT_WS('; ', sp.name, 'APR ' || s.apr || '%', s.duration_days || ' days',
+                        CASE WHEN s.renewed_from IS NOT NULL THEN 'renewal of stake ' || s.renewed_from END) AS description
+       FROM stakes s
+       LEFT JOIN staking_products sp ON sp.id = s.product_id
+       WHERE s.user_id = $1
+       UNION ALL
+       SELECT p.created_at, p.trigger, p.coin, p.principal, p.interest, p.penalty, 'stake:' || p.stake_id,
+              CASE WHEN s.renewed_to IS NOT NULL THEN 'principal staked again as stake ' || s.renewed_to END
+       FROM stake_payouts p
+       JOIN stakes s ON s.id = p.stake_id
+       WHERE p.user_id = $1
+       UNION ALL
+       SELECT m.created_at, 'savings_' || m.direction, m.coin, m.amount, NULL, NULL, 'savings_movement:' || m.id, NULL
+       FROM savings_movements m
+       WHERE m.user_id = $1
+       UNION ALL
+       SELECT a.created_at, 'savings_interest', a.coin, NULL, a.amount, NULL, 'savings_accrual:' || a.id,
+              'for ' || a.accrual_date || CASE WHEN a.compounded THEN ', added to savings' ELSE ', paid to balance' END
+       FROM savings_accruals a
+       WHERE a.user_id = $1
+     ) e
+     WHERE e.date >= $2 AND e.date < $3
+     ORDER BY e.date, e.reference`,
+    [userId, from, to]
+  );
+  return rows.map(r => ({
+    ...r,
+    type: PAYOUT_TYPES[r.type] || r.type,
+    amount: r.amount == null ? null : round(r.amount, r.coin),
+    interest: r.interest == null ? null : round(r.interest, r.coin),
+    penalty: r.penalty == null || Number(r.penalty) === 0 ? null : round(r.penalty, r.coin),
+  }));
+}
+
+module.exports = { STATEMENT_COLUMNS, stakeHistory, summary, statement };
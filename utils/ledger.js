@@ -0,0 +1,155 @@
+// utils/ledger.js
+// Double-entry ledger. All balance changes go through postJournal(), which
+// records a journal + balanced postings and then updates the user_balances
+// projection in the same transaction.
+
+// Why a balance moved. Stored on ledger_journals.reason.
+const REASONS = {
+  OPENING_BALANCE: 'OPENING_BALANCE',
+  DEPOSIT: 'DEPOSIT',
+  WITHDRAWAL: 'WITHDRAWAL',
+  WITHDRAWAL_REVERSAL: 'WITHDRAWAL_REVERSAL',
+  WITHDRAWAL_HOLD: 'WITHDRAWAL_HOLD',
+  WITHDRAWAL_RELEASE: 'WITHDRAWAL_RELEASE',
+  TRADE_STAKE: 'TRADE_STAKE',
+  TRADE_PAYOUT: 'TRADE_PAYOUT',
+  TRADE_REFUND: 'TRADE_REFUND',
+  CONVERSION: 'CONVERSION',
+  STAKE_LOCK: 'STAKE_LOCK',
+  STAKE_REDEEM: 'STAKE_REDEEM',
+  STAKE_EARLY_REDEEM: 'STAKE_EARLY_REDEEM',
+  SAVINGS_DEPOSIT: 'SAVINGS_DEPOSIT',
+  SAVINGS_WITHDRAW: 'SAVINGS_WITHDRAW',
+  SAVINGS_INTEREST: 'SAVINGS_INTEREST',
+};
+
+// What row a journal belongs to. Stored on ledger_journals.ref_type.
+const REF_TYPES = {
+  DEPOSIT: 'deposit',
+  WITHDRAWAL: 'withdrawal',
+  TRADE: 'trade',
+  CONVERSION: 'conversion',
+  STAKE: 'stake',
+  SAVINGS_MOVEMENT: 'savings_movement',
+  SAVINGS_ACCRUAL: 'savings_accrual',
+};
+
+// User account name -> user_balances column it is projected into.
+// Accounts not listed here (e.g. 'staked', 'savings') live only in the ledger.
+const PROJECTIONS = {
+  available: 'balance',
+  frozen: 'frozen',
+};
+
+function userAccount(userId, account = 'available') {
+  return { userId, account };
+}
+
+function systemAccount(name) {
+  return { userId: null, account: `system:${name}` };
+}
+
+/**
+ * Records one journal and applies it to user_balances.
+ * Must be called with a client that is already inside a transaction.
+ *
+ * Each transfer moves `amount` of `coin` from one account to another, so every
+ * journal sums to zero per coin by construction (and the DB re-checks it).
+ *
+ * @param client pg client inside BEGIN
+ * @param {object} entry
+ * @param {string} entry.reason one of REASONS
+ * @param {string} entry.refType one of REF_TYPES
+ * @param {string|number} entry.refId id of the referenced row
+ * @param {number} [entry.userId] user the journal concerns
+ * @param {string} [entry.memo]
+ * @param {Array<{from, to, coin, amount}>} entry.transfers
+ * @returns {Promise<number>} journal id
+ */
+async function postJournal(client, { reason, refType, refId, userId = null, memo = null, transfers }) {
+  if (!Object.values(REASONS).includes(reason)) {
+    throw new Error(`Unknown ledger reason: ${reason}`);
+  }
+  const moves = (transfers || []).filter(t => Number(t.amount) !== 0);
+  if (moves.length === 0) throw new Error('Ledger journal needs at least one non-zero transfer');
+  for (const t of moves) {
+    const amt = Number(t.amount);
+    if (!isFinite(amt) || amt < 0) throw new Error(`Invalid ledger amount: ${t.amount}`);
+    if (!t.coin || !t.from || !t.to) throw new Error('Ledger transfer needs coin, from and to');
+  }
+
+  const { rows } = await client.query(
+    `INSERT INTO ledger_journals (reason, ref_type, ref_id, user_id, memo)
+     VALUES ($1, $2, $3, $4, $5) RETURNING id`,
+    [reason, refType, refId == null ? null : String(refId), userId, memo]
+  );
+  const journalId = rows[0].id;
+
+  const postings = [];
+  for (const t of moves) {
+    postings.push({ ...t.from, coin: t.coin, amount: -Number(t.amount) });
+    postings.push({ ...t.to, coin: t.coin, amount: Number(t.amount) });
+  }
+
+  for (const p of postings) {
+    await client.query(
+      `INSERT INTO ledger_postings (journal_id, user_id, account, coin, amount)
+       VALUES ($1, $2, $3, $4, $5)`,
+      [journalId, p.userId, p.account, p.coin, p.amount]
+    );
+    const column = p.userId != null && PROJECTIONS[p.account];
+    if (column) {
+      // UPDATE first: an INSERT ... ON CONFLICT would trip the non-negative
+      // CHECK on the candidate row for debits even when the balance covers it
+      const { rowCount } = await client.query(
+        `UPDATE user_balances SET ${column} = ${column} + $3 WHERE user_id = $1 AND coin = $2`,
+        [p.userId, p.coin, p.amount]
+      );
+      if (rowCount === 0) {
+        await client.query(
+          `INSERT INTO user_balances (user_id, coin, ${column})
+           VALUES ($1, $2, $3)
+           ON CONFLICT (user_id, coin)
+           DO UPDATE SET ${column} = user_balances.${column} + EXCLUDED.${column}`,
+          [p.userId, p.coin, p.amount]
+        );
+      }
+    }
+  }
+
+  return journalId;
+}
+
+// True when a posting was rejected by the non-negative balance CHECK on user_balances.
+function isInsufficientFunds(err) {
+  return !!err && err.code === '23514' &&
+    ['user_balances_balance_non_negative', 'user_balances_frozen_non_negative'].includes(err.constraint);
+}
+
+// Ledger-derived balance of every projected user account, keyed like user_balances.
+async function projectedBalances(db, userId = null) {
+  const { rows } = await db.query(
+    `SELECT user_id, account, coin, balance
+     FROM ledger_account_balances
+     WHERE user_id IS NOT NULL AND account = ANY($1)
+       AND ($2::bigint IS NULL OR user_id = $2)`,
+    [Object.keys(PROJECTIONS), userId]
+  );
+  return rows.map(r => ({
+    user_id: r.user_id,
+    coin: r.coin,
+    column: PROJECTIONS[r.account],
+    balance: r.balance,
+  }));
+}
+
+module.exports = {
+  REASONS,
+  REF_TYPES,
+  PROJECTIONS,
+  userAccount,
+  systemAccount,
+  postJournal,
+  isInsufficientFunds,
+  projectedBalances,
+};
@@ -0,0 +1,167 @@
+// utils/notificationTemplates.js
+// Email templates for utils/notifications.js. Each template turns an outbox
+// payload into { subject, text, html }. Payload values are user-controlled in
+// places (usernames, addresses), so everything interpolated into HTML goes
+// through escapeHtml().
+
+const BRAND = 'NovaChain';
+
+function escapeHtml(value) {
+  return String(value == null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+const greeting = (d) => `Hello${d.username ? ` ${d.username}` : ''},`;
+
+// Wraps body paragraphs (already escaped) in the shared HTML layout
+function layout(title, paragraphs) {
+  return `<!DOCTYPE html>
+<html>
+  <body style="margin:0;padding:24px;background:#f4f5f7;font-family:Arial,Helvetica,sans-serif;color:#1f2937;">
+    <table role="presentation" width="100%" style="max-width:560px;margin:0 auto;background:#ffffff;border-radius:8px;padding:24px;">
+      <tr><td>
+        <h2 style="margin:0 0 16px;font-size:20px;">${escapeHtml(title)}</h2>
+        ${paragraphs.map(p => `<p style="margin:0 0 12px;line-height:1.5;">${p}</p>`).join('\n        ')}
+        <p style="margin:24px 0 0;font-size:12px;color:#6b7280;">This is an automated message from ${BRAND}. Please do not reply.</p>
+      </td></tr>
+    </table>
+  </body>
+</html>`;
+}
+
+function message(subject, title, lines, htmlLines = lines.map(escapeHtml)) {
+  return {
+    subject,
+    text: `${lines.join('\n\n')}\n\n— ${BRAND}`,
+    html: layout(title, htmlLines),
+  };
+}
+
+const OTP_COPY = {
+  verify_email: { subject: `${BRAND} OTP Verification`, title: 'Verify your email', use: 'verify your email' },
+  reset_password: { subject: `${BRAND} Password Reset OTP`, title: 'Reset your password', use: 'reset your password' },
+  withdrawal: { subject: `${BRAND} withdrawal confirmation code`, title: 'Confirm your withdrawal', use: 'confirm your withdrawal' },
+  withdrawal_address: { subject: `${BRAND} address book confirmation code`, title: 'Confirm your address book change', use: 'confirm a change to your withdrawal address book' },
+};
+
+const WITHDRAWAL_COPY = {
+  under_review: 'is being reviewed',
+  approved: 'has been approved and is being processed',
+  broadcast: 'has been sent to the network',
+  completed: 'has completed',
+  rejected: 'has been rejected. The reserved amount has been returned to your balance',
+  cancelled: 'has been cancelled. The reserved amount has been returned to your balance',
+  failed: 'could not be sent. The amount has been returned to your balance',
+};
+
+
+const TEMPLATES = {
+  // { username, purpose, code, expires_in }
+  otp: {
+    // The code is removed from the outbox row once the email is delivered
+    sensitive: true,
+    render(d) {
+      const copy = OTP_COPY[d.purpose] || OTP_COPY.verify_email;
+      const minutes = Math.round(Number(d.expires_in) / 60);
+      const lines = [
+        greeting(d),
+        `Use this code to ${copy.use}: ${d.code}`,
+        `It expires in ${minutes} minutes. If you did not request it, you can ignore this email` +
+          (d.purpose === 'withdrawal' || d.purpose === 'withdrawal_address' ? ' — but change your password now.' : '.'),
+      ];
+      const html = lines.map(escapeHtml);
+      html[1] = `Use this code to ${escapeHtml(copy.use)}:<br><strong style="font-size:24px;letter-spacing:4px;">${escapeHtml(d.code)}</strong>`;
+      return message(copy.subject, copy.title, lines, html);
+    },
+  },
+
+  // { username, deposit_id, coin, amount }
+  deposit_credited: {
+    render(d) {
+      return message(`${BRAND}: your ${d.coin} deposit was credited`, 'Deposit credited', [
+        greeting(d),
+        `Your deposit of ${d.amount} ${d.coin} (reference #${d.deposit_id}) has been credited to your balance.`,
+      ]);
+    },
+  },
+
+  // { username, withdrawal_id, coin, amount, address, status, reason, tx_hash }
+  withdrawal_status: {
+    render(d) {
+      const what = WITHDRAWAL_COPY[d.status] || `is now ${d.status}`;
+      const title = String(d.status).replace(/_/g, ' ');
+      const lines = [
+        greeting(d),
+        `Your withdrawal of ${d.amount} ${d.coin} to ${d.address} (reference #${d.withdrawal_id}) ${what}.`,
+      ];
+      if (d.reason && (d.status === 'rejected' || d.status === 'failed')) lines.push(`Reason: ${d.reason}`);
+      if (d.tx_hash) lines.push(`Transaction: ${d.tx_hash}`);
+      return message(`${BRAND}: withdrawal ${title}`, `Withdrawal ${title}`, lines);
+    },
+  },
+
+  // { username, status }
+  kyc_decision: {
+    render(d) {
+      const approved = d.status === 'approved';
+      return message(
+        `${BRAND}: identity verification ${approved ? 'approved' : 'rejected'}`,
+        approved ? 'Verification approved' : 'Verification rejected',
+        [
+          greeting(d),
+          approved
+            ? 'Your identity verification has been approved. All account features are now available.'
+            : 'We could not approve your identity verification. Please check your documents and submit them again.',
+        ]
+      );
+    },
+  },
+
+  // { username, stake_id, coin, principal, profit, total }
+  stake_matured: {
+    render(d) {
+      return message(`${BRAND}: your ${d.coin} stake has matured`, 'Stake matured', [
+        greeting(d),
+        `Your ${d.coin} stake #${d.stake_id} has matured. ${d.total} ${d.coin} ` +
+          `(${d.principal} principal + ${d.profit} interest) has been paid to your balance.`,
+      ]);
+    },
+  },
+
+  // { username, stake_id, new_stake_id, coin, principal, profit, apr, end_date }
+  stake_renewed: {
+    render(d) {
+      return message(`${BRAND}: your ${d.coin} stake has been renewed`, 'Stake renewed', [
+        greeting(d),
+        `Your ${d.coin} stake #${d.stake_id} has matured and ${d.profit} ${d.coin} interest has been paid to your balance.`,
+        `The ${d.principal} ${d.coin} principal has been staked again as #${d.new_stake_id} at ${d.apr}% APR ` +
+          `until ${d.end_date}. You can turn off auto-renew at any time before then.`,
+      ]);
+    },
+  },
+
+  // { username, label, coin, network, address, memo, usable_at }
+  withdrawal_address_added: {
+    render(d) {
+      return message(`${BRAND}: a withdrawal address was added`, 'Withdrawal address added', [
+        greeting(d),
+        `"${d.label}" was added to your withdrawal address book: ${d.address}` +
+          `${d.memo ? ` (memo ${d.memo})` : ''} for ${d.coin} on ${d.network}.`,
+        `In whitelist-only mode it can be used for withdrawals from ${new Date(d.usable_at).toUTCString()}.`,
+        'If you did not add it, change your password now and contact support.',
+      ]);
+    },
+  },
+};
+
+function render(template, payload) {
+  const t = TEMPLATES[template];
+  if (!t) throw new Error(`Unknown notification template: ${template}`);
+  return t.render(payload || {});
+}
+
+module.exports = { TEMPLATES, render, escapeHtml };
@@ -0,0 +1,90 @@
+// utils/notificationTransports.js
+// Where rendered notifications go. A transport is { name, send(message) }
+// where message is { to, subject, text, html } and send() resolves once the
+// message has been handed off (or rejects, and the outbox retries it).
+//
+// NOTIFY_TRANSPORT picks one:
+//   smtp    - nodemailer; SMTP_HOST/SMTP_PORT/SMTP_USER/SMTP_PASS, or the Gmail
+//             account in EMAIL_USER/EMAIL_PASS when SMTP_HOST is not set
+//   console - prints messages to stdout (local development)
+//   file    - appends one JSON line per message to NOTIFY_FILE (tests)
+// Without it, smtp when EMAIL_USER or SMTP_HOST is set. console and file are
+// only used when asked for, never as a fallback (they would put one-time
+// codes in the logs), and are refused with NODE_ENV=production.
+const fs = require('fs');
+const path = require('path');
+
+function smtpTransport() {
+  const nodemailer = require('nodemailer');
+  const transporter = process.env.SMTP_HOST
+    ? nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: Number(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER
+          ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+          : undefined,
+      })
+    : nodemailer.createTransport({
+        service: 'gmail',
+        auth: {
+          user: process.env.EMAIL_USER,
+          pass: process.env.EMAIL_PASS,
+        },
+      });
+  const from = process.env.NOTIFY_FROM || process.env.SMTP_USER || process.env.EMAIL_USER;
+  return {
+    name: 'smtp',
+    send: ({ to, subject, text, html }) => transporter.sendMail({ from, to, subject, text, html }),
+  };
+}
+
+function consoleTransport() {
+  return {
+    name: 'console',
+    async send({ to, subject, text }) {
+      console.log(`📧 [notification] to=${to} subject="${subject}"\n${text}`);
+    },
+  };
+}
+
+function fileTransport(file = process.env.NOTIFY_FILE || path.join(process.cwd(), 'notifications.log')) {
+  return {
+    name: 'file',
+    file,
+    async send(message) {
+      const line = JSON.stringify({ sent_at: new Date().toISOString(), ...message });
+      await fs.promises.appendFile(file, line + '\n');
+    },
+  };
+}
+
+const FACTORIES = {
+  smtp: smtpTransport,
+  console: consoleTransport,
+  file: fileTransport,
+};
+
+// Transports that do not reach the user
+const DEVELOPMENT_ONLY = ['console', 'file'];
+
+function fromEnv() {
+  const name = process.env.NOTIFY_TRANSPORT ||
+    (process.env.SMTP_HOST || process.env.EMAIL_USER ? 'smtp' : null);
+  if (!name) {
+    throw new Error('No notification transport configured: set SMTP_HOST or EMAIL_USER (or NOTIFY_TRANSPORT=console locally)');
+  }
+  const factory = FACTORIES[name];
+  if (!factory) throw new Error(`Unknown NOTIFY_TRANSPORT: ${name}`);
+  if (process.env.NODE_ENV === 'production' && DEVELOPMENT_ONLY.includes(name)) {
+    throw new Error(`NOTIFY_TRANSPORT=${name} is not allowed in production`);
+  }
+  return factory();
+}
+
+module.exports = {
+  smtpTransport,
+  consoleTransport,
+  fileTransport,
+  fromEnv,
+};
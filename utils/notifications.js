@@ -0,0 +1,144 @@
+// utils/notifications.js
+// User notifications through a transactional outbox. enqueue() only inserts a
+// row, using the caller's client, so a notification is recorded if and only
+// if the state change it describes commits. jobs/notificationOutbox.js renders
+// and delivers queued rows and retries failures with backoff.
+const pool = require('../db');
+const { TEMPLATES: RENDERERS, render } = require('./notificationTemplates');
+const transports = require('./notificationTransports');
+
+// Stored on notification_outbox.template
+const TEMPLATES = {
+  OTP: 'otp',
+  DEPOSIT_CREDITED: 'deposit_credited',
+  WITHDRAWAL_STATUS: 'withdrawal_status',
+  KYC_DECISION: 'kyc_decision',
+  STAKE_MATURED: 'stake_matured',
+  STAKE_RENEWED: 'stake_renewed',
+  WITHDRAWAL_ADDRESS_ADDED: 'withdrawal_address_added',
+};
+
+// Retry delay after the nth failed attempt: 30s, 1m, 2m, ... capped at 1h
+const BACKOFF_BASE_SECONDS = 30;
+const BACKOFF_MAX_SECONDS = 60 * 60;
+
+let transport = null;
+
+function getTransport() {
+  if (!transport) transport = transports.fromEnv();
+  return transport;
+}
+
+// Swaps the delivery transport (e.g. transports.fileTransport() in tests)
+function setTransport(t) {
+  transport = t;
+}
+
+/**
+ * Queues a notification for a user.
+ * @param db pg client inside the state change's transaction (or the pool)
+ * @param {object} n
+ * @param {number} n.userId recipient user; their email and username are looked up
+ * @param {string} n.template one of TEMPLATES
+ * @param {object} [n.data] template payload
+ * @param {string} [n.to] email address, skips the user lookup
+ * @param {string} [n.dedupeKey] a second enqueue with the same key is ignored
+ * @returns {Promise<number|null>} outbox id, or null when skipped
+ */
+async function enqueue(db, { userId = null, template, data = {}, to = null, dedupeKey = null }) {
+  if (!Object.values(TEMPLATES).includes(template)) {
+    throw new Error(`Unknown notification template: ${template}`);
+  }
+  let recipient = to;
+  const payload = { ...data };
+  if (userId != null && (!recipient || payload.username === undefined)) {
+    const { rows } = await db.query('SELECT email, username FROM users WHERE id = $1', [userId]);
+    if (rows[0]) {
+      recipient = recipient || rows[0].email;
+      if (payload.username === undefined) payload.username = rows[0].username;
+    }
+  }
+  if (!recipient) return null;
+
+  const { rows } = await db.query(
+    `INSERT INTO notification_outbox (user_id, recipient, template, payload, dedupe_key)
+     VALUES ($1, $2, $3, $4, $5)
+     ON CONFLICT (dedupe_key) DO NOTHING
+     RETURNING id`,
+    [userId, recipient, template, JSON.stringify(payload), dedupeKey]
+  );
+  return rows[0] ? rows[0].id : null;
+}
+
+function backoffSeconds(attempts) {
+  return Math.min(BACKOFF_BASE_SECONDS * 2 ** Math.max(attempts - 1, 0), BACKOFF_MAX_SECONDS);
+}
+
+/**
+ * Delivers one locked outbox row and records the outcome on it.
+ * A failure schedules a retry, or marks the row failed after max_attempts.
+ * @param client pg client inside a transaction holding the row lock
+ * @returns {Promise<boolean>} true when sent
+ */
+async function deliver(client, row) {
+  const attempts = row.attempts + 1;
+  try {
+    const message = render(row.template, row.payload);
+    await getTransport().send({ to: row.recipient, ...message });
+  } catch (err) {
+    const permanent = !RENDERERS[row.template];
+    const giveUp = permanent || attempts >= row.max_attempts;
+    await client.query(
+      `UPDATE notification_outbox
+       SET attempts = $2, last_error = $3, status = $4,
+           next_attempt_at = NOW() + make_interval(secs => $5),
+           payload = CASE WHEN $6 THEN '{}'::jsonb ELSE payload END
+       WHERE id = $1`,
+      [row.id, attempts, String(err && err.message || err).slice(0, 1000),
+       giveUp ? 'failed' : 'pending', backoffSeconds(attempts),
+       giveUp && !!(RENDERERS[row.template] || {}).sensitive]
+    );
+    return false;
+  }
+  // One-time codes are not kept around once they have been delivered
+  await client.query(
+    `UPDATE notification_outbox
+     SET status = 'sent', attempts = $2, sent_at = NOW(), last_error = NULL,
+         payload = CASE WHEN $3 THEN '{}'::jsonb ELSE payload END
+     WHERE id = $1`,
+    [row.id, attempts, !!RENDERERS[row.template].sensitive]
+  );
+  return true;
+}
+
+// Locks a due outbox row if no other worker holds it
+async function lockDue(client, id) {
+  const { rows } = await client.query(
+    `SELECT * FROM notification_outbox
+     WHERE id = $1 AND status = 'pending' AND next_attempt_at <= NOW()
+     FOR UPDATE SKIP LOCKED`,
+    [id]
+  );
+  return rows[0] || null;
+}
+
+async function dueIds(limit, db = pool) {
+  const { rows } = await db.query(
+    `SELECT id FROM notification_outbox
+     WHERE status = 'pending' AND next_attempt_at <= NOW()
+     ORDER BY next_attempt_at, id
+     LIMIT $1`,
+    [limit]
+  );
+  return rows.map(r => r.id);
+}
+
+module.exports = {
+  TEMPLATES,
+  enqueue,
+  deliver,
+  lockDue,
+  dueIds,
+  getTransport,
+  setTransport,
+};
@@ -0,0 +1,148 @@
+// utils/otp.js
+// Email one-time codes, one live code per user and purpose.
+//   issue()  -> new 6-digit code (respecting a resend cooldown)
+//   verify() -> checks and consumes it; wrong guesses are counted
+const crypto = require('crypto');
+const pool = require('../db');
+
+// What a code is for. Stored on otp_codes.purpose.
+const PURPOSES = {
+  VERIFY_EMAIL: 'verify_email',
+  RESET_PASSWORD: 'reset_password',
+  WITHDRAWAL: 'withdrawal',
+  WITHDRAWAL_ADDRESS: 'withdrawal_address',
+};
+
+const POLICIES = {
+  [PURPOSES.VERIFY_EMAIL]: { ttlSeconds: 15 * 60, maxAttempts: 5, cooldownSeconds: 60 },
+  [PURPOSES.RESET_PASSWORD]: { ttlSeconds: 10 * 60, maxAttempts: 5, cooldownSeconds: 60 },
+  [PURPOSES.WITHDRAWAL]: { ttlSeconds: 5 * 60, maxAttempts: 3, cooldownSeconds: 60 },
+  [PURPOSES.WITHDRAWAL_ADDRESS]: { ttlSeconds: 5 * 60, maxAttempts: 3, cooldownSeconds: 60 },
+};
+
+// Why verify() failed
+const FAILURES = {
+  NOT_FOUND: 'not_found',
+  EXPIRED: 'expired',
+  TOO_MANY_ATTEMPTS: 'too_many_attempts',
+  INVALID: 'invalid',
+};
+
+// Keyed hash: a leaked table must not let anyone try all 10^6 codes offline
+function hashCode(userId, purpose, code) {
+  const key = process.env.OTP_SECRET || process.env.JWT_SECRET;
+  if (!key) throw new Error('OTP_SECRET (or JWT_SECRET) must be set');
+  return crypto.createHmac('sha256', key).update(`${userId}:${purpose}:${code}`).digest('hex');
+}
+
+function policyFor(purpose) {
+  const policy = POLICIES[purpose];
+  if (!policy) throw new Error(`Unknown OTP purpose: ${purpose}`);
+  return policy;
+}
+
+/**
+ * Creates a new code, replacing any previous one for the same purpose.
+ * An unused code cannot be replaced until the resend cooldown has passed.
+ * @returns {Promise<{code: string, expiresIn: number}|{retryAfter: number}>}
+ *   retryAfter (seconds) when the last code was sent too recently
+ */
+async function issue(userId, purpose, db = pool) {
+  const policy = policyFor(purpose);
+  const code = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+  const { rows } = await db.query(
+    `INSERT INTO otp_codes (user_id, purpose, code_hash, max_attempts, expires_at)
+     VALUES ($1, $2, $3, $4, NOW() + make_interval(secs => $5))
+     ON CONFLICT (user_id, purpose) DO UPDATE
+       SET code_hash = EXCLUDED.code_hash, attempts = 0, max_attempts = EXCLUDED.max_attempts,
+           created_at = NOW(), expires_at = EXCLUDED.expires_at, consumed_at = NULL
+       WHERE otp_codes.consumed_at IS NOT NULL
+          OR otp_codes.created_at <= NOW() - make_interval(secs => $6)
+     RETURNING user_id`,
+    [userId, purpose, hashCode(userId, purpose, code), policy.maxAttempts, policy.ttlSeconds, policy.cooldownSeconds]
+  );
+  if (rows.length === 0) {
+    const { rows: last } = await db.query(
+      `SELECT CEIL(EXTRACT(EPOCH FROM created_at + make_interval(secs => $3) - NOW()))::int AS wait
+       FROM otp_codes WHERE user_id = $1 AND purpose = $2`,
+      [userId, purpose, policy.cooldownSeconds]
+    );
+    return { retryAfter: Math.max(1, last[0] ? last[0].wait : 1) };
+  }
+  return { code, expiresIn: policy.ttlSeconds };
+}
+
+/**
+ * Checks a code. A correct code is consumed; a wrong one uses up an attempt.
+ * @returns {Promise<{ok: true}|{ok: false, reason: string, attemptsLeft?: number}>}
+ */
+async function verify(userId, purpose, code) {
+  policyFor(purpose);
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const { rows } = await client.query(
+      `SELECT *, expires_at <= NOW() AS expired FROM otp_codes
+       WHERE user_id = $1 AND purpose = $2 AND consumed_at IS NULL
+       FOR UPDATE`,
+      [userId, purpose]
+    );
+    const otp = rows[0];
+    let result;
+    if (!otp) {
+      result = { ok: false, reason: FAILURES.NOT_FOUND };
+    } else if (otp.expired) {
+      result = { ok: false, reason: FAILURES.EXPIRED };
+    } else if (otp.attempts >= otp.max_attempts) {
+      result = { ok: false, reason: FAILURES.TOO_MANY_ATTEMPTS };
+    } else {
+      const given = Buffer.from(hashCode(userId, purpose, String(code || '').trim()));
+      if (crypto.timingSafeEqual(given, Buffer.from(otp.code_hash))) {
+        await client.query(
+          'UPDATE otp_codes SET consumed_at = NOW() WHERE user_id = $1 AND purpose = $2',
+          [userId, purpose]
+        );
+        result = { ok: true };
+      } else {
+        await client.query(
+          'UPDATE otp_codes SET attempts = attempts + 1 WHERE user_id = $1 AND purpose = $2',
+          [userId, purpose]
+        );
+        const attemptsLeft = otp.max_attempts - otp.attempts - 1;
+        result = attemptsLeft > 0
+          ? { ok: false, reason: FAILURES.INVALID, attemptsLeft }
+          : { ok: false, reason: FAILURES.TOO_MANY_ATTEMPTS };
+      }
+    }
+    await client.query('COMMIT');
+    return result;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// Maps a failed verify() to the HTTP status and message the routes return
+function failureResponse(result) {
+  switch (result.reason) {
+    case FAILURES.TOO_MANY_ATTEMPTS:
+      return { status: 429, body: { error: 'Too many wrong attempts, please request a new code' } };
+    case FAILURES.EXPIRED:
+      return { status: 400, body: { error: 'Code expired, please request a new one' } };
+    case FAILURES.INVALID:
+      return { status: 400, body: { error: 'Invalid OTP', attempts_left: result.attemptsLeft } };
+    default:
+      return { status: 400, body: { error: 'Invalid or expired OTP' } };
+  }
+}
+
+module.exports = {
+  PURPOSES,
+  POLICIES,
+  FAILURES,
+  issue,
+  verify,
+  failureResponse,
+};
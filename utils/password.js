@@ -0,0 +1,56 @@
+// utils/password.js
+// The one place passwords are hashed and checked. Every route that stores or
+// compares a user/admin password goes through here.
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const pool = require('../db');
+
+const BCRYPT_ROUNDS = Number(process.env.BCRYPT_ROUNDS) || 12;
+
+function isHashed(stored) {
+  return typeof stored === 'string' && /^\$2[aby]\$\d{2}\$/.test(stored);
+}
+
+function hashPassword(plain) {
+  return bcrypt.hash(String(plain), BCRYPT_ROUNDS);
+}
+
+/**
+ * Checks a password against what is stored.
+ * Legacy rows may still hold plaintext; those match by constant-time compare
+ * and are flagged for rehashing, as are hashes with fewer rounds than today.
+ * @returns {Promise<{match: boolean, needsRehash: boolean}>}
+ */
+async function verifyPassword(plain, stored) {
+  if (!stored || plain == null) return { match: false, needsRehash: false };
+  if (isHashed(stored)) {
+    const match = await bcrypt.compare(String(plain), stored);
+    return { match, needsRehash: match && bcrypt.getRounds(stored) < BCRYPT_ROUNDS };
+  }
+  const a = Buffer.from(String(plain));
+  const b = Buffer.from(String(stored));
+  const match = a.length === b.length && crypto.timingSafeEqual(a, b);
+  return { match, needsRehash: match };
+}
+
+// Verifies a customer's password and, on success, upgrades a legacy
+// plaintext or weak hash in place.
+async function verifyUserPassword(userId, plain, stored, db = pool) {
+  const { match, needsRehash } = await verifyPassword(plain, stored);
+  if (match && needsRehash) {
+    // Only replace the exact value we checked, in case it changed meanwhile
+    await db.query(
+      'UPDATE users SET password = $1 WHERE id = $2 AND password = $3',
+      [await hashPassword(plain), userId, stored]
+    );
+  }
+  return match;
+}
+
+module.exports = {
+  BCRYPT_ROUNDS,
+  isHashed,
+  hashPassword,
+  verifyPassword,
+  verifyUserPassword,
+};
@@ -0,0 +1,120 @@
+// utils/payoutAdapters.js
+// What actually sends an approved withdrawal on chain (see utils/payouts.js).
+// An adapter is { name, build, sign, broadcast, confirm }:
+//
+//   build(withdrawal)      -> unsigned transaction (any JSON value) paying
+//                             withdrawal.net_amount to address (+ memo)
+//   sign(unsigned)         -> { tx_hash, raw }, stored before broadcasting so a
+//                             crash never leads to signing a second payment
+//   broadcast(signed)      -> resolves once the network accepted it; must be
+//                             safe to repeat for the same signed transaction.
+//                             Rejects with err.permanent = true when the network
+//                             refused it for good (the withdrawal then fails).
+//   confirm(signed, since) -> { confirmations, failed } where failed is a
+//                             reason when the transaction was dropped or
+//                             reverted; since is when it was broadcast
+//
+// PAYOUT_ADAPTER picks the adapter for every network and PAYOUT_ADAPTER_<NETWORK>
+// (e.g. PAYOUT_ADAPTER_BTC) overrides it for one; 'none' or unset leaves that
+// network's approved withdrawals to be paid by hand.
+//   simulator - deterministic local chain, for development and tests
+const crypto = require('crypto');
+
+// Confirmations before a withdrawal counts as completed
+const REQUIRED_CONFIRMATIONS = {
+  BTC: 2,
+  ERC20: 12,
+  TRC20: 19,
+  SOL: 1,
+  XRP: 1,
+  TON: 1,
+};
+
+/**
+ * Local stand-in for a chain. The tx hash is a hash of the transaction, and a
+ * broadcast transaction gains one confirmation every blockMs from the moment
+ * it was broadcast, so the same inputs always give the same results.
+ * @param {object} [opts]
+ * @param {number} [opts.blockMs] simulated block time
+ * @param {string[]} [opts.rejectAddresses] destinations the "network" refuses
+ * @param {() => number} [opts.now] clock, in ms
+ */
+function simulatorAdapter({
+  blockMs = Number(process.env.PAYOUT_SIMULATOR_BLOCK_MS) || 2000,
+  rejectAddresses = (process.env.PAYOUT_SIMULATOR_REJECT || '').split(',').map(s => s.trim()).filter(Boolean),
+  now = () => Date.now(),
+} = {}) {
+  return {
+    name: 'simulator',
+    build(w) {
+      return {
+        network: w.network,
+        coin: w.coin,
+        to: w.address,
+        memo: w.memo || null,
+        amount: String(w.net_amount ?? w.amount),
+        reference: `withdrawal:${w.id}`,
+      };
+    },
+    sign(unsigned) {
+      const raw = Buffer.from(JSON.stringify(unsigned)).toString('base64');
+      const hash = crypto.createHash('sha256').update(`simulator:${raw}`).digest('hex');
+      return { tx_hash: unsigned.network === 'ERC20' ? `0x${hash}` : hash, raw };
+    },
+    async broadcast(signed) {
+      const { to } = JSON.parse(Buffer.from(signed.raw, 'base64').toString());
+      if (rejectAddresses.includes(to)) {
+        const err = new Error('Simulated network rejected the transaction');
+        err.permanent = true;
+        throw err;
+      }
+    },
+    async confirm(signed, since) {
+      const elapsed = now() - new Date(since).getTime();
+      return { confirmations: Math.max(0, Math.floor(elapsed / blockMs)), failed: null };
+    },
+  };
+}
+
+const FACTORIES = {
+  simulator: simulatorAdapter,
+};
+
+// Network -> adapter, built from the environment
+function fromEnv(networks = Object.keys(REQUIRED_CONFIRMATIONS)) {
+  const adapters = {};
+  const built = {};
+  for (const network of networks) {
+    const name = process.env[`PAYOUT_ADAPTER_${network}`] || process.env.PAYOUT_ADAPTER || 'none';
+    if (name === 'none') continue;
+    const factory = FACTORIES[name];
+    if (!factory) throw new Error(`Unknown payout adapter for ${network}: ${name}`);
+    adapters[network] = built[name] || (built[name] = factory());
+  }
+  return adapters;
+}
+
+let registry = null;
+
+function getAdapters() {
+  if (!registry) registry = fromEnv();
+  return registry;
+}
+
+// Swaps the adapters (e.g. { BTC: simulatorAdapter({ blockMs: 10 }) } in tests)
+function setAdapters(adapters) {
+  registry = adapters;
+}
+
+function adapterFor(network) {
+  return (network && getAdapters()[network]) || null;
+}
+
+module.exports = {
+  REQUIRED_CONFIRMATIONS,
+  simulatorAdapter,
+  fromEnv,
+  getAdapters,
+  setAdapters,
+  adapterFor,
+};
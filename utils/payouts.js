@@ -0,0 +1,173 @@
+// utils/payouts.js
+// Sends approved withdrawals through their payout adapter
+// (utils/payoutAdapters.js), one step per call:
+//
+//   queued    -> build and sign; the signed transaction and its hash are
+//                saved before anything is sent
+//   signed    -> broadcast; the withdrawal becomes 'broadcast'. A permanent
+//                rejection fails (and refunds) it; other errors are retried
+//                with backoff and, after MAX_BROADCAST_ATTEMPTS, the payout is
+//                held for someone to look at
+//   broadcast -> poll confirmations; completes the withdrawal once it has
+//                enough, fails it if the transaction was dropped
+//
+// Rows are claimed with FOR UPDATE SKIP LOCKED (see jobs/payoutQueue.js).
+const pool = require('../db');
+const withdrawals = require('./withdrawals');
+const payoutAdapters = require('./payoutAdapters');
+
+const STATES = {
+  QUEUED: 'queued',
+  SIGNED: 'signed',
+  BROADCAST: 'broadcast',
+  CONFIRMED: 'confirmed',
+  FAILED: 'failed',
+  HELD: 'held',
+};
+
+const ACTIVE = [STATES.QUEUED, STATES.SIGNED, STATES.BROADCAST];
+
+const MAX_BROADCAST_ATTEMPTS = 5;
+const BACKOFF_BASE_SECONDS = 30;
+const BACKOFF_MAX_SECONDS = 30 * 60;
+const CONFIRM_POLL_SECONDS = Number(process.env.PAYOUT_CONFIRM_POLL_SECONDS) || 15;
+
+function backoffSeconds(attempts) {
+  return Math.min(BACKOFF_BASE_SECONDS * 2 ** Math.max(attempts - 1, 0), BACKOFF_MAX_SECONDS);
+}
+
+const errorText = (err) => String((err && err.message) || err).slice(0, 1000);
+
+async function dueIds(limit, db = pool) {
+  const { rows } = await db.query(
+    `SELECT p.withdrawal_id FROM withdrawal_payouts p
+     JOIN withdrawals w ON w.id = p.withdrawal_id
+     WHERE p.state = ANY($1) AND p.next_attempt_at <= NOW() AND w.status IN ('approved', 'broadcast')
+     ORDER BY p.next_attempt_at
+     LIMIT $2`,
+    [ACTIVE, limit]
+  );
+  return rows.map(r => r.withdrawal_id);
+}
+
+// Locks a due payout and its withdrawal, or null if taken or no longer due
+async function lockDue(client, withdrawalId) {
+  const { rows } = await client.query(
+    `SELECT p.* FROM withdrawal_payouts p
+     JOIN withdrawals w ON w.id = p.withdrawal_id
+     WHERE p.withdrawal_id = $1 AND p.state = ANY($2) AND p.next_attempt_at <= NOW()
+       AND w.status IN ('approved', 'broadcast')
+     FOR UPDATE OF p, w SKIP LOCKED`,
+    [withdrawalId, ACTIVE]
+  );
+  if (!rows[0]) return null;
+  const { rows: w } = await client.query('SELECT * FROM withdrawals WHERE id = $1', [withdrawalId]);
+  return { payout: rows[0], withdrawal: w[0] };
+}
+
+async function update(client, withdrawalId, fields) {
+  const keys = Object.keys(fields);
+  const sets = keys.map((k, i) => `${k} = $${i + 2}`);
+  await client.query(
+    `UPDATE withdrawal_payouts SET ${sets.join(', ')}, updated_at = NOW() WHERE withdrawal_id = $1`,
+    [withdrawalId, ...keys.map(k => fields[k])]
+  );
+}
+
+async function sign(client, adapter, payout, withdrawal) {
+  const signed = await adapter.sign(await adapter.build(withdrawal));
+  await update(client, withdrawal.id, {
+    state: STATES.SIGNED, signed_tx: JSON.stringify(signed), tx_hash: signed.tx_hash, last_error: null,
+  });
+  await client.query('UPDATE withdrawals SET tx_hash = $2 WHERE id = $1', [withdrawal.id, signed.tx_hash]);
+  return STATES.SIGNED;
+}
+
+async function broadcast(client, adapter, payout, withdrawal) {
+  const attempts = payout.attempts + 1;
+  try {
+    await adapter.broadcast(payout.signed_tx);
+  } catch (err) {
+    if (err && err.permanent) {
+      await update(client, withdrawal.id, { state: STATES.FAILED, attempts, last_error: errorText(err) });
+      await withdrawals.transition(client, withdrawal, withdrawals.STATUS.FAILED, { reason: 'The network rejected the transaction' });
+      return STATES.FAILED;
+    }
+    const giveUp = attempts >= MAX_BROADCAST_ATTEMPTS;
+    await client.query(
+      `UPDATE withdrawal_payouts
+       SET state = $2, attempts = $3, last_error = $4,
+           next_attempt_at = NOW() + make_interval(secs => $5), updated_at = NOW()
+       WHERE withdrawal_id = $1`,
+      [withdrawal.id, giveUp ? STATES.HELD : STATES.SIGNED, attempts, errorText(err), backoffSeconds(attempts)]
+    );
+    return giveUp ? STATES.HELD : STATES.SIGNED;
+  }
+  await client.query(
+    `UPDATE withdrawal_payouts
+     SET state = $2, attempts = $3, last_error = NULL,
+         next_attempt_at = NOW() + make_interval(secs => $4), updated_at = NOW()
+     WHERE withdrawal_id = $1`,
+    [withdrawal.id, STATES.BROADCAST, attempts, CONFIRM_POLL_SECONDS]
+  );
+  await withdrawals.transition(client, withdrawal, withdrawals.STATUS.BROADCAST);
+  return STATES.BROADCAST;
+}
+
+async function confirm(client, adapter, payout, withdrawal) {
+  let result;
+  try {
+    result = await adapter.confirm(payout.signed_tx, withdrawal.broadcast_at);
+  } catch (err) {
+    // The transaction is out there; keep polling
+    await client.query(
+      `UPDATE withdrawal_payouts SET last_error = $2, next_attempt_at = NOW() + make_interval(secs => $3), updated_at = NOW()
+       WHERE withdrawal_id = $1`,
+      [withdrawal.id, errorText(err), CONFIRM_POLL_SECONDS]
+    );
+    return STATES.BROADCAST;
+  }
+
+  if (result.failed) {
+    await update(client, withdrawal.id, { state: STATES.FAILED, last_error: String(result.failed).slice(0, 1000) });
+    await withdrawals.transition(client, withdrawal, withdrawals.STATUS.FAILED, { reason: result.failed });
+    return STATES.FAILED;
+  }
+
+  const confirmations = Math.max(Number(result.confirmations) || 0, withdrawal.confirmations);
+  await client.query('UPDATE withdrawals SET confirmations = $2 WHERE id = $1', [withdrawal.id, confirmations]);
+  if (confirmations >= (withdrawal.required_confirmations || 1)) {
+    await update(client, withdrawal.id, { state: STATES.CONFIRMED, last_error: null });
+    await withdrawals.transition(client, withdrawal, withdrawals.STATUS.COMPLETED);
+    return STATES.CONFIRMED;
+  }
+  await client.query(
+    `UPDATE withdrawal_payouts SET last_error = NULL, next_attempt_at = NOW() + make_interval(secs => $2), updated_at = NOW()
+     WHERE withdrawal_id = $1`,
+    [withdrawal.id, CONFIRM_POLL_SECONDS]
+  );
+  return STATES.BROADCAST;
+}
+
+const STEPS = {
+  [STATES.QUEUED]: sign,
+  [STATES.SIGNED]: broadcast,
+  [STATES.BROADCAST]: confirm,
+};
+
+/**
+ * Runs the next step of a locked payout.
+ * @param client pg client inside a transaction holding the locks from lockDue()
+ * @returns {Promise<string>} the payout state afterwards
+ */
+async function advance(client, { payout, withdrawal }) {
+  const adapter = payoutAdapters.getAdapters()[withdrawal.network];
+  if (!adapter || adapter.name !== payout.adapter) {
+    // Adapter switched off or replaced since approval: leave it for a person
+    await update(client, withdrawal.id, { state: STATES.HELD, last_error: `Payout adapter ${payout.adapter} is not configured` });
+    return STATES.HELD;
+  }
+  return STEPS[payout.state](client, adapter, payout, withdrawal);
+}
+
+module.exports = { STATES, MAX_BROADCAST_ATTEMPTS, dueIds, lockDue, advance };
@@ -0,0 +1,314 @@
+// utils/reconcile.js
+// Recomputes every user's expected balance per coin from the source tables
+// (deposits, withdrawals, trades, conversions, stakes, savings) and compares it with
+// both the ledger and the user_balances projection.
+const pool = require('../db');
+const { REASONS, REF_TYPES } = require('./ledger');
+
+// Differences below this are float noise, not drift.
+const EPSILON = 1e-8;
+
+// Each source says which rows it owns and what ledger effect each row should
+// have had on the owner's 'available' account, one component per reason.
+const SOURCES = [
+  {
+    refType: REF_TYPES.DEPOSIT,
+    sql: `SELECT id, user_id, coin, amount, status, created_at FROM deposits`,
+    components: (d) => d.status === 'approved'
+      ? [{ reason: REASONS.DEPOSIT, coin: d.coin, amount: Number(d.amount) }]
+      : [],
+  },
+  {
+    refType: REF_TYPES.WITHDRAWAL,
+    sql: `SELECT id, user_id, coin, amount, status, funds_state, created_at FROM withdrawals`,
+    components: (w, journals) => {
+      const amt = Number(w.amount);
+      // Reserved on request; approval then only touches 'frozen'
+      if (w.funds_state === 'held' || journals.has(REASONS.WITHDRAWAL_HOLD)) {
+        const out = [{ reason: REASONS.WITHDRAWAL_HOLD, coin: w.coin, amount: -amt }];
+        const released = w.funds_state === 'released' || journals.has(REASONS.WITHDRAWAL_RELEASE);
+        if (released) out.push({ reason: REASONS.WITHDRAWAL_RELEASE, coin: w.coin, amount: amt });
+        // Approved after the hold was released: paid from the available balance
+        if (released && (w.funds_state === 'settled' || w.funds_state === 'reversed')) {
+          out.push({ reason: REASONS.WITHDRAWAL, coin: w.coin, amount: -amt });
+        }
+        if (w.funds_state === 'reversed') {
+          out.push({ reason: REASONS.WITHDRAWAL_REVERSAL, coin: w.coin, amount: amt });
+        }
+        return out;
+      }
+      // Requested before holds existed: debited from 'available' on approval
+      if (w.funds_state === 'settled' || ['approved', 'broadcast', 'completed'].includes(w.status)) {
+        return [{ reason: REASONS.WITHDRAWAL, coin: w.coin, amount: -amt }];
+      }
+      // Approved then rejected or failed: debit and refund must both be there
+      if (w.funds_state === 'reversed' || journals.has(REASONS.WITHDRAWAL_REVERSAL)) {
+        return [
+          { reason: REASONS.WITHDRAWAL, coin: w.coin, amount: -amt },
+          { reason: REASONS.WITHDRAWAL_REVERSAL, coin: w.coin, amount: amt },
+        ];
+      }
+      return [];
+    },
+  },
+  {
+    refType: REF_TYPES.TRADE,
+    sql: `SELECT id, user_id, amount, profit, result, "timestamp" AS created_at FROM trades`,
+    components: (t) => {
+      const amt = Number(t.amount);
+      const out = [{ reason: REASONS.TRADE_STAKE, coin: 'USDT', amount: -amt }];
+      if (t.result === 'WIN') {
+        out.push({ reason: REASONS.TRADE_PAYOUT, coin: 'USDT', amount: amt + Number(t.profit) });
+      } else if (t.result === 'VOID') {
+        out.push({ reason: REASONS.TRADE_REFUND, coin: 'USDT', amount: amt });
+      }
+      return out;
+    },
+  },
+  {
+    refType: REF_TYPES.CONVERSION,
+    sql: `SELECT id, user_id, from_coin, to_coin, amount, received, created_at FROM conversions`,
+    components: (c) => [
+      { reason: REASONS.CONVERSION, coin: c.from_coin, amount: -Number(c.amount) },
+      { reason: REASONS.CONVERSION, coin: c.to_coin, amount: Number(c.received) },
+    ],
+  },
+  {
+    refType: REF_TYPES.STAKE,
+    sql: `SELECT id, user_id, coin, amount, daily_rate, duration_days, status, payout, created_at FROM stakes`,
+    components: (s) => {
+      const principal = Number(s.amount);
+      const out = [{ reason: REASONS.STAKE_LOCK, coin: s.coin, amount: -principal }];
+      // A renewed stake is paid out like a redeemed one; its principal is locked again by the next stake
+      if (s.status === 'REDEEMED' || s.status === 'RENEWED') {
+        const profit = principal * (Number(s.daily_rate) / 100) * Number(s.duration_days);
+        out.push({ reason: REASONS.STAKE_REDEEM, coin: s.coin, amount: principal + profit });
+      } else if (s.status === 'EARLY_REDEEMED') {
+        out.push({ reason: REASONS.STAKE_EARLY_REDEEM, coin: s.coin, amount: Number(s.payout) });
+      }
+      return out;
+    },
+  },
+  {
+    refType: REF_TYPES.SAVINGS_MOVEMENT,
+    sql: `SELECT id, user_id, coin, direction, amount, created_at FROM savings_movements`,
+    components: (m) => m.direction === 'deposit'
+      ? [{ reason: REASONS.SAVINGS_DEPOSIT, coin: m.coin, amount: -Number(m.amount) }]
+      : [{ reason: REASONS.SAVINGS_WITHDRAW, coin: m.coin, amount: Number(m.amount) }],
+  },
+  {
+    // Compounded interest stays in savings and never touches 'available'
+    refType: REF_TYPES.SAVINGS_ACCRUAL,
+    sql: `SELECT id, user_id, coin, amount, compounded, created_at FROM savings_accruals`,
+    components: (a) => a.compounded
+      ? []
+      : [{ reason: REASONS.SAVINGS_INTEREST, coin: a.coin, amount: Number(a.amount) }],
+  },
+];
+
+const key = (...parts) => parts.join('|');
+const round = (n) => Number(n.toFixed(10));
+
+async function getCutover(db) {
+  const { rows } = await db.query("SELECT value FROM settings WHERE key = 'LEDGER_CUTOVER_AT'");
+  return rows[0] ? new Date(rows[0].value) : null;
+}
+
+/**
+ * Compares user_balances.frozen and the ledger's 'frozen' account with what
+ * should be reserved: the opening frozen balance plus every withdrawal still
+ * holding its funds.
+ */
+async function reconcileFrozen(db, userId, includeOk) {
+  const byUser = (sql) => db.query(sql, [userId]).then(r => new Map(r.rows.map(x => [key(x.user_id, x.coin), Number(x.amount)])));
+  const ledgerFrozen = await byUser(
+    `SELECT p.user_id, p.coin, SUM(p.amount) AS amount FROM ledger_postings p
+     WHERE p.account = 'frozen' AND p.user_id IS NOT NULL AND ($1::bigint IS NULL OR p.user_id = $1)
+     GROUP BY p.user_id, p.coin`
+  );
+  const expected = await byUser(
+    `SELECT user_id, coin, SUM(amount) AS amount FROM (
+       SELECT p.user_id, p.coin, p.amount FROM ledger_postings p
+       JOIN ledger_journals j ON j.id = p.journal_id
+       WHERE p.account = 'frozen' AND j.reason = '${REASONS.OPENING_BALANCE}'
+       UNION ALL
+       SELECT user_id, coin, amount FROM withdrawals WHERE funds_state = 'held'
+     ) f
+     WHERE $1::bigint IS NULL OR user_id = $1
+     GROUP BY user_id, coin`
+  );
+  const stored = await byUser(
+    `SELECT user_id, coin, frozen AS amount FROM user_balances
+     WHERE frozen <> 0 AND ($1::bigint IS NULL OR user_id = $1)`
+  );
+
+  const balances = [];
+  let mismatched = 0;
+  for (const uc of [...new Set([...stored.keys(), ...ledgerFrozen.keys(), ...expected.keys()])].sort()) {
+    const [uid, coin] = uc.split('|');
+    const s = stored.get(uc) || 0;
+    const l = ledgerFrozen.get(uc) || 0;
+    const e = expected.get(uc) || 0;
+    const ok = Math.abs(s - e) <= EPSILON && Math.abs(l - e) <= EPSILON;
+    if (!ok) mismatched++;
+    if (ok && !includeOk) continue;
+    balances.push({
+      user_id: Number(uid),
+      coin,
+      stored_frozen: round(s),
+      ledger_frozen: round(l),
+      expected_frozen: round(e),
+      status: ok ? 'ok' : 'mismatch',
+    });
+  }
+  return { balances, mismatched };
+}
+
+/**
+ * Builds a reconciliation report.
+ * @param {object} [opts]
+ * @param {number} [opts.userId] only check this user
+ * @param {boolean} [opts.includeOk] include balances that match in the output
+ * @param [opts.db] pg pool/client, defaults to the shared pool
+ */
+async function runReconciliation({ userId = null, includeOk = false, db = pool } = {}) {
+  const cutover = await getCutover(db);
+  const userFilter = userId == null ? '' : ' WHERE user_id = $1';
+  const params = userId == null ? [] : [userId];
+
+  // Ledger effect on each user's available account, per source row and reason
+  const { rows: postingRows } = await db.query(
+    `SELECT j.id AS journal_id, j.reason, j.ref_type, j.ref_id, p.user_id, p.coin, SUM(p.amount) AS amount
+     FROM ledger_postings p
+     JOIN ledger_journals j ON j.id = p.journal_id
+     WHERE p.account = 'available' AND p.user_id IS NOT NULL
+       AND ($1::bigint IS NULL OR p.user_id = $1)
+     GROUP BY j.id, j.reason, j.ref_type, j.ref_id, p.user_id, p.coin`,
+    [userId]
+  );
+
+  const actual = new Map();   // refType|refId|reason|coin -> { amount, journal_ids }
+  const reasonsByRef = new Map(); // refType|refId -> Set(reason)
+  const opening = new Map();  // user|coin -> amount
+  const ledgerBal = new Map(); // user|coin -> amount
+  for (const r of postingRows) {
+    const amt = Number(r.amount);
+    const uc = key(r.user_id, r.coin);
+    ledgerBal.set(uc, (ledgerBal.get(uc) || 0) + amt);
+    if (r.reason === REASONS.OPENING_BALANCE) {
+      opening.set(uc, (opening.get(uc) || 0) + amt);
+      continue;
+    }
+    const k = key(r.ref_type, r.ref_id, r.reason, r.coin);
+    const entry = actual.get(k) || { amount: 0, journal_ids: [], user_id: r.user_id, matched: false };
+    entry.amount += amt;
+    entry.journal_ids.push(Number(r.journal_id));
+    actual.set(k, entry);
+    const rk = key(r.ref_type, r.ref_id);
+    if (!reasonsByRef.has(rk)) reasonsByRef.set(rk, new Set());
+    reasonsByRef.get(rk).add(r.reason);
+  }
+
+  const expected = new Map(opening); // user|coin -> amount
+  const issues = [];
+  let recordsChecked = 0;
+
+  for (const source of SOURCES) {
+    const { rows } = await db.query(source.sql + userFilter, params);
+    for (const row of rows) {
+      recordsChecked++;
+      const refId = String(row.id);
+      const journals = reasonsByRef.get(key(source.refType, refId)) || new Set();
+      for (const c of source.components(row, journals)) {
+        const k = key(source.refType, refId, c.reason, c.coin);
+        const found = actual.get(k);
+        const uc = key(row.user_id, c.coin);
+
+        if (!found) {
+          // Rows from before the ledger went live are inside the opening balance
+          const preLedger = cutover && row.created_at && new Date(row.created_at) < cutover;
+          if (preLedger) continue;
+          expected.set(uc, (expected.get(uc) || 0) + c.amount);
+          issues.push({
+            source: source.refType, id: row.id, user_id: Number(row.user_id), coin: c.coin,
+            reason: c.reason, issue: 'missing_journal', expected: round(c.amount), actual: 0,
+            record: row,
+          });
+          continue;
+        }
+
+        found.matched = true;
+        expected.set(uc, (expected.get(uc) || 0) + c.amount);
+        if (Math.abs(found.amount - c.amount) > EPSILON || String(found.user_id) !== String(row.user_id)) {
+          issues.push({
+            source: source.refType, id: row.id, user_id: Number(row.user_id), coin: c.coin,
+            reason: c.reason, issue: 'amount_mismatch', expected: round(c.amount), actual: round(found.amount),
+            journal_ids: found.journal_ids, record: row,
+          });
+        }
+      }
+    }
+  }
+
+  // Journals that no source row explains (wrong status, deleted row, ...)
+  for (const [k, entry] of actual) {
+    if (entry.matched) continue;
+    const [refType, refId, reason, coin] = k.split('|');
+    issues.push({
+      source: refType, id: refId, user_id: Number(entry.user_id), coin, reason,
+      issue: 'unexpected_journal', expected: 0, actual: round(entry.amount),
+      journal_ids: entry.journal_ids,
+    });
+  }
+
+  const { rows: stored } = await db.query(
+    `SELECT user_id, coin, balance FROM user_balances${userFilter}`,
+    params
+  );
+  const storedBal = new Map(stored.map(r => [key(r.user_id, r.coin), Number(r.balance)]));
+
+  const allKeys = new Set([...storedBal.keys(), ...ledgerBal.keys(), ...expected.keys()]);
+  const balances = [];
+  let mismatched = 0;
+  for (const uc of [...allKeys].sort()) {
+    const [uid, coin] = uc.split('|');
+    const s = storedBal.get(uc) || 0;
+    const l = ledgerBal.get(uc) || 0;
+    const e = expected.get(uc) || 0;
+    const ok = Math.abs(s - e) <= EPSILON && Math.abs(l - e) <= EPSILON;
+    if (!ok) mismatched++;
+    if (ok && !includeOk) continue;
+    balances.push({
+      user_id: Number(uid),
+      coin,
+      stored_balance: round(s),
+      ledger_balance: round(l),
+      expected_balance: round(e),
+      stored_minus_expected: round(s - e),
+      ledger_minus_expected: round(l - e),
+      status: ok ? 'ok' : 'mismatch',
+      records: issues.filter(i => String(i.user_id) === uid && i.coin === coin),
+    });
+  }
+
+  const frozen = await reconcileFrozen(db, userId, includeOk);
+
+  return {
+    generated_at: new Date().toISOString(),
+    ledger_cutover_at: cutover ? cutover.toISOString() : null,
+    scope: { user_id: userId },
+    summary: {
+      ok: mismatched === 0 && issues.length === 0 && frozen.mismatched === 0,
+      balances_checked: allKeys.size,
+      balances_mismatched: mismatched,
+      records_checked: recordsChecked,
+      record_issues: issues.length,
+      frozen_mismatched: frozen.mismatched,
+    },
+    balances,
+    frozen_balances: frozen.balances,
+    record_issues: issues,
+  };
+}
+
+module.exports = { runReconciliation, SOURCES };
@@ -0,0 +1,257 @@
+// utils/savings.js
+// Flexible savings. Users move funds between their 'available' and 'savings'
+// ledger accounts whenever they like; jobs/savingsAccrual.js pays interest
+// once per UTC day on what stayed in savings for the whole day.
+//
+// Interest for a day is paid on the lower of the savings balance at the start
+// and at the end of that day (so money moved in or out mid-day earns from the
+// next full day), plus interest already compounded for earlier days. It is
+// rounded down to the coin's decimal places.
+const pool = require('../db');
+const ledger = require('./ledger');
+const { coinDecimals } = require('./coins');
+
+const DAYS_PER_YEAR = 365;
+const ACCOUNT = 'savings';
+
+// --- Rates ---
+
+async function listRates({ activeOnly = true } = {}, db = pool) {
+  const { rows } = await db.query(
+    `SELECT coin, apr, active, updated_at FROM savings_rates
+     WHERE ($1::boolean = FALSE OR active)
+     ORDER BY coin`,
+    [activeOnly]
+  );
+  return rows;
+}
+
+async function getRate(db, coin) {
+  const { rows } = await db.query('SELECT coin, apr, active FROM savings_rates WHERE coin = $1', [coin]);
+  return rows[0] || null;
+}
+
+/**
+ * Creates or changes the rate for a coin. New rates apply from the next day
+ * interest is worked out for.
+ * @returns {Promise<{before, after}>}
+ */
+async function setRate(client, coin, { apr, active }) {
+  const { rows: before } = await client.query(
+    'SELECT coin, apr, active FROM savings_rates WHERE coin = $1 FOR UPDATE',
+    [coin]
+  );
+  const { rows } = await client.query(
+    `INSERT INTO savings_rates (coin, apr, active) VALUES ($1, $2, COALESCE($3, TRUE))
+     ON CONFLICT (coin) DO UPDATE SET
+       apr = EXCLUDED.apr,
+       active = COALESCE($3, savings_rates.active),
+       updated_at = NOW()
+     RETURNING coin, apr, active`,
+    [coin, apr, active ?? null]
+  );
+  return { before: before[0] || null, after: rows[0] };
+}
+
+// --- Accounts ---
+
+async function balanceOf(db, userId, coin) {
+  const { rows } = await db.query(
+    `SELECT balance FROM ledger_account_balances WHERE user_id = $1 AND account = $2 AND coin = $3`,
+    [userId, ACCOUNT, coin]
+  );
+  return rows[0] ? Number(rows[0].balance) : 0;
+}
+
+// Locks the user's savings account for a coin, creating it on first use
+async function lockAccount(client, userId, coin) {
+  await client.query(
+    `INSERT INTO savings_accounts (user_id, coin) VALUES ($1, $2) ON CONFLICT DO NOTHING`,
+    [userId, coin]
+  );
+  const { rows } = await client.query(
+    `SELECT user_id, coin, compound, accrued_through::text AS accrued_through
+     FROM savings_accounts WHERE user_id = $1 AND coin = $2 FOR UPDATE`,
+    [userId, coin]
+  );
+  return rows[0];
+}
+
+// Every savings account of a user with its balance, rate and interest so far
+async function summary(userId, db = pool) {
+  const { rows } = await db.query(
+    `SELECT a.coin, a.compound, a.accrued_through::text AS accrued_through,
+            COALESCE(b.balance, 0) AS balance, r.apr,
+            COALESCE((SELECT SUM(amount) FROM savings_accruals x
+                      WHERE x.user_id = a.user_id AND x.coin = a.coin), 0) AS total_interest
+     FROM savings_accounts a
+     LEFT JOIN ledger_account_balances b
+       ON b.user_id = a.user_id AND b.account = $2 AND b.coin = a.coin
+     LEFT JOIN savings_rates r ON r.coin = a.coin
+     WHERE a.user_id = $1
+     ORDER BY a.coin`,
+    [userId, ACCOUNT]
+  );
+  return rows;
+}
+
+/**
+ * Moves funds into ('deposit') or out of ('withdraw') savings. The caller
+ * checks the source balance; the user_balances CHECK is the backstop.
+ * @returns {Promise<object>} savings_movements row
+ */
+async function move(client, { userId, coin, direction, amount }) {
+  const { rows } = await client.query(
+    `INSERT INTO savings_movements (user_id, coin, direction, amount)
+     VALUES ($1, $2, $3, $4) RETURNING *`,
+    [userId, coin, direction, amount]
+  );
+  const deposit = direction === 'deposit';
+  await ledger.postJournal(client, {
+    reason: deposit ? ledger.REASONS.SAVINGS_DEPOSIT : ledger.REASONS.SAVINGS_WITHDRAW,
+    refType: ledger.REF_TYPES.SAVINGS_MOVEMENT,
+    refId: rows[0].id,
+    userId,
+    transfers: [{
+      from: ledger.userAccount(userId, deposit ? 'available' : ACCOUNT),
+      to: ledger.userAccount(userId, deposit ? ACCOUNT : 'available'),
+      coin,
+      amount,
+    }],
+  });
+  return rows[0];
+}
+
+// --- Accrual ---
+
+// Balance that earns interest on `day` (YYYY-MM-DD, UTC)
+async function principalFor(client, userId, coin, day) {
+  const { rows } = await client.query(
+    `SELECT
+       COALESCE(SUM(p.amount) FILTER (WHERE j.created_at < $4::date::timestamp AT TIME ZONE 'UTC'), 0) AS opening,
+       COALESCE(SUM(p.amount) FILTER (WHERE j.created_at < ($4::date + 1)::timestamp AT TIME ZONE 'UTC'), 0) AS closing
+     FROM ledger_postings p
+     JOIN ledger_journals j ON j.id = p.journal_id
+     WHERE p.user_id = $1 AND p.account = $3 AND p.coin = $2 AND j.reason <> $5`,
+    [userId, coin, ACCOUNT, day, ledger.REASONS.SAVINGS_INTEREST]
+  );
+  // Compounded interest is posted when the job runs, not on the day it is for
+  const { rows: compounded } = await client.query(
+    `SELECT COALESCE(SUM(amount), 0) AS amount FROM savings_accruals
+     WHERE user_id = $1 AND coin = $2 AND compounded AND accrual_date < $3::date`,
+    [userId, coin, day]
+  );
+  const held = Math.min(Number(rows[0].opening), Number(rows[0].closing));
+  return Math.max(held + Number(compounded[0].amount), 0);
+}
+
+function dailyInterest(principal, apr, coin) {
+  const scale = 10 ** coinDecimals(coin);
+  return Math.floor(principal * (Number(apr) / 100 / DAYS_PER_YEAR) * scale) / scale;
+}
+
+/**
+ * Pays interest for one day on a locked account (see lockDue).
+ * @returns {Promise<object|null>} the savings_accruals row, null when nothing was earned
+ */
+async function accrueDay(client, account, day) {
+  const { user_id: userId, coin } = account;
+  const rate = await getRate(client, coin);
+  const principal = rate ? await principalFor(client, userId, coin, day) : 0;
+  const amount = principal > 0 ? dailyInterest(principal, rate.apr, coin) : 0;
+  let accrual = null;
+  if (amount > 0) {
+    const { rows } = await client.query(
+      `INSERT INTO savings_accruals (user_id, coin, accrual_date, principal, apr, amount, compounded)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       ON CONFLICT (user_id, coin, accrual_date) DO NOTHING
+       RETURNING *`,
+      [userId, coin, day, principal, rate.apr, amount, account.compound]
+    );
+    accrual = rows[0] || null;
+    if (accrual) {
+      await ledger.postJournal(client, {
+        reason: ledger.REASONS.SAVINGS_INTEREST,
+        refType: ledger.REF_TYPES.SAVINGS_ACCRUAL,
+        refId: accrual.id,
+        userId,
+        memo: `Savings interest for ${day}`,
+        transfers: [{
+          from: ledger.systemAccount('earn_interest'),
+          to: ledger.userAccount(userId, account.compound ? ACCOUNT : 'available'),
+          coin,
+          amount,
+        }],
+      });
+    }
+  }
+  await client.query(
+    'UPDATE savings_accounts SET accrued_through = $3 WHERE user_id = $1 AND coin = $2',
+    [userId, coin, day]
+  );
+  return accrual;
+}
+
+// Accounts with at least one finished UTC day not yet worked out
+async function dueAccounts(limit, db = pool) {
+  const { rows } = await db.query(
+    `SELECT user_id, coin FROM savings_accounts
+     WHERE accrued_through < (NOW() AT TIME ZONE 'UTC')::date - 1
+     ORDER BY accrued_through
+     LIMIT $1`,
+    [limit]
+  );
+  return rows;
+}
+
+/**
+ * Locks a due account if no other worker holds it, together with the days
+ * (oldest first, at most maxDays) still to be worked out for it.
+ * @returns {Promise<{account, days: string[]}|null>}
+ */
+async function lockDue(client, userId, coin, maxDays) {
+  const { rows } = await client.query(
+    `SELECT user_id, coin, compound, accrued_through::text AS accrued_through
+     FROM savings_accounts
+     WHERE user_id = $1 AND coin = $2 AND accrued_through < (NOW() AT TIME ZONE 'UTC')::date - 1
+     FOR UPDATE SKIP LOCKED`,
+    [userId, coin]
+  );
+  if (!rows[0]) return null;
+  const { rows: days } = await client.query(
+    `SELECT d::date::text AS day
+     FROM generate_series($1::date + 1,
+                          LEAST((NOW() AT TIME ZONE 'UTC')::date - 1, $1::date + $2::int),
+                          INTERVAL '1 day') d`,
+    [rows[0].accrued_through, maxDays]
+  );
+  return { account: rows[0], days: days.map(d => d.day) };
+}
+
+async function accrualHistory(userId, { coin = null, limit = 50, offset = 0 } = {}, db = pool) {
+  const { rows } = await db.query(
+    `SELECT id, coin, accrual_date::text AS accrual_date, principal, apr, amount, compounded, created_at
+     FROM savings_accruals
+     WHERE user_id = $1 AND ($2::text IS NULL OR coin = $2)
+     ORDER BY accrual_date DESC, id DESC
+     LIMIT $3 OFFSET $4`,
+    [userId, coin, limit, offset]
+  );
+  return rows;
+}
+
+module.exports = {
+  ACCOUNT,
+  listRates,
+  getRate,
+  setRate,
+  balanceOf,
+  lockAccount,
+  summary,
+  move,
+  dailyInterest,
+  accrueDay,
+  dueAccounts,
+  lockDue,
+  accrualHistory,
+};
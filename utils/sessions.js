@@ -0,0 +1,179 @@
+// utils/sessions.js
+// Server-side login sessions. Login creates a session and returns a short-lived
+// access JWT (carrying the session id as `sid`) plus a refresh token of the
+// form "<sid>.<secret>". Each refresh replaces the secret; presenting an old
+// secret again means the token was copied, so the whole session is revoked.
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const pool = require('../db');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+// Why a session ended. Stored on user_sessions.revoked_reason.
+const REVOKE_REASONS = {
+  LOGOUT: 'logout',
+  USER_REVOKED: 'user_revoked',
+  PASSWORD_CHANGED: 'password_changed',
+  PASSWORD_RESET: 'password_reset',
+  REFRESH_REUSE: 'refresh_token_reuse',
+};
+
+const sha256 = (s) => crypto.createHash('sha256').update(s).digest('hex');
+
+function signAccessToken(user, sid) {
+  return jwt.sign(
+    { id: user.id, username: user.username, email: user.email, sid },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+}
+
+// Seconds until an access token issued now expires, for the login response
+function accessTokenExpiresIn(token) {
+  const { exp, iat } = jwt.decode(token);
+  return exp - iat;
+}
+
+function newRefreshSecret() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+function requestMeta(req) {
+  return { ip: req.ip || null, userAgent: (req.get && req.get('user-agent')) || null };
+}
+
+/**
+ * Starts a session for a user who just proved their identity.
+ * @returns {Promise<{token, refresh_token, expires_in, session_id}>}
+ */
+async function createSession(user, req, db = pool) {
+  const sid = crypto.randomUUID();
+  const secret = newRefreshSecret();
+  const { ip, userAgent } = requestMeta(req);
+  await db.query(
+    `INSERT INTO user_sessions (id, user_id, refresh_token_hash, ip, user_agent, expires_at)
+     VALUES ($1, $2, $3, $4, $5, NOW() + make_interval(days => $6))`,
+    [sid, user.id, sha256(secret), ip, userAgent, REFRESH_TOKEN_TTL_DAYS]
+  );
+  const token = signAccessToken(user, sid);
+  return {
+    token,
+    refresh_token: `${sid}.${secret}`,
+    expires_in: accessTokenExpiresIn(token),
+    session_id: sid,
+  };
+}
+
+/**
+ * Exchanges a refresh token for a new access token and refresh token.
+ * Returns null when the token is unknown, expired, revoked or reused.
+ */
+async function rotateRefreshToken(refreshToken, req) {
+  const [sid, secret] = String(refreshToken || '').split('.');
+  if (!sid || !secret) return null;
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const { rows } = await client.query(
+      `SELECT s.*, u.username, u.email
+       FROM user_sessions s JOIN users u ON u.id = s.user_id
+       WHERE s.id = $1 FOR UPDATE OF s`,
+      [sid]
+    );
+    const session = rows[0];
+    if (!session || session.revoked_at || new Date(session.expires_at) <= new Date()) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+    if (sha256(secret) !== session.refresh_token_hash) {
+      await client.query(
+        `UPDATE user_sessions SET revoked_at = NOW(), revoked_reason = $2 WHERE id = $1`,
+        [sid, REVOKE_REASONS.REFRESH_REUSE]
+      );
+      await client.query('COMMIT');
+      return null;
+    }
+
+    const nextSecret = newRefreshSecret();
+    const { ip, userAgent } = requestMeta(req);
+    await client.query(
+      `UPDATE user_sessions
+       SET refresh_token_hash = $2, last_seen_at = NOW(), ip = COALESCE($3, ip), user_agent = COALESCE($4, user_agent)
+       WHERE id = $1`,
+      [sid, sha256(nextSecret), ip, userAgent]
+    );
+    await client.query('COMMIT');
+
+    const token = signAccessToken({ id: session.user_id, username: session.username, email: session.email }, sid);
+    return {
+      token,
+      refresh_token: `${sid}.${nextSecret}`,
+      expires_in: accessTokenExpiresIn(token),
+      session_id: sid,
+    };
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// True while the session behind an access token may still be used.
+// Also bumps last_seen_at, at most once a minute per session.
+async function touchSession(sid, userId) {
+  const { rows } = await pool.query(
+    `SELECT revoked_at, expires_at, last_seen_at < NOW() - INTERVAL '1 minute' AS stale
+     FROM user_sessions WHERE id = $1 AND user_id = $2`,
+    [sid, userId]
+  );
+  const s = rows[0];
+  if (!s || s.revoked_at || new Date(s.expires_at) <= new Date()) return false;
+  if (s.stale) {
+    await pool.query('UPDATE user_sessions SET last_seen_at = NOW() WHERE id = $1', [sid]);
+  }
+  return true;
+}
+
+async function listSessions(userId) {
+  const { rows } = await pool.query(
+    `SELECT id, ip, user_agent, created_at, last_seen_at, expires_at
+     FROM user_sessions
+     WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > NOW()
+     ORDER BY last_seen_at DESC`,
+    [userId]
+  );
+  return rows;
+}
+
+// Revokes one of the user's sessions. Returns false if it was not active.
+async function revokeSession(userId, sid, reason, db = pool) {
+  const { rowCount } = await db.query(
+    `UPDATE user_sessions SET revoked_at = NOW(), revoked_reason = $3
+     WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL`,
+    [sid, userId, reason]
+  );
+  return rowCount > 0;
+}
+
+// Revokes every active session of a user, optionally keeping one (the caller's).
+async function revokeAllSessions(userId, reason, { exceptSid = null, db = pool } = {}) {
+  const { rowCount } = await db.query(
+    `UPDATE user_sessions SET revoked_at = NOW(), revoked_reason = $2
+     WHERE user_id = $1 AND revoked_at IS NULL AND ($3::text IS NULL OR id <> $3)`,
+    [userId, reason, exceptSid]
+  );
+  return rowCount;
+}
+
+module.exports = {
+  REVOKE_REASONS,
+  createSession,
+  rotateRefreshToken,
+  touchSession,
+  listSessions,
+  revokeSession,
+  revokeAllSessions,
+};
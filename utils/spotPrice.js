@@ -0,0 +1,144 @@
+// utils/spotPrice.js — live USD spot prices for tradable symbols
+// (Twelve Data for forex/commodities, Binance then Coinbase for crypto)
+require("dotenv").config();
+const axios = require("axios");
+
+const ALLOWED_COINS = ["BTC", "ETH", "SOL", "XRP", "TON"];
+const ALLOWED_FOREX = ["XAU", "XAG", "WTI", "NATGAS", "XCU"];
+
+const TWELVE_API_KEY = process.env.TWELVE_API_KEY;
+
+// How far before a past moment to look for the last trade (getHistoricalQuote)
+const HISTORY_WINDOW_MS = 60 * 1000;
+// Same for 1-minute forex bars, which are sparser (quiet minutes, market closes)
+const FOREX_HISTORY_WINDOW_MS = 5 * 60 * 1000;
+
+// API Symbol -> Twelve Data Symbol (must be UPPERCASE)
+const TWELVE_SYMBOL = {
+  XAU: "XAU/USD",
+  XAG: "XAG/USD",
+  WTI: "CL=F",
+  NATGAS: "NG=F",
+  XCU: "HG=F",
+};
+
+// Helper to check if it's a known Forex/Commodity
+function isForexOrCommodity(sym) {
+  return !!TWELVE_SYMBOL[sym]; // Check uppercase symbol
+}
+
+/**
+ * Fetches the live USD price together with where and when it was observed,
+ * so a settled trade can be audited against public market data.
+ * @returns {Promise<{price: number, source: string, fetched_at: Date, raw: string}>}
+ */
+async function getSpotQuote(symbol) {
+  const sym = String(symbol || "").toUpperCase(); // sym is "BTC", "XAU", etc.
+
+  // --- Check if Forex/Commodity (Twelve Data) ---
+  if (isForexOrCommodity(sym)) {
+    try {
+      if (!TWELVE_API_KEY) throw new Error("Twelve Data API Key not configured");
+      const twelveSymbol = TWELVE_SYMBOL[sym]; // e.g., "XAU/USD"
+      const priceUrl = `https://api.twelvedata.com/price?symbol=${twelveSymbol}&apikey=${TWELVE_API_KEY}`;
+
+      const { data: priceResponse } = await axios.get(priceUrl, { timeout: 7000 });
+      
+      const price = Number(priceResponse?.price);
+      if (isFinite(price) && price > 0) {
+        return { price, source: "twelvedata", fetched_at: new Date(), raw: String(priceResponse.price) };
+      }
+      throw new Error("Invalid price from Twelve Data");
+    } catch (err) {
+      console.error(`Twelve Data fetch failed for ${sym}: ${err.message}`);
+      // Throw error because we know it's not crypto
+      throw new Error(`LIVE_PRICE_UNAVAILABLE (Forex: ${sym})`);
+    }
+  }
+
+  // --- Check if Crypto (Binance first to match chart, then Coinbase) ---
+  const isCrypto = ["BTC", "ETH", "SOL", "XRP", "TON"].includes(sym);
+  
+  if (isCrypto) {
+    // ----- Primary: Binance -----
+    try {
+      const url = `https://api.binance.com/api/v3/ticker/price?symbol=${sym}USDT`;
+      const { data } = await axios.get(url, { timeout: 7000 });
+      const price = Number(data?.price);
+      if (isFinite(price) && price > 0) {
+        return { price, source: "binance", fetched_at: new Date(), raw: String(data.price) };
+      }
+    } catch {}
+
+    // ----- Fallback: Coinbase -----
+    try {
+      const url = `https://api.coinbase.com/v2/prices/${sym}-USD/spot`;
+      const { data } = await axios.get(url, {
+        timeout: 7000,
+        headers: { "CB-VERSION": "2023-01-01" },
+      });
+      const price = Number(data?.data?.amount);
+      if (isFinite(price) && price > 0) {
+        return { price, source: "coinbase", fetched_at: new Date(), raw: String(data.data.amount) };
+      }
+    } catch {}
+  }
+
+  throw new Error(`LIVE_PRICE_UNAVAILABLE (Crypto/All: ${sym})`);
+}
+
+/**
+ * The USD price at a past moment, for trades that expired while nobody was
+ * looking. Crypto uses the close of the last Binance 1-second kline up to `at`
+ * (a second with no trades has no kline, so that is the last traded price);
+ * forex and commodities the close of the last Twelve Data 1-minute bar that
+ * ended by `at`.
+ * @param {string} symbol
+ * @param {Date} at
+ * @returns {Promise<{price: number, source: string, fetched_at: Date, raw: string}>}
+ */
+async function getHistoricalQuote(symbol, at) {
+  const sym = String(symbol || "").toUpperCase();
+  const atMs = new Date(at).getTime();
+  const unavailable = () => new Error(`HISTORICAL_PRICE_UNAVAILABLE (${sym} at ${new Date(atMs).toISOString()})`);
+
+  if (isForexOrCommodity(sym)) {
+    if (!TWELVE_API_KEY) throw new Error("Twelve Data API Key not configured");
+    // Bars are labelled with their opening minute; ask for a few around `at`
+    const utc = (ms) => new Date(ms).toISOString().slice(0, 19).replace("T", " ");
+    const { data } = await axios.get("https://api.twelvedata.com/time_series", {
+      timeout: 7000,
+      params: {
+        symbol: TWELVE_SYMBOL[sym],
+        interval: "1min",
+        timezone: "UTC",
+        start_date: utc(atMs - FOREX_HISTORY_WINDOW_MS),
+        end_date: utc(atMs + 60 * 1000),
+        order: "ASC",
+        apikey: TWELVE_API_KEY,
+      },
+    });
+    const bars = Array.isArray(data?.values) ? data.values : [];
+    const bar = bars.filter(b => Date.parse(`${b.datetime.replace(" ", "T")}Z`) + 60 * 1000 <= atMs).pop();
+    const price = bar ? Number(bar.close) : NaN;
+    if (!bar || !isFinite(price) || price <= 0) throw unavailable();
+    return { price, source: "twelvedata:1min", fetched_at: new Date(), raw: JSON.stringify(bar) };
+  }
+
+  if (!ALLOWED_COINS.includes(sym)) throw unavailable();
+  // Klines come oldest first: [openTime, open, high, low, close, ...]
+  const url = `https://api.binance.com/api/v3/klines?symbol=${sym}USDT&interval=1s` +
+    `&startTime=${atMs - HISTORY_WINDOW_MS}&endTime=${atMs}&limit=${HISTORY_WINDOW_MS / 1000}`;
+  const { data } = await axios.get(url, { timeout: 7000 });
+  const kline = Array.isArray(data) && data.length ? data[data.length - 1] : null;
+  const price = kline ? Number(kline[4]) : NaN;
+  if (!kline || !isFinite(price) || price <= 0) throw unavailable();
+  return { price, source: "binance:kline1s", fetched_at: new Date(), raw: JSON.stringify(kline.slice(0, 7)) };
+}
+
+async function getSpotUSD(symbol) {
+  const { price } = await getSpotQuote(symbol);
+  return price;
+}
+
+module.exports = { ALLOWED_COINS, ALLOWED_FOREX, isForexOrCommodity, getSpotQuote, getHistoricalQuote, getSpotUSD };
@@ -0,0 +1,306 @@
+// utils/stakes.js
+// Fixed-term stake lifecycle: open, redeem at maturity, redeem early, renew.
+// Every function expects a client inside a transaction; callers lock the
+// stake with lockStake() first. Each change is recorded in stake_events and
+// every closed stake gets exactly one stake_payouts row.
+const ledger = require('./ledger');
+const notifications = require('./notifications');
+const stakingProducts = require('./stakingProducts');
+const { coinDecimals } = require('./coins');
+
+const STATUS = {
+  ACTIVE: 'ACTIVE',
+  REDEEMED: 'REDEEMED',
+  EARLY_REDEEMED: 'EARLY_REDEEMED',
+  RENEWED: 'RENEWED',
+};
+
+const EVENTS = {
+  OPENED: 'OPENED',
+  REDEEMED: 'REDEEMED',
+  EARLY_REDEEMED: 'EARLY_REDEEMED',
+  RENEWED: 'RENEWED',
+  RENEW_SKIPPED: 'RENEW_SKIPPED',
+  AUTO_RENEW_ON: 'AUTO_RENEW_ON',
+  AUTO_RENEW_OFF: 'AUTO_RENEW_OFF',
+};
+
+// What closed a stake (stake_payouts.trigger)
+const TRIGGERS = {
+  AUTO: 'auto',
+  MANUAL: 'manual',
+  RENEWAL: 'renewal',
+  EARLY: 'early',
+};
+
+const roundDown = (n, coin) => {
+  const scale = 10 ** coinDecimals(coin);
+  return Math.floor(n * scale + 1e-9) / scale;
+};
+
+// Interest for the full term: Amount * (DailyRate / 100) * Days
+function interestFor(stake) {
+  return Number(stake.amount) * (Number(stake.daily_rate) / 100) * Number(stake.duration_days);
+}
+
+// What an early redemption pays now: principal less the penalty, no interest
+function earlyRedeemQuote(stake) {
+  const principal = Number(stake.amount);
+  const penalty = roundDown(principal * Number(stake.early_redeem_penalty_pct || 0) / 100, stake.coin);
+  return { principal, penalty, payout: principal - penalty, forfeited_interest: interestFor(stake) };
+}
+
+function isMatured(stake, now = new Date()) {
+  return now >= new Date(stake.end_date);
+}
+
+async function recordEvent(client, stake, event, { amount = null, detail = null } = {}) {
+  await client.query(
+    `INSERT INTO stake_events (stake_id, user_id, event, amount, detail) VALUES ($1, $2, $3, $4, $5)`,
+    [stake.id, stake.user_id, event, amount, detail]
+  );
+}
+
+async function recordPayout(client, stake, { trigger, interest = 0, penalty = 0, total, journalId }) {
+  const { rows } = await client.query(
+    `INSERT INTO stake_payouts (stake_id, user_id, coin, trigger, principal, interest, penalty, total, journal_id)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+     RETURNING *`,
+    [stake.id, stake.user_id, stake.coin, trigger, stake.amount, interest, penalty, total, journalId]
+  );
+  return rows[0];
+}
+
+// The recorded payout of a closed stake, or null
+async function payoutFor(db, stakeId) {
+  const { rows } = await db.query('SELECT * FROM stake_payouts WHERE stake_id = $1', [stakeId]);
+  return rows[0] || null;
+}
+
+async function lockStake(client, id, userId = null) {
+  const { rows } = await client.query(
+    `SELECT * FROM stakes WHERE id = $1 AND ($2::bigint IS NULL OR user_id = $2) FOR UPDATE`,
+    [id, userId]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Opens a stake and locks its principal (available -> staked). The caller
+ * has checked the balance and, for product stakes, the product limits.
+ * @returns {Promise<object>} stakes row
+ */
+async function open(client, { userId, coin, amount, dailyRate, durationDays, productId = null, apr = null,
+  penaltyPct = 0, autoRenew = false, renewedFrom = null }) {
+  const { rows } = await client.query(
+    `INSERT INTO stakes (user_id, coin, amount, daily_rate, duration_days, start_date, end_date, status,
+                         product_id, apr, early_redeem_penalty_pct, auto_renew, renewed_from)
+     VALUES ($1, $2, $3, $4, $5, NOW(), NOW() + make_interval(days => $5), 'ACTIVE', $6, $7, $8, $9, $10)
+     RETURNING *`,
+    [userId, coin, amount, dailyRate, durationDays, productId, apr, penaltyPct, autoRenew, renewedFrom]
+  );
+  const stake = rows[0];
+
+  await ledger.postJournal(client, {
+    reason: ledger.REASONS.STAKE_LOCK,
+    refType: ledger.REF_TYPES.STAKE,
+    refId: stake.id,
+    userId,
+    transfers: [{
+      from: ledger.userAccount(userId),
+      to: ledger.userAccount(userId, 'staked'),
+      coin,
+      amount,
+    }],
+  });
+  await recordEvent(client, stake, EVENTS.OPENED, {
+    amount,
+    detail: renewedFrom ? { renewed_from: renewedFrom } : null,
+  });
+  return stake;
+}
+
+// Pays principal + full-term interest to the available balance and closes the stake
+async function payOut(client, stake, status, trigger) {
+  const principal = Number(stake.amount);
+  const profit = interestFor(stake);
+  const journalId = await ledger.postJournal(client, {
+    reason: ledger.REASONS.STAKE_REDEEM,
+    refType: ledger.REF_TYPES.STAKE,
+    refId: stake.id,
+    userId: stake.user_id,
+    transfers: [
+      { from: ledger.userAccount(stake.user_id, 'staked'), to: ledger.userAccount(stake.user_id), coin: stake.coin, amount: principal },
+      { from: ledger.systemAccount('earn_interest'), to: ledger.userAccount(stake.user_id), coin: stake.coin, amount: profit },
+    ],
+  });
+  await client.query(
+    `UPDATE stakes SET status = $2, closed_at = NOW(), payout = $3, penalty = 0 WHERE id = $1`,
+    [stake.id, status, principal + profit]
+  );
+  await recordPayout(client, stake, {
+    trigger,
+    interest: profit,
+    // A renewal only credits the interest; the principal stays staked
+    total: trigger === TRIGGERS.RENEWAL ? profit : principal + profit,
+    journalId,
+  });
+  return { principal, profit, total: principal + profit };
+}
+
+/**
+ * Redeems a matured ACTIVE stake.
+ * @param {string} [trigger] TRIGGERS.MANUAL (user) or TRIGGERS.AUTO (maturity job)
+ * @returns {Promise<{principal, profit, total}>}
+ */
+async function redeem(client, stake, trigger = TRIGGERS.MANUAL) {
+  const result = await payOut(client, stake, STATUS.REDEEMED, trigger);
+  if (stake.product_id) await stakingProducts.adjustStaked(client, stake.product_id, -result.principal);
+  await recordEvent(client, stake, EVENTS.REDEEMED, { amount: result.total, detail: { profit: result.profit, trigger } });
+  await notifications.enqueue(client, {
+    userId: stake.user_id,
+    template: notifications.TEMPLATES.STAKE_MATURED,
+    dedupeKey: `stake:${stake.id}:matured`,
+    data: {
+      stake_id: stake.id,
+      coin: stake.coin,
+      principal: result.principal,
+      profit: Number(result.profit.toFixed(8)),
+      total: Number(result.total.toFixed(8)),
+    },
+  });
+  return result;
+}
+
+/**
+ * Redeems an ACTIVE stake before end_date: interest is forfeited and the
+ * penalty moves to the system:earn_penalties account.
+ * @returns {Promise<{principal, penalty, payout, forfeited_interest}>}
+ */
+async function earlyRedeem(client, stake) {
+  const quote = earlyRedeemQuote(stake);
+  const journalId = await ledger.postJournal(client, {
+    reason: ledger.REASONS.STAKE_EARLY_REDEEM,
+    refType: ledger.REF_TYPES.STAKE,
+    refId: stake.id,
+    userId: stake.user_id,
+    transfers: [
+      { from: ledger.userAccount(stake.user_id, 'staked'), to: ledger.userAccount(stake.user_id), coin: stake.coin, amount: quote.payout },
+      { from: ledger.userAccount(stake.user_id, 'staked'), to: ledger.systemAccount('earn_penalties'), coin: stake.coin, amount: quote.penalty },
+    ],
+  });
+  await client.query(
+    `UPDATE stakes SET status = $2, closed_at = NOW(), payout = $3, penalty = $4 WHERE id = $1`,
+    [stake.id, STATUS.EARLY_REDEEMED, quote.payout, quote.penalty]
+  );
+  await recordPayout(client, stake, { trigger: TRIGGERS.EARLY, penalty: quote.penalty, total: quote.payout, journalId });
+  if (stake.product_id) await stakingProducts.adjustStaked(client, stake.product_id, -quote.principal);
+  await recordEvent(client, stake, EVENTS.EARLY_REDEEMED, {
+    amount: quote.payout,
+    detail: { penalty: quote.penalty, forfeited_interest: quote.forfeited_interest },
+  });
+  return quote;
+}
+
+// Terms for the next period: the product's current ones when it still takes
+// the principal, otherwise null. Stakes without a product keep their own.
+async function renewalTerms(client, stake) {
+  if (!stake.product_id) {
+    return {
+      dailyRate: stake.daily_rate,
+      durationDays: stake.duration_days,
+      apr: stake.apr,
+      penaltyPct: stake.early_redeem_penalty_pct,
+    };
+  }
+  const product = await stakingProducts.lockAvailable(client, stake.product_id);
+  if (!product || product.coin !== stake.coin) return null;
+  // The principal is already counted in staked_total
+  const others = { ...product, staked_total: Number(product.staked_total) - Number(stake.amount) };
+  if (stakingProducts.amountError(others, stake.amount)) return null;
+  return {
+    dailyRate: stakingProducts.dailyRate(product.apr),
+    durationDays: product.term_days,
+    apr: product.apr,
+    penaltyPct: product.early_redeem_penalty_pct,
+  };
+}
+
+/**
+ * Rolls a matured auto-renew stake into a new term: interest is paid out and
+ * the principal is locked again in a new stake. Falls back to redeem() when
+ * the product no longer takes it.
+ * @returns {Promise<{renewed: boolean, stake?: object, profit?: number}>}
+ */
+async function renew(client, stake) {
+  const terms = await renewalTerms(client, stake);
+  if (!terms) {
+    await recordEvent(client, stake, EVENTS.RENEW_SKIPPED, { detail: { reason: 'product_unavailable' } });
+    await redeem(client, stake, TRIGGERS.AUTO);
+    return { renewed: false };
+  }
+
+  const { principal, profit } = await payOut(client, stake, STATUS.RENEWED, TRIGGERS.RENEWAL);
+  const next = await open(client, {
+    userId: stake.user_id,
+    coin: stake.coin,
+    amount: principal,
+    ...terms,
+    productId: stake.product_id,
+    autoRenew: true,
+    renewedFrom: stake.id,
+  });
+  await client.query('UPDATE stakes SET renewed_to = $2 WHERE id = $1', [stake.id, next.id]);
+  await recordEvent(client, stake, EVENTS.RENEWED, { amount: profit, detail: { renewed_to: next.id, profit } });
+  await notifications.enqueue(client, {
+    userId: stake.user_id,
+    template: notifications.TEMPLATES.STAKE_RENEWED,
+    dedupeKey: `stake:${stake.id}:renewed`,
+    data: {
+      stake_id: stake.id,
+      new_stake_id: next.id,
+      coin: stake.coin,
+      principal,
+      profit: Number(profit.toFixed(8)),
+      apr: next.apr == null ? Number((Number(next.daily_rate) * 365).toFixed(4)) : Number(next.apr),
+      end_date: new Date(next.end_date).toISOString().slice(0, 10),
+    },
+  });
+  return { renewed: true, stake: next, profit };
+}
+
+async function setAutoRenew(client, stake, autoRenew) {
+  if (stake.auto_renew === autoRenew) return stake;
+  const { rows } = await client.query(
+    'UPDATE stakes SET auto_renew = $2 WHERE id = $1 RETURNING *',
+    [stake.id, autoRenew]
+  );
+  await recordEvent(client, stake, autoRenew ? EVENTS.AUTO_RENEW_ON : EVENTS.AUTO_RENEW_OFF);
+  return rows[0];
+}
+
+async function events(db, stakeId) {
+  const { rows } = await db.query(
+    'SELECT id, event, amount, detail, created_at FROM stake_events WHERE stake_id = $1 ORDER BY id',
+    [stakeId]
+  );
+  return rows;
+}
+
+module.exports = {
+  STATUS,
+  EVENTS,
+  TRIGGERS,
+  interestFor,
+  earlyRedeemQuote,
+  isMatured,
+  recordEvent,
+  payoutFor,
+  lockStake,
+  open,
+  redeem,
+  earlyRedeem,
+  renew,
+  setAutoRenew,
+  events,
+};
@@ -0,0 +1,135 @@
+// utils/stakingProducts.js
+// Staking products catalogue. Rates, terms and limits are defined here by
+// admins; users only pick a product and an amount.
+const pool = require('../db');
+
+const DAYS_PER_YEAR = 365;
+
+const COLUMNS = [
+  'id', 'name', 'coin', 'term_days', 'apr', 'min_amount', 'max_amount', 'capacity',
+  'staked_total', 'early_redeem_penalty_pct', 'starts_at', 'ends_at', 'active', 'created_at', 'updated_at',
+];
+
+// Fields admins may set; coin is fixed once a product exists
+const EDITABLE = [
+  'name', 'term_days', 'apr', 'min_amount', 'max_amount', 'capacity', 'early_redeem_penalty_pct',
+  'starts_at', 'ends_at', 'active',
+];
+
+// Open for new stakes right now
+const AVAILABLE_SQL = `active AND (starts_at IS NULL OR starts_at <= NOW()) AND (ends_at IS NULL OR ends_at > NOW())`;
+
+// Daily rate in percent, as stored on stakes.daily_rate
+function dailyRate(apr) {
+  return Number(apr) / DAYS_PER_YEAR;
+}
+
+function present(p) {
+  return {
+    ...p,
+    daily_rate: dailyRate(p.apr),
+    remaining_capacity: p.capacity == null ? null : Math.max(Number(p.capacity) - Number(p.staked_total), 0),
+  };
+}
+
+// Products users can stake in now (public catalogue)
+async function listAvailable({ coin = null } = {}, db = pool) {
+  const { rows } = await db.query(
+    `SELECT ${COLUMNS.join(', ')} FROM staking_products
+     WHERE ${AVAILABLE_SQL} AND ($1::text IS NULL OR coin = $1)
+     ORDER BY coin, term_days, id`,
+    [coin]
+  );
+  return rows.map(present);
+}
+
+async function listAll(db = pool) {
+  const { rows } = await db.query(`SELECT ${COLUMNS.join(', ')} FROM staking_products ORDER BY id`);
+  return rows.map(present);
+}
+
+// Locks the product for a new stake; null if it does not exist or is not open
+async function lockAvailable(client, id) {
+  const { rows } = await client.query(
+    `SELECT ${COLUMNS.join(', ')} FROM staking_products
+     WHERE id = $1 AND ${AVAILABLE_SQL}
+     FOR UPDATE`,
+    [id]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Why `amount` cannot be staked in the locked product, or null if it can.
+ * @returns {string|null}
+ */
+function amountError(product, amount) {
+  const n = Number(amount);
+  if (n < Number(product.min_amount)) return `Minimum stake is ${product.min_amount} ${product.coin}.`;
+  if (product.max_amount != null && n > Number(product.max_amount)) {
+    return `Maximum stake is ${product.max_amount} ${product.coin}.`;
+  }
+  if (product.capacity != null && Number(product.staked_total) + n > Number(product.capacity)) {
+    return 'This product does not have enough capacity left for that amount.';
+  }
+  return null;
+}
+
+// Principal entering (+) or leaving (-) the product
+async function adjustStaked(client, id, delta) {
+  await client.query(
+    `UPDATE staking_products SET staked_total = GREATEST(staked_total + $2, 0) WHERE id = $1`,
+    [id, delta]
+  );
+}
+
+async function create(client, fields) {
+  const { rows } = await client.query(
+    `INSERT INTO staking_products
+       (name, coin, term_days, apr, min_amount, max_amount, capacity, starts_at, ends_at, active,
+        early_redeem_penalty_pct)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+     RETURNING ${COLUMNS.join(', ')}`,
+    [
+      fields.name ?? null, fields.coin, fields.term_days, fields.apr, fields.min_amount,
+      fields.max_amount ?? null, fields.capacity ?? null, fields.starts_at ?? null,
+      fields.ends_at ?? null, fields.active ?? true, fields.early_redeem_penalty_pct ?? 0,
+    ]
+  );
+  return rows[0];
+}
+
+/**
+ * Applies the given EDITABLE fields. Stakes already opened keep their rate.
+ * @returns {Promise<{before, after}|null>} null if the product does not exist
+ */
+async function update(client, id, fields) {
+  const { rows: current } = await client.query(
+    `SELECT ${COLUMNS.join(', ')} FROM staking_products WHERE id = $1 FOR UPDATE`,
+    [id]
+  );
+  if (!current[0]) return null;
+  const changes = EDITABLE.filter(f => fields[f] !== undefined);
+  if (changes.length === 0) return { before: current[0], after: current[0] };
+  const sets = changes.map((f, i) => `${f} = $${i + 2}`);
+  const { rows } = await client.query(
+    `UPDATE staking_products SET ${sets.join(', ')}, updated_at = NOW()
+     WHERE id = $1
+     RETURNING ${COLUMNS.join(', ')}`,
+    [id, ...changes.map(f => fields[f])]
+  );
+  return { before: current[0], after: rows[0] };
+}
+
+module.exports = {
+  EDITABLE,
+  dailyRate,
+  present,
+  listAvailable,
+  listAll,
+  lockAvailable,
+  amountError,
+  adjustStaked,
+  create,
+  update,
+};
@@ -0,0 +1,97 @@
+// utils/totp.js
+// RFC 6238 time-based one-time passwords (the codes authenticator apps show),
+// built on node's crypto so no extra dependency is needed.
+const crypto = require('crypto');
+
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const BASE32 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buf) {
+  let bits = 0;
+  let value = 0;
+  let out = '';
+  for (const byte of buf) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      out += BASE32[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) out += BASE32[(value << (5 - bits)) & 31];
+  return out;
+}
+
+function base32Decode(str) {
+  const clean = String(str).toUpperCase().replace(/=+$/, '').replace(/\s+/g, '');
+  let bits = 0;
+  let value = 0;
+  const out = [];
+  for (const ch of clean) {
+    const idx = BASE32.indexOf(ch);
+    if (idx === -1) throw new Error('Invalid base32 character');
+    value = (value << 5) | idx;
+    bits += 5;
+    if (bits >= 8) {
+      out.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(out);
+}
+
+// 160-bit secret, base32 encoded as authenticator apps expect
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+function currentStep(now = Date.now()) {
+  return Math.floor(now / 1000 / STEP_SECONDS);
+}
+
+function codeForStep(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const bin = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(bin % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+/**
+ * Checks a code against the current step and `window` steps either side
+ * (clock drift). Returns the matching step so callers can refuse to accept
+ * the same code twice, or null.
+ */
+function verify(secret, code, { window = 1, now = Date.now() } = {}) {
+  const given = String(code || '').replace(/\s+/g, '');
+  if (!/^\d{6}$/.test(given)) return null;
+  const step = currentStep(now);
+  for (let i = -window; i <= window; i++) {
+    const expected = codeForStep(secret, step + i);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(given))) return step + i;
+  }
+  return null;
+}
+
+// otpauth:// URI for QR codes, e.g. otpauthUri(secret, 'alice@example.com')
+function otpauthUri(secret, accountName, issuer = 'NovaChain') {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params}`;
+}
+
+module.exports = {
+  generateSecret,
+  currentStep,
+  codeForStep,
+  verify,
+  otpauthUri,
+};
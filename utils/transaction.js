@@ -0,0 +1,20 @@
+// utils/transaction.js
+const pool = require('../db');
+
+// Runs fn(client) inside BEGIN/COMMIT, rolling back if it throws.
+async function withTransaction(fn) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = { withTransaction };
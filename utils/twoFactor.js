@@ -0,0 +1,172 @@
+// utils/twoFactor.js
+// Enrolment and verification of TOTP second factors, shared by customers and
+// admins. An owner is { type: 'user' | 'admin', id }.
+const crypto = require('crypto');
+const pool = require('../db');
+const totp = require('./totp');
+
+const BACKUP_CODE_COUNT = 10;
+
+// Secrets are encrypted with AES-256-GCM so a database dump alone cannot mint codes
+function encryptionKey() {
+  const material = process.env.TOTP_ENCRYPTION_KEY || process.env.JWT_SECRET;
+  if (!material) throw new Error('TOTP_ENCRYPTION_KEY (or JWT_SECRET) must be set');
+  return crypto.createHash('sha256').update(material).digest();
+}
+
+function sealSecret(secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const enc = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), enc].map(b => b.toString('base64')).join('.');
+}
+
+function openSecret(sealed) {
+  const [iv, tag, enc] = sealed.split('.').map(s => Buffer.from(s, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(enc), decipher.final()]).toString('utf8');
+}
+
+const hashBackupCode = (code) =>
+  crypto.createHash('sha256').update(String(code).replace(/[\s-]/g, '').toLowerCase()).digest('hex');
+
+// "3f9a1-c07be"-style codes: 10 hex characters, grouped for readability
+function newBackupCode() {
+  const raw = crypto.randomBytes(8).toString('hex').slice(0, 10);
+  return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+}
+
+async function getFactor(owner, db = pool) {
+  const { rows } = await db.query(
+    'SELECT * FROM totp_factors WHERE owner_type = $1 AND owner_id = $2',
+    [owner.type, owner.id]
+  );
+  return rows[0] || null;
+}
+
+async function isEnabled(owner, db = pool) {
+  const factor = await getFactor(owner, db);
+  return !!(factor && factor.confirmed_at);
+}
+
+/**
+ * Creates (or replaces an unconfirmed) secret. Returns null when a confirmed
+ * factor already exists; it has to be disabled first.
+ * @returns {Promise<{secret, otpauth_url}|null>}
+ */
+async function startEnrolment(owner, accountName, db = pool) {
+  const existing = await getFactor(owner, db);
+  if (existing && existing.confirmed_at) return null;
+  const secret = totp.generateSecret();
+  await db.query(
+    `INSERT INTO totp_factors (owner_type, owner_id, secret_enc)
+     VALUES ($1, $2, $3)
+     ON CONFLICT (owner_type, owner_id)
+     DO UPDATE SET secret_enc = EXCLUDED.secret_enc, confirmed_at = NULL, last_used_step = NULL, created_at = NOW()`,
+    [owner.type, owner.id, sealSecret(secret)]
+  );
+  return { secret, otpauth_url: totp.otpauthUri(secret, accountName) };
+}
+
+async function replaceBackupCodes(owner, db) {
+  await db.query('DELETE FROM totp_backup_codes WHERE owner_type = $1 AND owner_id = $2', [owner.type, owner.id]);
+  const codes = Array.from({ length: BACKUP_CODE_COUNT }, newBackupCode);
+  for (const code of codes) {
+    await db.query(
+      'INSERT INTO totp_backup_codes (owner_type, owner_id, code_hash) VALUES ($1, $2, $3)',
+      [owner.type, owner.id, hashBackupCode(code)]
+    );
+  }
+  return codes;
+}
+
+/**
+ * Confirms enrolment with a first code from the app and issues backup codes.
+ * @param db pg client inside a transaction
+ * @returns {Promise<string[]|null>} the backup codes (shown once), or null if the code is wrong
+ */
+async function confirmEnrolment(owner, code, db) {
+  const { rows } = await db.query(
+    `SELECT * FROM totp_factors WHERE owner_type = $1 AND owner_id = $2 AND confirmed_at IS NULL FOR UPDATE`,
+    [owner.type, owner.id]
+  );
+  const factor = rows[0];
+  if (!factor) return null;
+  const step = totp.verify(openSecret(factor.secret_enc), code);
+  if (step == null) return null;
+  await db.query(
+    `UPDATE totp_factors SET confirmed_at = NOW(), last_used_step = $3 WHERE owner_type = $1 AND owner_id = $2`,
+    [owner.type, owner.id, step]
+  );
+  return replaceBackupCodes(owner, db);
+}
+
+/**
+ * Checks a TOTP code or an unused backup code for a confirmed factor.
+ * Each TOTP code and each backup code is accepted only once.
+ * @returns {Promise<'totp'|'backup_code'|null>} how the owner proved themselves
+ */
+async function verifyCode(owner, code, db = pool) {
+  if (!code) return null;
+  const factor = await getFactor(owner, db);
+  if (!factor || !factor.confirmed_at) return null;
+
+  const step = totp.verify(openSecret(factor.secret_enc), code);
+  if (step != null) {
+    const { rowCount } = await db.query(
+      `UPDATE totp_factors SET last_used_step = $3
+       WHERE owner_type = $1 AND owner_id = $2 AND (last_used_step IS NULL OR last_used_step < $3)`,
+      [owner.type, owner.id, step]
+    );
+    return rowCount === 1 ? 'totp' : null;
+  }
+
+  const { rowCount } = await db.query(
+    `UPDATE totp_backup_codes SET used_at = NOW()
+     WHERE id = (
+       SELECT id FROM totp_backup_codes
+       WHERE owner_type = $1 AND owner_id = $2 AND code_hash = $3 AND used_at IS NULL
+       LIMIT 1
+     ) AND used_at IS NULL`,
+    [owner.type, owner.id, hashBackupCode(code)]
+  );
+  return rowCount === 1 ? 'backup_code' : null;
+}
+
+// Issues a fresh set of backup codes, invalidating the old ones
+async function regenerateBackupCodes(owner, db = pool) {
+  return replaceBackupCodes(owner, db);
+}
+
+async function remainingBackupCodes(owner, db = pool) {
+  const { rows } = await db.query(
+    'SELECT COUNT(*)::int AS n FROM totp_backup_codes WHERE owner_type = $1 AND owner_id = $2 AND used_at IS NULL',
+    [owner.type, owner.id]
+  );
+  return rows[0].n;
+}
+
+async function disable(owner, db = pool) {
+  await db.query('DELETE FROM totp_backup_codes WHERE owner_type = $1 AND owner_id = $2', [owner.type, owner.id]);
+  const { rowCount } = await db.query(
+    'DELETE FROM totp_factors WHERE owner_type = $1 AND owner_id = $2',
+    [owner.type, owner.id]
+  );
+  return rowCount > 0;
+}
+
+const userOwner = (id) => ({ type: 'user', id });
+const adminOwner = (id) => ({ type: 'admin', id });
+
+module.exports = {
+  userOwner,
+  adminOwner,
+  isEnabled,
+  startEnrolment,
+  confirmEnrolment,
+  verifyCode,
+  regenerateBackupCodes,
+  remainingBackupCodes,
+  disable,
+};
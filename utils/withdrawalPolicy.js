@@ -0,0 +1,183 @@
+// utils/withdrawalPolicy.js
+// Withdrawal fees, minimums and rolling limits. Fees and minimums are per
+// coin and network (withdrawal_fees); limits are per KYC tier and coin over
+// the last 24 hours and 30 days (withdrawal_limits). Every withdrawal that is
+// not rejected, cancelled or failed counts towards the limits.
+const pool = require('../db');
+const { coinDecimals } = require('./coins');
+const { NETWORKS } = require('./addressValidation');
+
+const TIERS = { UNVERIFIED: 'unverified', VERIFIED: 'verified' };
+
+// Error codes returned with a refused withdrawal
+const CODES = {
+  INVALID_DESTINATION: 'INVALID_DESTINATION',
+  NETWORK_UNAVAILABLE: 'NETWORK_UNAVAILABLE',
+  BELOW_MINIMUM: 'BELOW_MINIMUM',
+  DAILY_LIMIT_EXCEEDED: 'DAILY_LIMIT_EXCEEDED',
+  MONTHLY_LIMIT_EXCEEDED: 'MONTHLY_LIMIT_EXCEEDED',
+  INSUFFICIENT_BALANCE: 'INSUFFICIENT_BALANCE',
+};
+
+// Statuses that no longer count towards the limits
+const NOT_COUNTED = ['rejected', 'cancelled', 'failed'];
+
+const round = (n, coin) => Number(Number(n).toFixed(coinDecimals(coin)));
+
+function tierFor(kycStatus) {
+  return kycStatus === 'approved' ? TIERS.VERIFIED : TIERS.UNVERIFIED;
+}
+
+async function tierOf(userId, db = pool) {
+  const { rows } = await db.query('SELECT kyc_status FROM users WHERE id = $1', [userId]);
+  return tierFor(rows[0] && rows[0].kyc_status);
+}
+
+// --- Fees ---
+
+async function listFees({ coin = null } = {}, db = pool) {
+  const { rows } = await db.query(
+    `SELECT coin, network, fee, min_amount, enabled, updated_at FROM withdrawal_fees
+     WHERE $1::text IS NULL OR coin = $1
+     ORDER BY coin, network`,
+    [coin]
+  );
+  return rows;
+}
+
+async function getFee(coin, network, db = pool) {
+  const { rows } = await db.query('SELECT * FROM withdrawal_fees WHERE coin = $1 AND network = $2', [coin, network]);
+  return rows[0] || null;
+}
+
+async function setFee(client, coin, network, { fee, min_amount, enabled }) {
+  const { rows: before } = await client.query(
+    'SELECT coin, network, fee, min_amount, enabled FROM withdrawal_fees WHERE coin = $1 AND network = $2 FOR UPDATE',
+    [coin, network]
+  );
+  const { rows } = await client.query(
+    `INSERT INTO withdrawal_fees (coin, network, fee, min_amount, enabled) VALUES ($1, $2, $3, $4, COALESCE($5, TRUE))
+     ON CONFLICT (coin, network) DO UPDATE SET
+       fee = EXCLUDED.fee,
+       min_amount = EXCLUDED.min_amount,
+       enabled = COALESCE($5, withdrawal_fees.enabled),
+       updated_at = NOW()
+     RETURNING coin, network, fee, min_amount, enabled`,
+    [coin, network, fee, min_amount, enabled ?? null]
+  );
+  return { before: before[0] || null, after: rows[0] };
+}
+
+// --- Limits ---
+
+async function listLimits(db = pool) {
+  const { rows } = await db.query(
+    'SELECT tier, coin, daily_limit, monthly_limit, updated_at FROM withdrawal_limits ORDER BY tier, coin'
+  );
+  return rows;
+}
+
+async function setLimit(client, tier, coin, { daily_limit, monthly_limit }) {
+  const { rows: before } = await client.query(
+    'SELECT tier, coin, daily_limit, monthly_limit FROM withdrawal_limits WHERE tier = $1 AND coin = $2 FOR UPDATE',
+    [tier, coin]
+  );
+  const { rows } = await client.query(
+    `INSERT INTO withdrawal_limits (tier, coin, daily_limit, monthly_limit) VALUES ($1, $2, $3, $4)
+     ON CONFLICT (tier, coin) DO UPDATE SET
+       daily_limit = EXCLUDED.daily_limit,
+       monthly_limit = EXCLUDED.monthly_limit,
+       updated_at = NOW()
+     RETURNING tier, coin, daily_limit, monthly_limit`,
+    [tier, coin, daily_limit, monthly_limit]
+  );
+  return { before: before[0] || null, after: rows[0] };
+}
+
+/**
+ * A user's limits for each coin with what is used and left in each window.
+ * limit and remaining are null where there is no limit.
+ */
+async function allowance(userId, { coin = null } = {}, db = pool) {
+  const tier = await tierOf(userId, db);
+  const { rows } = await db.query(
+    `SELECT c.coin, l.daily_limit, l.monthly_limit,
+            COALESCE(SUM(w.amount) FILTER (WHERE w.created_at > NOW() - INTERVAL '24 hours'), 0) AS used_daily,
+            COALESCE(SUM(w.amount), 0) AS used_monthly
+     FROM unnest($3::text[]) AS c(coin)
+     LEFT JOIN withdrawal_limits l ON l.tier = $2 AND l.coin = c.coin
+     LEFT JOIN withdrawals w ON w.user_id = $1 AND w.coin = c.coin
+       AND w.created_at > NOW() - INTERVAL '30 days' AND w.status <> ALL($4)
+     GROUP BY c.coin, l.daily_limit, l.monthly_limit
+     ORDER BY c.coin`,
+    [userId, tier, coin ? [coin] : Object.keys(NETWORKS), NOT_COUNTED]
+  );
+  const window = (limit, used, c) => ({
+    limit: limit == null ? null : Number(limit),
+    used: round(used, c),
+    remaining: limit == null ? null : Math.max(0, round(Number(limit) - Number(used), c)),
+  });
+  return {
+    tier,
+    coins: rows.map(r => ({
+      coin: r.coin,
+      daily: window(r.daily_limit, r.used_daily, r.coin),
+      monthly: window(r.monthly_limit, r.used_monthly, r.coin),
+    })),
+  };
+}
+
+/**
+ * Checks a withdrawal against the fee table and the user's limits. Call it
+ * with the user's balance row for the coin locked so concurrent requests
+ * cannot both use the same allowance.
+ * @returns {Promise<{fee: number, netAmount: number}|{error: string, code: string}>}
+ */
+async function check(db, { userId, coin, network, amount }) {
+  const feeRow = await getFee(coin, network, db);
+  if (!feeRow || !feeRow.enabled) {
+    return { code: CODES.NETWORK_UNAVAILABLE, error: `${coin} withdrawals on ${network} are currently unavailable` };
+  }
+  const fee = Number(feeRow.fee);
+  const min = Number(feeRow.min_amount);
+  if (amount < min || amount <= fee) {
+    return {
+      code: CODES.BELOW_MINIMUM,
+      error: `The minimum ${coin} withdrawal on ${network} is ${Math.max(min, fee)}`,
+      min_amount: min,
+      fee,
+    };
+  }
+
+  const { tier, coins } = await allowance(userId, { coin }, db);
+  const { daily, monthly } = coins[0];
+  if (daily.remaining != null && amount > daily.remaining) {
+    return {
+      code: CODES.DAILY_LIMIT_EXCEEDED,
+      error: `This exceeds your 24-hour ${coin} withdrawal limit (${daily.remaining} ${coin} left)`,
+      tier, limit: daily.limit, remaining: daily.remaining,
+    };
+  }
+  if (monthly.remaining != null && amount > monthly.remaining) {
+    return {
+      code: CODES.MONTHLY_LIMIT_EXCEEDED,
+      error: `This exceeds your 30-day ${coin} withdrawal limit (${monthly.remaining} ${coin} left)`,
+      tier, limit: monthly.limit, remaining: monthly.remaining,
+    };
+  }
+  return { fee, netAmount: round(amount - fee, coin) };
+}
+
+module.exports = {
+  TIERS,
+  CODES,
+  tierFor,
+  tierOf,
+  listFees,
+  getFee,
+  setFee,
+  listLimits,
+  setLimit,
+  allowance,
+  check,
+};
@@ -0,0 +1,237 @@
+// utils/withdrawals.js
+// Withdrawal lifecycle and its ledger side.
+//
+//   requested -> under_review -> approved -> broadcast -> completed
+//   requested / under_review -> rejected (admin) or cancelled (user)
+//   approved / broadcast -> failed
+//
+// A request reserves its amount (available -> frozen); approval sends it out
+// of the system (frozen -> system:withdrawals, less the fee, which goes to
+// system:withdrawal_fees); rejection or cancellation gives it back (frozen ->
+// available). A withdrawal that fails after approval is reversed, fee
+// included (-> available). withdrawals.funds_state records which of these
+// last happened.
+//
+// Approving a withdrawal on a network with a payout adapter queues it for
+// jobs/payoutQueue.js, which moves it on to broadcast and completed (or failed).
+//
+// Every function expects a client inside a transaction holding the
+// withdrawal row lock (SELECT ... FOR UPDATE).
+const ledger = require('./ledger');
+const notifications = require('./notifications');
+const payoutAdapters = require('./payoutAdapters');
+
+const STATUS = {
+  REQUESTED: 'requested',
+  UNDER_REVIEW: 'under_review',
+  APPROVED: 'approved',
+  BROADCAST: 'broadcast',
+  COMPLETED: 'completed',
+  REJECTED: 'rejected',
+  CANCELLED: 'cancelled',
+  FAILED: 'failed',
+};
+
+// Legal next statuses; anything not listed is final
+const TRANSITIONS = {
+  [STATUS.REQUESTED]: [STATUS.UNDER_REVIEW, STATUS.APPROVED, STATUS.REJECTED, STATUS.CANCELLED],
+  [STATUS.UNDER_REVIEW]: [STATUS.APPROVED, STATUS.REJECTED, STATUS.CANCELLED],
+  [STATUS.APPROVED]: [STATUS.BROADCAST, STATUS.FAILED],
+  [STATUS.BROADCAST]: [STATUS.COMPLETED, STATUS.FAILED],
+};
+
+// Statuses the user can still cancel from
+const PENDING = [STATUS.REQUESTED, STATUS.UNDER_REVIEW];
+
+// Statuses an admin can move a withdrawal to; cancelling is up to the user
+const ADMIN_STATUSES = Object.values(STATUS).filter(s => s !== STATUS.REQUESTED && s !== STATUS.CANCELLED);
+
+// Column recording when each status was reached ('requested' is created_at)
+const TIMESTAMPS = {
+  [STATUS.UNDER_REVIEW]: 'under_review_at',
+  [STATUS.APPROVED]: 'approved_at',
+  [STATUS.BROADCAST]: 'broadcast_at',
+  [STATUS.COMPLETED]: 'completed_at',
+  [STATUS.REJECTED]: 'rejected_at',
+  [STATUS.CANCELLED]: 'cancelled_at',
+  [STATUS.FAILED]: 'failed_at',
+};
+
+function canTransition(from, to) {
+  return (TRANSITIONS[from] || []).includes(to);
+}
+
+const FUNDS = {
+  HELD: 'held',
+  SETTLED: 'settled',
+  RELEASED: 'released',
+  REVERSED: 'reversed',
+};
+
+async function setFundsState(client, withdrawal, state) {
+  await client.query('UPDATE withdrawals SET funds_state = $2 WHERE id = $1', [withdrawal.id, state]);
+  withdrawal.funds_state = state;
+}
+
+function journal(withdrawal, reason, transfers, memo = null) {
+  return {
+    reason,
+    refType: ledger.REF_TYPES.WITHDRAWAL,
+    refId: withdrawal.id,
+    userId: withdrawal.user_id,
+    memo,
+    transfers,
+  };
+}
+
+// The whole amount from one account to another
+const wholeAmount = (withdrawal, from, to) => [{ from, to, coin: withdrawal.coin, amount: withdrawal.amount }];
+
+/**
+ * Creates a requested withdrawal and reserves its amount. Throws the ledger's
+ * insufficient-funds error (ledger.isInsufficientFunds) if the available
+ * balance does not cover it.
+ * @returns {Promise<object>} withdrawals row
+ */
+async function request(client, { userId, coin, amount, fee = 0, address, network = null, memo = null, addressId = null }) {
+  const { rows } = await client.query(
+    `INSERT INTO withdrawals (user_id, coin, amount, fee, net_amount, address, network, memo, address_id, status, funds_state)
+     VALUES ($1, $2, $3, $4, $3::numeric - $4::numeric, $5, $6, $7, $8, $9, $10)
+     RETURNING *`,
+    [userId, coin, amount, fee, address, network, memo, addressId, STATUS.REQUESTED, FUNDS.HELD]
+  );
+  const withdrawal = rows[0];
+  await ledger.postJournal(client, journal(
+    withdrawal, ledger.REASONS.WITHDRAWAL_HOLD,
+    wholeAmount(withdrawal, ledger.userAccount(userId), ledger.userAccount(userId, 'frozen'))
+  ));
+  return withdrawal;
+}
+
+// The amount split into what is sent and the fee kept
+function payoutTransfers(withdrawal, account, toSystem) {
+  const fee = Number(withdrawal.fee || 0);
+  const net = withdrawal.net_amount == null ? Number(withdrawal.amount) : Number(withdrawal.net_amount);
+  const coin = withdrawal.coin;
+  const legs = [
+    { account: ledger.systemAccount('withdrawals'), amount: net },
+    { account: ledger.systemAccount('withdrawal_fees'), amount: fee },
+  ];
+  return legs.map(leg => (toSystem
+    ? { from: account, to: leg.account, coin, amount: leg.amount }
+    : { from: leg.account, to: account, coin, amount: leg.amount }));
+}
+
+/**
+ * Approval: the reserved amount leaves the system. Requests without a hold
+ * (made before holds existed, or released earlier) are paid from the
+ * available balance instead and may fail with insufficient funds.
+ */
+async function settle(client, withdrawal) {
+  const userId = withdrawal.user_id;
+  const source = withdrawal.funds_state === FUNDS.HELD
+    ? ledger.userAccount(userId, 'frozen')
+    : ledger.userAccount(userId);
+  await ledger.postJournal(client, journal(
+    withdrawal, ledger.REASONS.WITHDRAWAL, payoutTransfers(withdrawal, source, true)
+  ));
+  await setFundsState(client, withdrawal, FUNDS.SETTLED);
+}
+
+// Rejection or cancellation before approval: the reserved amount is spendable again
+async function release(client, withdrawal, memo = null) {
+  if (withdrawal.funds_state !== FUNDS.HELD) return false;
+  await ledger.postJournal(client, journal(
+    withdrawal, ledger.REASONS.WITHDRAWAL_RELEASE,
+    wholeAmount(withdrawal, ledger.userAccount(withdrawal.user_id, 'frozen'), ledger.userAccount(withdrawal.user_id)),
+    memo
+  ));
+  await setFundsState(client, withdrawal, FUNDS.RELEASED);
+  return true;
+}
+
+// Failure after approval: the whole amount, fee included, is credited back to the available balance
+async function reverse(client, withdrawal) {
+  await ledger.postJournal(client, journal(
+    withdrawal, ledger.REASONS.WITHDRAWAL_REVERSAL,
+    payoutTransfers(withdrawal, ledger.userAccount(withdrawal.user_id), false)
+  ));
+  await setFundsState(client, withdrawal, FUNDS.REVERSED);
+}
+
+// Hands an approved withdrawal to its network's payout adapter, if there is one
+async function queuePayout(client, withdrawal) {
+  const adapter = payoutAdapters.adapterFor(withdrawal.network);
+  if (!adapter) return false;
+  await client.query(
+    'INSERT INTO withdrawal_payouts (withdrawal_id, adapter) VALUES ($1, $2) ON CONFLICT DO NOTHING',
+    [withdrawal.id, adapter.name]
+  );
+  await client.query(
+    'UPDATE withdrawals SET required_confirmations = $2 WHERE id = $1',
+    [withdrawal.id, payoutAdapters.REQUIRED_CONFIRMATIONS[withdrawal.network] || 1]
+  );
+  return true;
+}
+
+/**
+ * Moves a withdrawal to its next status: moves the funds, stamps the status
+ * time, stores the reason (if given), queues the payout on approval and
+ * notifies the user. Returns null if the move is not allowed from the current
+ * status. May throw the ledger's insufficient-funds error when approving a
+ * request without a hold.
+ * @returns {Promise<{withdrawal: object, balanceReduced: boolean, payoutQueued: boolean}|null>}
+ */
+async function transition(client, withdrawal, to, { reason = null } = {}) {
+  if (!canTransition(withdrawal.status, to)) return null;
+
+  let balanceReduced = false;
+  if (to === STATUS.APPROVED) {
+    balanceReduced = withdrawal.funds_state !== FUNDS.HELD;
+    await settle(client, withdrawal);
+  } else if (to === STATUS.REJECTED || to === STATUS.CANCELLED) {
+    await release(client, withdrawal);
+  } else if (to === STATUS.FAILED) {
+    await reverse(client, withdrawal);
+  }
+
+  const { rows } = await client.query(
+    `UPDATE withdrawals SET status = $2, ${TIMESTAMPS[to]} = NOW(), reason = COALESCE($3, reason)
+     WHERE id = $1
+     RETURNING *`,
+    [withdrawal.id, to, reason]
+  );
+  const updated = rows[0];
+  const payoutQueued = to === STATUS.APPROVED && await queuePayout(client, updated);
+
+  await notifications.enqueue(client, {
+    userId: updated.user_id,
+    template: notifications.TEMPLATES.WITHDRAWAL_STATUS,
+    data: {
+      withdrawal_id: updated.id,
+      coin: updated.coin,
+      amount: updated.amount,
+      address: updated.address,
+      status: to,
+      reason: updated.reason,
+      tx_hash: updated.tx_hash,
+    },
+    dedupeKey: `withdrawal:${updated.id}:${to}`,
+  });
+
+  return { withdrawal: updated, balanceReduced, payoutQueued };
+}
+
+module.exports = {
+  STATUS,
+  TRANSITIONS,
+  PENDING,
+  ADMIN_STATUSES,
+  FUNDS,
+  canTransition,
+  request,
+  settle,
+  release,
+  reverse,
+  transition,
+};